@@ -4,8 +4,49 @@
  * @private
  */
 
+import { isGlobalProperty } from './globals';
+import { readJSDoc } from './jsdoc';
+import { canEvaluatePure, getPureFunction, isPureFunction } from './pure';
+import {
+  compareRanges,
+  containsZero,
+  evaluateRange,
+  formatRange,
+  isEmptyRange,
+  joinRanges,
+  narrowRange,
+  negateRange,
+  rangeOf,
+  rangesEqual,
+  swapOperator,
+  valueRange,
+  widenRange
+} from './ranges';
 import { Scope } from './scope';
-import { arrayOf, hasKind, isNotAssignable, isFalsy, isTruthy, kindOf, union } from './types';
+import { walk } from './walk';
+import {
+  arrayOf,
+  formatType,
+  getElementType,
+  getIteratedType,
+  getKind,
+  getUnionTypes,
+  hasKind,
+  isAssignable,
+  isFalsy,
+  isLiteral,
+  isNotAssignable,
+  isRef,
+  isTruthy,
+  kindOf,
+  literalOf,
+  narrow,
+  objectOf,
+  refOf,
+  tupleOf,
+  typeEquals,
+  union
+} from './types';
 
 /**
  * Analyze the given ESTree Abstract Syntax Tree. The returned object may contain
@@ -16,21 +57,129 @@ import { arrayOf, hasKind, isNotAssignable, isFalsy, isTruthy, kindOf, union } f
  * - `thrown`: analysis of the thrown expression
  * - `async`: true if the expression is an async function
  * - `generator`: true if the expression is a generator function
- * - `members`: object mapping member names to analyses
+ * - `members`: object mapping member names to analyses; for classes, these
+ *     are the static members, including the `prototype` with the methods and
+ *     accessors of the class
+ * - `instance`: for classes, the analysis of the objects constructed by the
+ *     class, with members for fields, methods, and accessors, and for members
+ *     of `this` assigned by the constructor
+ * - `superClass`: for derived classes, the analysis of the superclass
+ * - `getter` and `setter`: for accessor members of classes, the function
+ *     types of the getter and setter
+ * - `import`: for imported bindings, the `source` module specifier and the
+ *     imported `name` (`default` for default imports and `*` for namespace imports)
+ * - `declaredType`: for bindings and members with a type declared by a JSDoc
+ *     comment, the declared type, which is also their `type` whenever it is
+ *     otherwise unknown
+ * - `range` ({@link module:ranges~Range}): for numbers of unknown value, the
+ *     range of their possible values, if known; the ranges of numbers assigned
+ *     in loops are widened until they hold for any number of iterations, and
+ *     after loops are narrowed by the loop test, which is false on exit
+ * - `prefix` (string): for strings of unknown value, a known prefix
+ * - `lengthRange` ({@link module:ranges~Range}): for strings of unknown value,
+ *     the range of their possible lengths, if known
+ * 
+ * Analyzing a `Program` with `sourceType` of `module` returns a module-level
+ * analysis with the following properties:
+ * 
+ * - `imports`: object mapping local names to imported bindings
+ * - `exports`: object mapping exported names to analyses; names re-exported
+ *     from another module have only an `import` property
+ * - `reexports`: array of module specifiers from `export * from` declarations
+ * 
+ * The following options are supported:
+ * 
+ * - `importModule` (function): called with a module specifier and returns the
+ *     module-level analysis of the imported module, or `undefined` if it is not
+ *     available. Imported bindings and re-exports are linked to the exported
+ *     analyses of the module returned.
+ * - `maxCallDepth` (number): maximum nesting depth of calls to user-defined
+ *     functions evaluated with constant arguments (default 20)
+ * - `maxCallSteps` (number): maximum number of AST nodes visited while
+ *     evaluating a call to a user-defined function, including nested calls
+ *     (default 10000)
+ * - `tuples` (boolean): whether array literals without spread elements have
+ *     tuple types, with the type of each element, rather than array types
+ *     (default false)
+ * - `comments` (array): the comments of the source, as collected by the
+ *     `onComment` option of Acorn, from which the types of functions,
+ *     variables, and properties are read from JSDoc `@param`, `@returns`,
+ *     `@type`, `@typedef`, and `@callback` tags, and the types of parameters
+ *     also from preceding JSDoc comments consisting only of a type expression
+ * - `onDiagnostic` (function): called with each diagnostic found during the
+ *     analysis, such as unreachable code or unsupported syntax. After an error
+ *     is reported, analysis continues with an unknown result for the affected
+ *     node. If this option is not specified, warnings are not reported and
+ *     errors are thrown.
+ * 
+ * Diagnostics have the following properties:
+ * 
+ * - `code` (string): identifies the kind of diagnostic:
+ *     - `unreachable-branch`: a branch of an `if` statement or conditional
+ *         expression is never taken, since its test has a constant value
+ *     - `unreachable-code`: a statement follows a `return`, `throw`, `break`,
+ *         or `continue` statement
+ *     - `constant-condition`: the condition of a `while` or `do`-`while` loop
+ *         is always true or always false
+ *     - `unsupported-syntax` (error): the node type or statement (such as
+ *         `with`) is not supported by the analyzer
+ *     - `duplicate-declaration` (error): a name is declared more than once in
+ *         a scope, other than by `var` statements, function declarations, and
+ *         parameters
+ *     - `type-mismatch`: the type of a value assigned, returned, or passed
+ *         as an argument is not assignable to the type declared by a JSDoc
+ *         comment
+ *     - `division-by-zero`: the divisor of a `/` or `%` operation is zero,
+ *         or may be zero according to its known range
+ *     - `index-out-of-range`: an array or string of known length is indexed
+ *         by a number that is, or may be, out of range
+ * - `severity` (string): `error` or `warning`
+ * - `message` (string): a description of the diagnostic
+ * - `node` (Node): the AST node to which the diagnostic applies
+ * - `loc` (Object): the source location of the node, if the parser provided
+ *     one (such as with the `locations` option of Acorn)
  * 
  * @param {Node} ast an ESTree Abstract Syntax Tree
  * @param {Scope} [rootScope] the root naming scope for the analysis (usually representing the global scope)
+ * @param {Object} [options] analysis options
  * @returns {Object} the analysis result
  * @alias analyze
  */
-export function analyze(ast, rootScope = new Scope()) {
-  return visit(ast, rootScope);
+export function analyze(ast, rootScope = new Scope(), options = {}) {
+  const outerContext = context;
+  context = {
+    options,
+    callDepth: 0,
+    journal: new Map(),
+    jumpTargets: [],
+    captured: new Set(),
+    reported: new WeakMap(),
+    loopStates: new WeakMap(),
+    docs: options.comments ? readJSDoc(ast, options.comments) : new Map()
+  };
+  try {
+    return visit(ast, rootScope);
+  } finally {
+    context = outerContext;
+  }
 }
 
+// state of the analysis in progress, saved and restored by `analyze` so that
+// it can be invoked recursively (such as to analyze an imported module)
+let context;
+
 function visit(ast, ...args) {
+  if (context.evaluating && --context.callSteps < 0) {
+    throw notEvaluable;
+  }
   const func = visitors[ast.type];
   if (!func) {
-    throw new Error(`Unhandled AST node type '${ast.type}'`);
+    if (context.evaluating) {
+      throw notEvaluable;
+    }
+    // the result of an unsupported node is unknown
+    reportError('unsupported-syntax', `Unhandled AST node type '${ast.type}'`, ast);
+    return;
   }
   return func(ast, ...args);
 }
@@ -49,19 +198,27 @@ const visitors = {
         scope = scope.getTopLevel();
       } else if (!declContext) {
         // undefined references in non-strict mode are defined globally
-        scope = scope.getRoot();
+        const binding = scope.getRoot().addOwnMember(name, {
+          name
+        });
+        implicitGlobals.add(binding);
+        return binding;
       } else {
-        // const, let, and function/catch parameters go in given scope
+        // const, let, imports, and function/catch parameters go in given scope
       }
-      ref = scope.addOwnMember(name, {
-        name
-      });
+      ref = addDeclaration(scope, ast, declContext === 'var' || declContext === 'param');
     }
     return ref;
   },
   Literal(ast) {
     const value = ast.value;
-    const type = kindOf(value); // null, string, boolean, number, object (RegExp)
+    if (ast.bigint !== undefined && kindOf(value) !== 'bigint') {
+      // the runtime does not support BigInt
+      return {
+        type: 'bigint'
+      };
+    }
+    const type = kindOf(value); // null, string, boolean, number, bigint, object (RegExp)
     return {
       type,
       value
@@ -87,6 +244,17 @@ const visitors = {
         value += ast.quasis[++i].value.cooked;
       }
       result.value = value;
+    } else {
+      // the text before the first substitution is a prefix, and the strings
+      // are at least as long as the text around the substitutions
+      const prefix = ast.quasis[0].value.cooked;
+      if (prefix) {
+        result.prefix = prefix;
+      }
+      const minLength = ast.quasis.reduce((length, quasi) => length + quasi.value.cooked.length, 0);
+      if (minLength > 0) {
+        result.lengthRange = rangeOf(minLength, Infinity, true);
+      }
     }
     return result;
   },
@@ -95,8 +263,97 @@ const visitors = {
     visit(ast.quasi, scope);
   },
   Program(ast, scope) {
+    if (ast.sourceType === 'module') {
+      return analyzeModule(ast, scope);
+    }
     analyzeBody(ast, scope);
   },
+  ImportDeclaration(ast, scope) {
+    const source = ast.source.value;
+    const module = importModule(source);
+    const imports = {};
+    for (const spec of ast.specifiers) {
+      const name = spec.type === 'ImportSpecifier' ? spec.imported.name :
+        spec.type === 'ImportDefaultSpecifier' ? 'default' : '*';
+      const binding = visit(spec.local, scope, 'import');
+      binding.constant = true;
+      binding.import = {
+        source,
+        name
+      };
+      if (name === '*') {
+        linkNamespace(binding, module);
+      } else if (module && module.exports[name]) {
+        linkImport(binding, module.exports[name]);
+      }
+      imports[binding.name] = binding;
+    }
+    return {
+      imports
+    };
+  },
+  ExportNamedDeclaration(ast, scope) {
+    const exports = [];
+    if (ast.declaration) {
+      visit(ast.declaration, scope);
+      for (const name of getDeclaredNames(ast.declaration)) {
+        exports.push({
+          name,
+          local: name
+        });
+      }
+    }
+    for (const spec of ast.specifiers) {
+      if (ast.source) {
+        exports.push({
+          name: spec.exported.name,
+          import: {
+            source: ast.source.value,
+            name: spec.local.name
+          }
+        });
+      } else {
+        // resolved after the whole module is analyzed, since the local
+        // declaration may follow the export
+        exports.push({
+          name: spec.exported.name,
+          local: spec.local.name
+        });
+      }
+    }
+    return {
+      exports
+    };
+  },
+  ExportDefaultDeclaration(ast, scope) {
+    const analysis = visit(ast.declaration, scope) || {};
+    return {
+      exports: [{
+        name: 'default',
+        analysis
+      }]
+    };
+  },
+  ExportAllDeclaration(ast) {
+    const source = ast.source.value;
+    if (ast.exported) {
+      // `export * as name from 'source'` exports the namespace object
+      return {
+        exports: [{
+          name: ast.exported.type === 'Identifier' ? ast.exported.name : ast.exported.value,
+          import: {
+            source,
+            name: '*'
+          }
+        }]
+      };
+    }
+    return {
+      exports: [{
+        source
+      }]
+    };
+  },
   ExpressionStatement(ast, scope) {
     return visit(ast.expression, scope);
   },
@@ -110,125 +367,250 @@ const visitors = {
   DebuggerStatement() {
     // ignored
   },
-  WithStatement() {
-    throw new Error(`'with' statement not supported`);
+  WithStatement(ast, scope) {
+    reportError('unsupported-syntax', `'with' statement not supported`, ast);
+    visit(ast.object, scope);
+    // names in the body may refer to properties of the object, so the body is
+    // not analyzed, and variables it may assign become unknown
+    for (const name of getAssignedNames([ast.body])) {
+      const binding = scope.findMember(name);
+      if (binding && !binding.constant) {
+        assign(binding, {});
+      }
+    }
   },
   ReturnStatement(ast, scope) {
-    if (ast.argument) {
-      return visit(ast.argument, scope);
+    const result = ast.argument ? snapshot(visit(ast.argument, scope)) : {
+      type: 'undefined',
+      value: undefined
+    };
+    if (context.returns) {
+      context.returns.push(result);
     }
+    if (context.evaluating) {
+      context.returned = true;
+    }
+    return result;
   },
   YieldExpression(ast, scope) {
     if (ast.argument) {
       return visit(ast.argument, scope);
     }
   },
-  LabeledStatement(ast, scope) {
-    return visit(ast.body, scope);
+  LabeledStatement(ast, scope, labels = []) {
+    labels = labels.concat(ast.label.name);
+    if (labeledTypes.includes(ast.body.type)) {
+      return visit(ast.body, scope, labels);
+    }
+    const target = analyzeJumpTarget('block', labels, () => {
+      visit(ast.body, scope);
+      return completesNormally(ast.body);
+    });
+    joinJumps(target, target.breaks, target.completes);
   },
-  BreakStatement() {
-    // ignored
+  BreakStatement(ast) {
+    const target = findJumpTarget(ast, ['loop', 'switch']);
+    if (target) {
+      target.breaks.push(getJumpStates(target));
+    }
   },
-  ContinueStatement() {
-    // ignored
+  ContinueStatement(ast) {
+    const target = findJumpTarget(ast, ['loop']);
+    if (target) {
+      target.continues.push(getJumpStates(target));
+    }
   },
   IfStatement(ast, scope) {
-    visit(ast.test, scope);
-    visit(ast.consequent, scope);
-    if (ast.alternate) {
-      visit(ast.alternate, scope);
+    const testInfo = visit(ast.test, scope);
+    const known = !!testInfo && 'value' in testInfo;
+    if (context.evaluating) {
+      // only the branch taken is executed while evaluating a call
+      if (!known) {
+        throw notEvaluable;
+      }
+      const branch = testInfo.value ? ast.consequent : ast.alternate;
+      if (branch) {
+        visit(branch, scope);
+      }
+      return;
     }
+    if (known) {
+      reportUnreachableBranch(testInfo.value ? ast.alternate : ast.consequent, testInfo.value);
+    }
+    analyzeBranches(() => {
+      const reachable = assumeTest(ast.test, scope, true);
+      visit(ast.consequent, scope);
+      return reachable && completesNormally(ast.consequent) && (!known || !!testInfo.value);
+    }, () => {
+      const reachable = assumeTest(ast.test, scope, false);
+      if (!ast.alternate) {
+        return reachable && (!known || !testInfo.value);
+      }
+      visit(ast.alternate, scope);
+      return reachable && completesNormally(ast.alternate) && (!known || !testInfo.value);
+    });
   },
-  SwitchStatement(ast, scope) {
+  SwitchStatement(ast, scope, labels = []) {
     visit(ast.discriminant, scope);
-    for (const c of ast.cases) {
-      if (c.test) {
-        visit(c.test, scope);
-      }
-      for (const stmt of c.consequent) {
-        visit(stmt, scope);
+    const hasDefault = ast.cases.some(c => !c.test);
+    const target = analyzeJumpTarget('switch', labels, () => {
+      // each case is entered if its test matches or by falling through from
+      // the end of the preceding case
+      let fallStates;
+      for (const c of ast.cases) {
+        const enteringStates = fallStates;
+        fallStates = analyzePath(() => {
+          analyzeBranches(() => {
+            if (c.test) {
+              visit(c.test, scope);
+            }
+            return true;
+          }, () => {
+            for (const [binding, state] of enteringStates || []) {
+              assign(binding, state);
+            }
+            return !!enteringStates;
+          });
+          reportUnreachableCode(c.consequent);
+          for (const stmt of c.consequent) {
+            visit(stmt, scope);
+          }
+          return c.consequent.every(completesNormally);
+        });
       }
-    }
+      // execution continues after the last case or if no case matches and
+      // there is no default
+      analyzeBranches(() => {
+        for (const [binding, state] of fallStates || []) {
+          assign(binding, state);
+        }
+        return !!fallStates;
+      }, () => !hasDefault);
+      return !!fallStates || !hasDefault;
+    });
+    joinJumps(target, target.breaks, target.completes);
   },
   ThrowStatement(ast, scope) {
     const thrown = visit(ast.argument, scope);
+    if (context.evaluating) {
+      // calls that throw are not evaluated
+      throw notEvaluable;
+    }
     return {
       thrown
     };
   },
   TryStatement(ast, scope) {
-    visit(ast.block, scope);
     if (ast.handler) {
-      const handlerScope = scope.createNested();
-      if (ast.handler.param) {
-        visit(ast.handler.param, handlerScope, 'catch');
-      }
-      analyzeBody(ast.handler.body, handlerScope);
+      let blockStates;
+      analyzeBranches(() => {
+        visit(ast.block, scope);
+        blockStates = Array.from(context.journal.keys(), binding => [binding, getState(binding)]);
+        return completesNormally(ast.block);
+      }, () => {
+        // the handler may be entered from any point in the block, so bindings
+        // assigned in the block have either their prior or their final state
+        for (const [binding, state] of blockStates) {
+          assign(binding, unionInfo(getState(binding), state));
+        }
+        const handlerScope = scope.createNested();
+        if (ast.handler.param) {
+          visit(ast.handler.param, handlerScope, 'catch');
+        }
+        analyzeBody(ast.handler.body, handlerScope);
+        return completesNormally(ast.handler.body);
+      });
+    } else {
+      visit(ast.block, scope);
     }
     if (ast.finalizer) {
       visit(ast.finalizer, scope);
     }
   },
-  WhileStatement(ast, scope) {
-    visit(ast.test, scope);
-    visit(ast.body, scope);
+  WhileStatement(ast, scope, labels) {
+    analyzeLoop(ast, scope, [ast.test, ast.body], labels, {
+      test: ast.test,
+      analyzeTest: () => reportConstantCondition(ast.test, visit(ast.test, scope)),
+      analyzeBody() {
+        visit(ast.body, scope);
+        return completesNormally(ast.body);
+      }
+    });
   },
-  DoWhileStatement(ast, scope) {
-    visit(ast.test, scope);
-    visit(ast.body, scope);
+  DoWhileStatement(ast, scope, labels) {
+    analyzeLoop(ast, scope, [ast.body, ast.test], labels, {
+      test: ast.test,
+      testAfter: true,
+      analyzeTest: () => reportConstantCondition(ast.test, visit(ast.test, scope)),
+      analyzeBody() {
+        visit(ast.body, scope);
+        return completesNormally(ast.body);
+      }
+    });
   },
-  ForStatement(ast, scope) {
+  ForStatement(ast, scope, labels) {
     scope = scope.createNested();
     if (ast.init) {
       visit(ast.init, scope);
     }
-    if (ast.test) {
-      visit(ast.test, scope);
-    }
-    if (ast.update) {
-      visit(ast.update, scope);
-    }
-    visit(ast.body, scope);
+    analyzeLoop(ast, scope, [ast.test, ast.body, ast.update], labels, {
+      test: ast.test,
+      analyzeTest: () => visit(ast.test, scope),
+      analyzeBody() {
+        visit(ast.body, scope);
+        if (ast.update) {
+          visit(ast.update, scope);
+        }
+        return completesNormally(ast.body);
+      }
+    });
   },
-  ForInStatement(ast, scope) {
-    scope = scope.createNested();
-    visit(ast.left, scope);
+  ForInStatement(ast, scope, labels) {
     visit(ast.right, scope);
-    visit(ast.body, scope);
+    analyzeLoop(ast, scope, [ast.left, ast.body], labels, {
+      analyzeBody() {
+        // each iteration has its own bindings for declarations
+        const iterationScope = scope.createNested();
+        // property keys are enumerated as strings
+        assignIterationValue(ast.left, iterationScope, {
+          type: 'string'
+        });
+        visit(ast.body, iterationScope);
+        return completesNormally(ast.body);
+      }
+    });
   },
-  ForOfStatement(ast, scope) {
-    scope = scope.createNested();
-    visit(ast.left, scope);
-    visit(ast.right, scope);
-    visit(ast.body, scope);
+  ForOfStatement(ast, scope, labels) {
+    const iteratedInfo = getIteratedInfo(visit(ast.right, scope));
+    analyzeLoop(ast, scope, [ast.left, ast.body], labels, {
+      analyzeBody() {
+        const iterationScope = scope.createNested();
+        assignIterationValue(ast.left, iterationScope, iteratedInfo);
+        visit(ast.body, iterationScope);
+        return completesNormally(ast.body);
+      }
+    });
   },
   FunctionDeclaration(ast, scope) {
-    const result = declare(ast, scope);
-    result.type = 'function';
-    if (ast.async) {
-      result.async = true;
-    }
-    if (ast.generator) {
-      result.generator = true;
-    }
-    scope = scope.createNested().setTopLevel();
-    for (const param of ast.params) {
-      visit(param, scope, 'param');
-    }
-    analyzeBody(ast.body, scope);
-    return result;
+    // only anonymous in `export default function () {}`
+    const result = ast.id ? declare(ast, scope) : {};
+    return analyzeFunction(ast, scope, result);
   },
   VariableDeclaration(ast, scope) {
     const {
       kind = 'var'
     } = ast;
     for (const decl of ast.declarations) {
-      const varInfo = visit(decl.id, scope, kind);
-      if (kind === 'const') {
-        varInfo.constant = true;
-      }
+      const bindings = declareVariable(ast, decl, scope);
       if (decl.init) {
-        Object.assign(varInfo, visit(decl.init, scope));
+        assignPattern(decl.id, scope, visit(decl.init, scope), true);
+      } else if (kind === 'let') {
+        for (const binding of bindings) {
+          assign(binding, {
+            type: 'undefined',
+            value: undefined
+          });
+        }
       }
     }
   },
@@ -246,8 +628,18 @@ const visitors = {
   ArrayExpression(ast, scope) {
     let elemType;
     let elemValues = [];
+    let tupleTypes = context.options.tuples && !ast.elements.some(e => e && e.type === 'SpreadElement') ? [] : null;
     for (const element of ast.elements) {
-      const elemInfo = visit(element, scope);
+      // holes are undefined elements
+      const elemInfo = element ? visit(element, scope) : {
+        type: 'undefined',
+        value: undefined
+      };
+      if (tupleTypes && elemInfo && elemInfo.type) {
+        tupleTypes.push(elemInfo.type);
+      } else {
+        tupleTypes = null;
+      }
       if (elemInfo && 'type' in elemInfo && elemType !== null) {
         if (elemType === undefined) {
           elemType = elemInfo.type;
@@ -264,7 +656,7 @@ const visitors = {
       }
     }
     const result = {
-      type: arrayOf(elemType)
+      type: tupleTypes ? tupleOf(tupleTypes) : arrayOf(elemType)
     };
     if (elemValues) {
       result.value = elemValues;
@@ -280,10 +672,51 @@ const visitors = {
   },
   ObjectExpression(ast, scope) {
     let value = {};
+    // members are tracked for objects that are not constant
+    let members = {};
     for (const prop of ast.properties) {
+      if (prop.type === 'SpreadElement') {
+        const spreadInfo = visit(prop.argument, scope);
+        if (spreadInfo && 'value' in spreadInfo) {
+          const spread = { ...spreadInfo.value
+          };
+          if (value !== null) {
+            Object.assign(value, spread);
+          }
+          for (const key of Object.keys(spread)) {
+            members[key] = {
+              name: key,
+              type: kindOf(spread[key]),
+              value: spread[key]
+            };
+          }
+        } else {
+          value = null;
+          // spreading an object with unknown properties can replace any member
+          members = copyMembers(spreadInfo && spreadInfo.members, {});
+        }
+        continue;
+      }
+      const key = getPropertyKey(prop, scope);
       const valueInfo = visit(prop.value, scope);
-      if (prop.kind === 'init' && valueInfo && 'value' in valueInfo && value !== null) {
-        const key = prop.key.type === 'Identifier' ? prop.key.name : String(prop.key.value);
+      const declaredType = getDeclaredType(prop);
+      if (prop.kind === 'init') {
+        checkDeclaredType(declaredType, valueInfo, prop.value);
+      }
+      if (key === undefined) {
+        members = {};
+      } else {
+        members[key] = prop.kind === 'init' && valueInfo ? {
+          name: key,
+          ...getState(valueInfo)
+        } : {
+          name: key
+        };
+        if (declaredType) {
+          declareType(members[key], declaredType);
+        }
+      }
+      if (prop.kind === 'init' && key !== undefined && valueInfo && 'value' in valueInfo && value !== null) {
         value[key] = valueInfo.value;
       } else {
         value = null;
@@ -294,12 +727,14 @@ const visitors = {
     };
     if (value) {
       result.value = value;
+    } else {
+      result.members = members;
     }
     return result;
   },
   ObjectPattern(ast, scope, declContext) {
     for (const prop of ast.properties) {
-      visit(prop.value, scope, declContext);
+      visit(prop.type === 'RestElement' ? prop : prop.value, scope, declContext);
     }
   },
   SpreadElement(ast, scope) {
@@ -309,39 +744,23 @@ const visitors = {
     visit(ast.argument, scope, declContext);
   },
   AwaitExpression(ast, scope) {
-    visit(ast.argument, scope);
-  },
-  FunctionExpression(ast, scope) {
-    const result = {
-      type: 'function'
-    };
-    if (ast.async) {
-      result.async = true;
+    const info = visit(ast.argument, scope);
+    if (info && 'value' in info && !(info.value && typeof info.value.then === 'function')) {
+      // awaiting a value that is not a promise results in the value
+      return snapshot(info);
     }
-    if (ast.generator) {
-      result.generator = true;
-    }
-    scope = scope.createNested().setTopLevel();
-    for (const param of ast.params) {
-      visit(param, scope, 'param');
+    const type = info && getAwaitedType(info.type);
+    if (type) {
+      return {
+        type
+      };
     }
-    analyzeBody(ast.body, scope);
-    return result;
+  },
+  FunctionExpression(ast, scope) {
+    return analyzeFunction(ast, scope, {});
   },
   ArrowFunctionExpression(ast, scope) {
-    const result = {
-      type: 'function'
-    };
-    scope = scope.createNested().setTopLevel();
-    for (const param of ast.params) {
-      visit(param, scope, 'param');
-    }
-    if (ast.expression) {
-      visit(ast.body, scope);
-    } else {
-      analyzeBody(ast.body, scope);
-    }
-    return result;
+    return analyzeFunction(ast, scope, {});
   },
   UnaryExpression(ast, scope) {
     const valueInfo = visit(ast.argument, scope);
@@ -350,18 +769,28 @@ const visitors = {
     function evaluate(type, op) {
       result.type = type;
       if (op && valueInfo && 'value' in valueInfo) {
-        result.value = op(valueInfo.value);
+        try {
+          result.value = op(valueInfo.value);
+          result.type = kindOf(result.value);
+        } catch (e) {
+          // unary '+' throws TypeError for bigints
+          result.thrown = {
+            type: typeof e
+          };
+        }
       }
     }
+    // negation preserves bigints
+    const numericType = valueInfo && valueInfo.type === 'bigint' ? 'bigint' : 'number';
     switch (ast.operator) {
       case '-':
-        evaluate('number', v => -v);
+        evaluate(numericType, v => -v);
         break;
       case '+':
         evaluate('number', v => +v);
         break;
       case '~':
-        evaluate('number', v => ~v);
+        evaluate(numericType, v => ~v);
         break;
       case '!':
         evaluate('boolean', v => !v);
@@ -371,239 +800,216 @@ const visitors = {
         break;
       case 'typeof':
         evaluate('string', v => typeof v);
+        break;
+      case 'void':
+        evaluate('undefined', _ => undefined);
+    }
+    const range = result.type === 'number' && !('value' in result) && getRange(valueInfo);
+    if (range && (ast.operator === '-' || ast.operator === '+')) {
+      result.range = ast.operator === '-' ? negateRange(range) : range;
     }
     return result;
   },
   UpdateExpression(ast, scope) {
-    const valueInfo = visit(ast.argument, scope);
+    const target = analyzeTarget(ast.argument, scope);
+    const type = target.info && target.info.type === 'bigint' ? 'bigint' : 'number';
     const result = {
-      type: 'number'
+      type
     };
-
-    function evaluate(op) {
-      if (op && valueInfo && 'value' in valueInfo) {
-        result.value = op(valueInfo.value);
+    const state = {
+      type
+    };
+    if (target.info && 'value' in target.info) {
+      // ToNumeric: bigints are not converted to numbers
+      let oldValue = target.info.value;
+      if (kindOf(oldValue) !== 'bigint') {
+        oldValue = +oldValue;
+      }
+      let newValue = oldValue;
+      state.value = ast.operator === '++' ? ++newValue : --newValue;
+      result.value = ast.prefix ? state.value : oldValue;
+      result.type = state.type = kindOf(state.value);
+    } else {
+      const range = type === 'number' && getRange(target.info);
+      if (range) {
+        state.range = evaluateRange(ast.operator[0], range, valueRange(1));
+        result.range = ast.prefix ? state.range : range;
       }
     }
-    switch (ast.operator) {
-      case '--':
-        evaluate(ast.prefix ? v => --v : v => v--);
-        break;
-      case '++':
-        evaluate(ast.prefix ? v => ++v : v => v++);
-    }
+    target.assign(state);
     return result;
   },
   BinaryExpression(ast, scope) {
     const leftInfo = visit(ast.left, scope);
     const rightInfo = visit(ast.right, scope);
-    let result;
-
-    function evaluate(type, op) {
-      if (type) {
-        result = {
-          type
-        };
-        if (op && leftInfo && 'value' in leftInfo && rightInfo && 'value' in rightInfo) {
-          try {
-            result.value = op(leftInfo.value, rightInfo.value);
-          } catch (e) {
-            // 'in' and 'instanceof' can throw TypeError
-            result.thrown = {
-              type: typeof e
-            };
-          }
-        }
-      }
-    }
-    switch (ast.operator) {
-      case '==':
-        evaluate('boolean', (l, r) => l == r);
-        break;
-      case '!=':
-        evaluate('boolean', (l, r) => l != r);
-        break;
-      case '===':
-        evaluate('boolean', (l, r) => l === r);
-        break;
-      case '!==':
-        evaluate('boolean', (l, r) => l !== r);
-        break;
-      case '<':
-        evaluate('boolean', (l, r) => l < r);
-        break;
-      case '<=':
-        evaluate('boolean', (l, r) => l <= r);
-        break;
-      case '>':
-        evaluate('boolean', (l, r) => l > r);
-        break;
-      case '>=':
-        evaluate('boolean', (l, r) => l >= r);
-        break;
-      case 'in':
-        evaluate('boolean', (l, r) => l in r);
-        break;
-      case 'instanceof':
-        evaluate('boolean', (l, r) => l instanceof r);
-        break;
-      case '<<':
-        evaluate('number', (l, r) => l << r);
-        break;
-      case '>>':
-        evaluate('number', (l, r) => l >> r);
-        break;
-      case '>>>':
-        evaluate('number', (l, r) => l >>> r);
-        break;
-      case '+':
-        {
-          const leftType = leftInfo && leftInfo.type;
-          const rightType = rightInfo && rightInfo.type;
-          const type = leftType === 'string' || rightType === 'string' ? 'string' :
-            isNotAssignable(leftType, 'string') &&
-            isNotAssignable(rightType, 'string') ? 'number' :
-            undefined;
-          evaluate(type, (l, r) => l + r);
-          break;
-        }
-      case '-':
-        evaluate('number', (l, r) => l - r);
-        break;
-      case '*':
-        evaluate('number', (l, r) => l * r);
-        break;
-      case '**':
-        evaluate('number', (l, r) => l ** r);
-        break;
-      case '/':
-        evaluate('number', (l, r) => l / r);
-        break;
-      case '%':
-        evaluate('number', (l, r) => l % r);
-        break;
-      case '|':
-        evaluate('number', (l, r) => l | r);
-        break;
-      case '^':
-        evaluate('number', (l, r) => l ^ r);
-        break;
-      case '&':
-        evaluate('number', (l, r) => l & r);
-    }
-    return result;
+    return evaluateBinary(ast.operator, leftInfo, rightInfo, ast);
   },
   AssignmentExpression(ast, scope) {
-    const result = visit(ast.right, scope);
-    visit(ast.left, scope);
-    switch (ast.operator) {
-      case '<<=':
-      case '>>=':
-      case '>>>=':
-      case '+=':
-      case '-=':
-      case '*=':
-      case '**=':
-      case '/=':
-      case '%=':
-      case '|=':
-      case '^=':
-      case '&=':
-        result.type = 'number';
+    if (['&&=', '||=', '??='].includes(ast.operator)) {
+      // `a op= b` assigns `b` to `a` only if `a op b` would evaluate `b`
+      const target = analyzeTarget(ast.left, scope);
+      return analyzeLogical(ast.operator.slice(0, -1), ast.left, target.info, scope, () => {
+        const rightInfo = visit(ast.right, scope);
+        target.assign(getState(rightInfo));
+        return rightInfo;
+      });
     }
+    if (ast.operator === '=' && ast.left.type !== 'Identifier' && ast.left.type !== 'MemberExpression') {
+      // destructuring assignment
+      const result = visit(ast.right, scope);
+      visit(ast.left, scope);
+      assignPattern(ast.left, scope, result, false);
+      return result;
+    }
+    const target = analyzeTarget(ast.left, scope);
+    const declaredType = getDeclaredType(ast);
+    if (declaredType && target.info) {
+      // such as `/** @type {number} */ this.count = 0;`
+      declareType(target.info, declaredType);
+    }
+    const rightInfo = visit(ast.right, scope);
+    const result = ast.operator === '=' ? getState(rightInfo) :
+      // `a op= b` is equivalent to `a = a op b`, except `a` is evaluated once
+      evaluateBinary(ast.operator.slice(0, -1), target.info, rightInfo, ast) || {};
+    target.assign(result);
     return result;
   },
   AssignmentPattern(ast, scope, declContext) {
-    visit(ast.right, scope);
+    // the default value is analyzed when the pattern is assigned
     visit(ast.left, scope, declContext);
   },
   LogicalExpression(ast, scope) {
     const leftInfo = visit(ast.left, scope);
-    const rightInfo = visit(ast.right, scope);
-    let result;
-
-    function evaluate(op, shortOp) {
-      if (shortOp && leftInfo && shortOp(leftInfo)) {
-        result = leftInfo;
-      } else {
-        result = unionInfo(leftInfo, rightInfo);
-        if (op && leftInfo && 'value' in leftInfo && rightInfo && 'value' in rightInfo) {
-          result.value = op(leftInfo.value, rightInfo.value);
-        }
+    return analyzeLogical(ast.operator, ast.left, leftInfo, scope, () => visit(ast.right, scope));
+  },
+  ChainExpression(ast, scope) {
+    const outerOptional = context.optionalChain;
+    context.optionalChain = false;
+    try {
+      const result = visit(ast.expression, scope);
+      return context.optionalChain ? unionInfo(result, {
+        type: 'undefined',
+        value: undefined
+      }) : result;
+    } catch (e) {
+      if (e !== chainShortCircuit) {
+        throw e;
       }
+      return {
+        type: 'undefined',
+        value: undefined
+      };
+    } finally {
+      context.optionalChain = outerOptional;
     }
-    switch (ast.operator) {
-      case '||':
-        evaluate((l, r) => l || r, l => 'value' in l ? !!l.value : isTruthy(l.type));
-        break;
-      case '&&':
-        evaluate((l, r) => l && r, l => 'value' in l ? !l.value : isFalsy(l.type));
-    }
-    return result;
   },
   MemberExpression(ast, scope) {
-    let memberInfo;
-    const objInfo = visit(ast.object, scope) || {};
-
-    // assume object is an 'object' unless we already know it is an 'array'
-    const objType = 'object';
-    if (!objInfo.type) {
-      objInfo.type = objType;
-    } else if (!hasKind(objInfo.type, 'array')) {
-      objInfo.type = union(objInfo.type, objType);
-    }
-
-    let propValue;
-    if (!ast.computed) {
-      // 'a.b': ast.property is an Identifier
-      propValue = ast.property.name;
-      const members = objInfo.members || (objInfo.members = {});
-      memberInfo = visit(ast.property, Scope.withMembers(members));
-    } else {
-      // 'a[b]': ast.property is an Expression
-      const propInfo = visit(ast.property, scope);
-      if (propInfo && 'value' in propInfo) {
-        propValue = propInfo.value;
-      }
-    }
-
-    // special case when object and property are constant
-    if (propValue !== undefined && 'value' in objInfo) {
-      const value = objInfo.value[propValue];
-      memberInfo = {
-        type: kindOf(value),
-        value
-      };
+    const {
+      objInfo,
+      propInfo,
+      memberInfo
+    } = analyzeMember(ast, scope);
+    if (ast.computed) {
+      checkIndex(objInfo, propInfo, ast.property);
     }
-
     return memberInfo;
   },
   ConditionalExpression(ast, scope) {
     const testInfo = visit(ast.test, scope);
-    const consequent = visit(ast.consequent, scope);
-    const alternate = visit(ast.alternate, scope);
-    if (testInfo && 'value' in testInfo) {
+    if (context.evaluating && testInfo && 'value' in testInfo) {
+      // only the branch taken is executed while evaluating a call
+      return visit(testInfo.value ? ast.consequent : ast.alternate, scope);
+    }
+    const known = !!testInfo && 'value' in testInfo;
+    if (known) {
+      reportUnreachableBranch(testInfo.value ? ast.alternate : ast.consequent, testInfo.value);
+    }
+    let consequent;
+    let alternate;
+    analyzeBranches(() => {
+      const reachable = assumeTest(ast.test, scope, true);
+      consequent = snapshot(visit(ast.consequent, scope));
+      return reachable && (!known || !!testInfo.value);
+    }, () => {
+      const reachable = assumeTest(ast.test, scope, false);
+      alternate = snapshot(visit(ast.alternate, scope));
+      return reachable && (!known || !testInfo.value);
+    });
+    if (known) {
       return testInfo.value ? consequent : alternate;
     }
-    return unionInfo(consequent, alternate);
+    const result = unionInfo(consequent, alternate);
+    const consequentType = getLiteralType(consequent);
+    const alternateType = getLiteralType(alternate);
+    if (result && !('value' in result) && consequentType && alternateType) {
+      // choices between constants, such as `c ? 'a' : 'b'`, have literal union types
+      result.type = union(consequentType, alternateType);
+    }
+    return result;
   },
   CallExpression(ast, scope) {
-    const funcInfo = visit(ast.callee, scope);
-    if (funcInfo) {
+    let thisInfo;
+    let funcInfo;
+    if (ast.callee.type === 'MemberExpression') {
+      ({
+        objInfo: thisInfo,
+        memberInfo: funcInfo
+      } = analyzeMember(ast.callee, scope));
+    } else {
+      funcInfo = visit(ast.callee, scope);
+    }
+    if (ast.optional) {
+      analyzeOptional(funcInfo);
+    }
+    if (funcInfo && getKind(funcInfo.type) !== 'function') {
       funcInfo.type = 'function';
     }
-    // TODO: evaluate built-in and constant value functions
-    for (const arg of ast.arguments) {
-      visit(arg, scope);
+    const argInfos = ast.arguments.map(arg => visit(arg, scope));
+    checkArgumentTypes(funcInfo, argInfos, ast.arguments);
+
+    // evaluate pure functions with constant arguments
+    const impl = funcInfo && 'value' in funcInfo ?
+      isPureFunction(funcInfo.value) && funcInfo.value :
+      getPureFunction(getQualifiedName(ast.callee, scope));
+    if (impl) {
+      // pure functions do not affect their arguments
+      return evaluatePure(impl, thisInfo, argInfos) || getReturnInfo(funcInfo);
+    }
+    if (funcInfo && funcInfo[closure] && argInfos.every(isConstant)) {
+      const result = evaluateCall(funcInfo, argInfos);
+      if (result) {
+        // the call assigned copies of the objects passed to it, so their
+        // members may have been modified
+        [thisInfo, ...argInfos].forEach(info => dropMemberValues(info));
+        return result;
+      }
     }
+    analyzeUnknownCall([thisInfo, ...argInfos]);
+    return getReturnInfo(funcInfo);
   },
   NewExpression(ast, scope) {
     const ctorInfo = visit(ast.callee, scope);
-    if (ctorInfo) {
+    if (ctorInfo && getKind(ctorInfo.type) !== 'function') {
       ctorInfo.type = 'function';
     }
-    for (const arg of ast.arguments) {
-      visit(arg, scope);
+    const argInfos = ast.arguments.map(arg => visit(arg, scope));
+    // the built-in collections may also be undeclared globals
+    const instanceType = ctorInfo && ctorInfo.instance && ctorInfo.instance.type;
+    const collectionName = ctorInfo && ['Set', 'Map'].find(name =>
+      isRef(instanceType, name) || implicitGlobals.has(ctorInfo) && ctorInfo.name === name);
+    const collectionArgs = collectionName && getCollectionTypeArgs(collectionName, argInfos[0]);
+    analyzeUnknownCall(argInfos);
+    if (collectionArgs) {
+      return {
+        type: refOf(collectionName, collectionArgs)
+      };
+    }
+    if (ctorInfo && ctorInfo.instance) {
+      // each instance has its own copy of the members of the class instance
+      return {
+        type: ctorInfo.instance.type,
+        members: copyMembers(ctorInfo.instance.members, {})
+      };
     }
     return {
       type: 'object'
@@ -617,11 +1023,15 @@ const visitors = {
     return lastInfo;
   },
   ClassDeclaration(ast, scope) {
-    declare(ast, scope);
-    analyzeClass(ast, scope);
+    // only anonymous in `export default class {}`
+    const result = ast.id ? declare(ast, scope) : {};
+    result.type = 'function';
+    return analyzeClass(ast, scope, result);
   },
   ClassExpression(ast, scope) {
-    analyzeClass(ast, scope);
+    return analyzeClass(ast, scope, {
+      type: 'function'
+    });
   },
   MetaProperty(ast) {
     if (ast.meta.name === 'new' && ast.property.name === 'target') {
@@ -629,48 +1039,2576 @@ const visitors = {
         type: 'function'
       };
     }
+    if (ast.meta.name === 'import' && ast.property.name === 'meta') {
+      return {
+        type: 'object'
+      };
+    }
+  },
+  ImportExpression(ast, scope) {
+    visit(ast.source, scope);
+    if (ast.options) {
+      visit(ast.options, scope);
+    }
+    // the promise of the module namespace object
+    return {
+      type: refOf('Promise', ['object'])
+    };
+  },
+  PrivateIdentifier() {
+    // only valid as a member key or the left operand of `in`
   }
 }
-function declare(ast, scope) {
-  const name = ast.id.name;
-  return scope.addOwnMember(name, {
-    name
-  });
-}
-
-function analyzeBody(ast, scope) {
-  let processDirectives = scope.isTopLevel();
-  for (const stmt of ast.body) {
-    if (processDirectives) {
-      if (stmt.type === 'ExpressionStatement' &&
-        stmt.expression.type === 'Literal' &&
-        stmt.expression.value === 'use strict') {
-        scope.useStrict();
-        continue;
-      }
-      processDirectives = false;
+// declares the names bound by a declarator of a variable declaration, which
+// are then assigned by the caller, and returns their bindings
+function declareVariable(ast, decl, scope) {
+  const {
+    kind = 'var'
+  } = ast;
+  visit(decl.id, scope, kind);
+  const bindings = getDeclaredNames(decl.id).map(name => scope.findMember(name));
+  if (kind === 'const') {
+    for (const binding of bindings) {
+      binding.constant = true;
     }
-    visit(stmt, scope);
   }
+  const declaredType = getDeclaredType(ast);
+  if (declaredType && decl.id.type === 'Identifier') {
+    declareType(bindings[0], declaredType);
+  }
+  return bindings;
 }
 
-function analyzeClass(ast, scope) {
-  if (ast.superClass) {
-    visit(ast.superClass, scope);
-  }
-  scope = scope.createNested();
-  for (const def of ast.body.body) {
-    visit(def.key, scope);
-    visit(def.value, scope);
-  }
+function declare(ast, scope) {
+  return addDeclaration(scope, ast.id, ast.type === 'FunctionDeclaration');
 }
 
-function unionInfo(a, b) {
+// bindings declared by `var` statements, function declarations, or parameters
+const varBindings = new WeakSet();
+
+// built-in globals that have been redeclared
+const redeclaredGlobals = new WeakSet();
+
+// bindings of lexical declarations that have been hoisted but not yet declared
+const hoistedBindings = new WeakSet();
+
+// globals defined by references to names that were not declared
+const implicitGlobals = new WeakSet();
+
+// adds the binding for a declaration to the given scope; declarations of vars,
+// functions, and parameters can redeclare each other, but other duplicate
+// declarations are errors, after which the existing binding is used; the
+// bindings of other declarations that are `hoisted` are used by the
+// declarations themselves, as are globals defined by prior references
+function addDeclaration(scope, id, varLike, hoisted) {
+  const name = id.name;
+  let binding = scope.getOwnMember(name);
+  if (binding && (hoistedBindings.has(binding) || implicitGlobals.has(binding))) {
+    hoistedBindings.delete(binding);
+    implicitGlobals.delete(binding);
+    if (varLike) {
+      varBindings.add(binding);
+    } else if (hoisted) {
+      hoistedBindings.add(binding);
+    }
+    return binding;
+  }
+  if (binding && isGlobalProperty(binding) && !redeclaredGlobals.has(binding)) {
+    // the first declaration of a built-in global, such as `var JSON`, declares
+    // it, and lexical declarations replace its analysis
+    redeclaredGlobals.add(binding);
+    if (varLike) {
+      varBindings.add(binding);
+    } else {
+      for (const key of Object.keys(binding).filter(key => key !== 'name')) {
+        delete binding[key];
+      }
+      if (hoisted) {
+        hoistedBindings.add(binding);
+      }
+    }
+    return binding;
+  }
+  if (binding) {
+    if (!varLike || !varBindings.has(binding)) {
+      reportError('duplicate-declaration', `'${name}' already defined`, id);
+    }
+    return binding;
+  }
+  binding = scope.addOwnMember(name, {
+    name
+  });
+  if (varLike) {
+    varBindings.add(binding);
+  } else if (hoisted) {
+    hoistedBindings.add(binding);
+  }
+  if (context.declared) {
+    context.declared.add(binding);
+  }
+  return binding;
+}
+
+// reports an error through the `onDiagnostic` option or, if it is not
+// specified, throws it
+function reportError(code, message, node) {
+  if (!context.options.onDiagnostic) {
+    throw new Error(message);
+  }
+  report(code, message, node, 'error');
+}
+
+// reports a diagnostic through the `onDiagnostic` option, at most once for
+// each node and code, since functions and loops may be analyzed repeatedly
+function report(code, message, node, severity = 'warning') {
+  const { onDiagnostic } = context.options;
+  if (onDiagnostic && !context.evaluating && !context.speculating) {
+    let codes = context.reported.get(node);
+    if (!codes) {
+      context.reported.set(node, codes = new Set());
+    }
+    if (!codes.has(code)) {
+      codes.add(code);
+      onDiagnostic({
+        code,
+        severity,
+        message,
+        node,
+        loc: node.loc
+      });
+    }
+  }
+}
+
+function reportUnreachableBranch(branch, testValue) {
+  if (branch) {
+    report('unreachable-branch', `Unreachable branch: condition is always ${testValue ? 'true' : 'false'}`, branch);
+  }
+}
+
+function reportUnreachableCode(statements) {
+  const index = statements.findIndex(isTerminal);
+  if (index >= 0) {
+    // function declarations are hoisted and so remain reachable
+    const unreachable = statements.slice(index + 1)
+      .find(stmt => stmt.type !== 'FunctionDeclaration' && stmt.type !== 'EmptyStatement');
+    if (unreachable) {
+      report('unreachable-code', 'Unreachable code', unreachable);
+    }
+  }
+}
+
+function reportConstantCondition(test, testInfo) {
+  if (testInfo && 'value' in testInfo) {
+    report('constant-condition', `Condition is always ${testInfo.value ? 'true' : 'false'}`, test);
+  }
+  return testInfo;
+}
+
+// returns the type declared for a node by a JSDoc comment, if any
+function getDeclaredType(ast) {
+  const doc = context.docs.get(ast);
+  return doc && doc.type;
+}
+
+// declares the type of a binding or member, which is its type whenever its
+// type is otherwise unknown
+function declareType(binding, type) {
+  binding.declaredType = type;
+  if (!binding.type) {
+    binding.type = type;
+  }
+}
+
+// reports a value whose type is not assignable to the declared type
+function checkDeclaredType(declaredType, info, node) {
+  const type = declaredType && info && getAnalysisType(info);
+  // objects with unknown properties may have any declared properties
+  if (type && !(type === 'object' && hasKind(declaredType, 'object')) && isNotAssignable(declaredType, type)) {
+    // constants are shown with their literal types, such as `'c'`
+    report('type-mismatch', `Type ${quoteType(getLiteralType(info) || type)} is not assignable ` +
+      `to declared type ${quoteType(declaredType)}`, node);
+  }
+}
+
+// formats a type in quotes for a message, unless it is a string literal type,
+// which is already quoted
+function quoteType(type) {
+  const text = formatType(type);
+  return isLiteral(type) && typeof type.literal === 'string' ? text : `'${text}'`;
+}
+
+// checks the arguments of a call to a function against the types of its
+// parameters declared by a JSDoc comment
+function checkArgumentTypes(funcInfo, argInfos, argNodes) {
+  const ast = funcInfo && funcInfo[closure] && funcInfo[closure].ast;
+  // the parameters of spread arguments are not known
+  if (!ast || argNodes.some(arg => arg.type === 'SpreadElement')) {
+    return;
+  }
+  const doc = getFunctionDoc(ast);
+  ast.params.forEach((param, index) => {
+    const declaredType = getDeclaredParamType(param, index, doc.params || []);
+    if (param.type === 'RestElement') {
+      for (let i = index; i < argInfos.length; i++) {
+        checkDeclaredType(declaredType && getElementType(declaredType), argInfos[i], argNodes[i]);
+      }
+    } else if (index < argInfos.length) {
+      checkDeclaredType(declaredType, argInfos[index], argNodes[index]);
+    }
+  });
+}
+
+/**
+ * Returns the type of the given analysis, including the types of the
+ * properties of objects whose value or members are known. Known array values
+ * within objects have tuple types.
+ * 
+ * @param {Object} info an analysis
+ * @returns {(Type|undefined)} the type of the analysis, if known
+ */
+export function getAnalysisType(info, seen = new Set()) {
+  if (info.type !== 'object') {
+    return info.type;
+  }
+  if ('value' in info) {
+    return getValueType(info.value);
+  }
+  // private members are not properties
+  const members = info.members || {};
+  const names = Object.keys(members).filter(name => !name.startsWith('#'));
+  if (names.length === 0 || seen.has(members)) {
+    return info.type;
+  }
+  seen.add(members);
+  const properties = {};
+  for (const name of names) {
+    properties[name] = getAnalysisType(members[name], seen);
+  }
+  seen.delete(members);
+  // objects with members of unknown type have unknown properties
+  return names.every(name => properties[name]) ? objectOf(properties) : info.type;
+}
+
+function getValueType(value) {
+  if (kindOf(value) === 'object' && value && Object.getPrototypeOf(value) === Object.prototype) {
+    const properties = {};
+    for (const key of Object.keys(value)) {
+      properties[key] = getValueType(value[key]);
+    }
+    return objectOf(properties);
+  }
+  if (Array.isArray(value)) {
+    return tupleOf(value.map(getValueType));
+  }
+  return literalOf(value);
+}
+
+// properties of bindings that are not affected by assignment
+const bindingProps = ['name', 'constant', 'import', 'declaredType'];
+
+// returns a copy of the analysis of a value, without any binding properties
+function getState(info) {
+  const state = {};
+  if (info) {
+    for (const key of Reflect.ownKeys(info)) {
+      if (!bindingProps.includes(key)) {
+        state[key] = info[key];
+      }
+    }
+  }
+  return state;
+}
+
+function setState(info, state) {
+  for (const key of Reflect.ownKeys(info)) {
+    if (!bindingProps.includes(key)) {
+      delete info[key];
+    }
+  }
+  Object.assign(info, state);
+  if (info.declaredType && !info.type) {
+    info.type = info.declaredType;
+  }
+}
+
+// replaces the state of a binding, recording its prior state in the journal of
+// the current path of execution so that alternative paths can be joined
+function assign(binding, state) {
+  if (!context.journal.has(binding)) {
+    context.journal.set(binding, getState(binding));
+  }
+  for (const target of context.jumpTargets) {
+    if (!target.priors.has(binding)) {
+      target.priors.set(binding, getState(binding));
+    }
+  }
+  setState(binding, state);
+}
+
+// copies the result of an expression on a path of execution, since the
+// binding it may refer to can have a different state after the join
+function snapshot(info) {
+  return info && getState(info);
+}
+
+// analyzes alternative paths of execution, each given as a function that
+// returns whether execution can continue after the path, and joins the states
+// of the bindings assigned on the paths that continue; returns whether any
+// path continues
+function analyzeBranches(...paths) {
+  const endStates = paths.map(analyzePath).filter(states => states);
+  const bindings = new Set();
+  for (const states of endStates) {
+    states.forEach((state, binding) => bindings.add(binding));
+  }
+  for (const binding of bindings) {
+    const prior = getState(binding);
+    assign(binding, endStates
+      .map(states => states.has(binding) ? states.get(binding) : prior)
+      .reduce(unionInfo));
+  }
+  return endStates.length > 0;
+}
+
+// analyzes a path of execution given as a function that returns whether
+// execution can continue after it, and returns the states of the bindings
+// assigned on the path at its end if it continues, restoring their prior states
+function analyzePath(path) {
+  const outerJournal = context.journal;
+  const journal = context.journal = new Map();
+  try {
+    if (path()) {
+      return new Map(Array.from(journal.keys(), binding => [binding, getState(binding)]));
+    }
+  } finally {
+    context.journal = outerJournal;
+    for (const [binding, prior] of journal) {
+      setState(binding, prior);
+    }
+  }
+}
+
+// types of the statements that labels apply to as the targets of jumps
+const labeledTypes = [
+  'DoWhileStatement',
+  'ForInStatement',
+  'ForOfStatement',
+  'ForStatement',
+  'LabeledStatement',
+  'SwitchStatement',
+  'WhileStatement'
+];
+
+// analyzes a statement of the given kind (`loop`, `switch`, or `block`) that
+// `break` statements, and for loops `continue` statements, can jump out of,
+// given as a function that returns whether execution can continue after it;
+// returns the jump target, which records the `priors` states of the bindings
+// assigned within the statement and their states at each of its `breaks` and
+// `continues`, and whether it `completes` normally
+function analyzeJumpTarget(kind, labels, analyze) {
+  const target = {
+    kind,
+    labels: labels || [],
+    priors: new Map(),
+    breaks: [],
+    continues: []
+  };
+  const outerTargets = context.jumpTargets;
+  context.jumpTargets = outerTargets.concat([target]);
+  try {
+    target.completes = analyze();
+  } finally {
+    context.jumpTargets = outerTargets;
+  }
+  return target;
+}
+
+// returns the innermost jump target of a `break` or `continue` statement,
+// which is the statement with its label or otherwise of one of the given kinds
+function findJumpTarget(ast, kinds) {
+  const targets = context.jumpTargets;
+  for (let i = targets.length - 1; i >= 0; --i) {
+    const target = targets[i];
+    if (ast.label ? target.labels.includes(ast.label.name) : kinds.includes(target.kind)) {
+      return target;
+    }
+  }
+}
+
+// returns the current states of the bindings assigned within a jump target
+function getJumpStates(target) {
+  return new Map(Array.from(target.priors.keys(), binding => [binding, getState(binding)]));
+}
+
+// joins the states of the bindings assigned within a jump target at the given
+// jumps with their current states if execution also continues normally
+function joinJumps(target, jumps, continues) {
+  if (jumps.length === 0) {
+    return;
+  }
+  for (const [binding, prior] of target.priors) {
+    const states = jumps.map(states => states.has(binding) ? states.get(binding) : prior);
+    if (continues) {
+      states.push(getState(binding));
+    }
+    assign(binding, states.reduce(unionInfo));
+  }
+}
+
+// narrows the types of the bindings guarded by a test on a path of execution
+// where the test is known to be truthy or falsy, and returns false if no value
+// of some guarded binding can satisfy the test
+function assumeTest(ast, scope, truthy) {
+  return assumeGuards(getGuards(ast, scope, truthy));
+}
+
+// narrows the types of bindings to those satisfying the given guards, and
+// returns false if no value of some binding can satisfy its guard
+function assumeGuards(guards) {
+  let reachable = true;
+  for (const [binding, guard, rangeGuard] of guards) {
+    if (guard) {
+      const type = narrow(binding.type, guard);
+      if (type !== binding.type) {
+        assign(binding, { ...getState(binding),
+          type
+        });
+        if (Array.isArray(type) && type.length === 0) {
+          reachable = false;
+        }
+      }
+    }
+    const range = rangeGuard && getRange(binding);
+    if (range) {
+      const narrowed = rangeGuard(range);
+      if (isEmptyRange(narrowed)) {
+        reachable = false;
+      } else if (!rangesEqual(narrowed, range) && !('value' in binding)) {
+        const state = getState(binding);
+        if (binding.type === 'number') {
+          state.range = narrowed;
+        } else {
+          // unions of number literals are narrowed to the literals in range
+          state.type = narrow(binding.type, t => t.literal >= narrowed.min && t.literal <= narrowed.max);
+        }
+        assign(binding, state);
+      }
+    }
+  }
+  return reachable;
+}
+
+// returns triples of bindings, predicates for `narrow` that the types of the
+// bindings satisfy, and functions narrowing the ranges of numeric bindings,
+// when the given test is truthy or falsy
+function getGuards(ast, scope, truthy, guards = []) {
+  function addGuard(ref, guard, rangeGuard) {
+    const binding = ref.type === 'Identifier' && scope.findMember(ref.name);
+    if (binding) {
+      guards.push([binding, guard, rangeGuard]);
+    }
+  }
+
+  // adds guards narrowing the ranges of the operands of a comparison
+  function addRangeGuards(left, operator, right) {
+    for (const [ref, other, op] of [[left, right, operator], [right, left, swapOperator(operator)]]) {
+      const otherRange = getOperandRange(other, scope);
+      if (otherRange) {
+        addGuard(ref, undefined, range => narrowRange(range, op, otherRange, truthy));
+      }
+    }
+  }
+
+  switch (ast.type) {
+    case 'Identifier':
+      addGuard(ast, truthinessGuard(truthy));
+      break;
+    case 'UnaryExpression':
+      if (ast.operator === '!') {
+        getGuards(ast.argument, scope, !truthy, guards);
+      }
+      break;
+    case 'LogicalExpression':
+      // both operands are known only when `a && b` is truthy or `a || b` is falsy
+      if ((ast.operator === '&&') === truthy) {
+        getGuards(ast.left, scope, truthy, guards);
+        getGuards(ast.right, scope, truthy, guards);
+      }
+      break;
+    case 'BinaryExpression':
+      if (['==', '!=', '===', '!=='].includes(ast.operator)) {
+        const equal = (ast.operator[0] === '=') === truthy;
+        const strict = ast.operator.length === 3;
+        for (const [ref, other] of [[ast.left, ast.right], [ast.right, ast.left]]) {
+          if (ref.type === 'UnaryExpression' && ref.operator === 'typeof' &&
+            other.type === 'Literal' && typeof other.value === 'string') {
+            addGuard(ref.argument, typeofGuard(other.value, equal));
+          } else if (isNullLiteral(other)) {
+            addGuard(ref, nullishGuard(strict ? ['null'] : nullishKinds, equal));
+          } else if (isUndefinedLiteral(other)) {
+            addGuard(ref, nullishGuard(strict ? ['undefined', 'void'] : nullishKinds, equal));
+          }
+        }
+        addRangeGuards(ast.left, ast.operator, ast.right);
+      } else if (['<', '<=', '>', '>='].includes(ast.operator)) {
+        addRangeGuards(ast.left, ast.operator, ast.right);
+      } else if (ast.operator === 'instanceof' && truthy) {
+        addGuard(ast.left, instanceGuard);
+      }
+      break;
+    case 'CallExpression':
+      if (getQualifiedName(ast.callee, scope) === 'Array.isArray' && ast.arguments.length > 0) {
+        addGuard(ast.arguments[0], arrayGuard(truthy));
+      }
+  }
+  return guards;
+}
+
+// returns the range of an operand of a comparison that can be determined
+// without analyzing it again: a number literal, possibly negated, a binding,
+// or the length of a binding
+function getOperandRange(ast, scope) {
+  switch (ast.type) {
+    case 'Literal':
+      return typeof ast.value === 'number' ? valueRange(ast.value) : undefined;
+    case 'UnaryExpression':
+      if (ast.operator === '-') {
+        const range = getOperandRange(ast.argument, scope);
+        return range && negateRange(range);
+      }
+      break;
+    case 'Identifier':
+      return getRange(scope.findMember(ast.name));
+    case 'MemberExpression':
+      if (!ast.computed && ast.property.name === 'length' && ast.object.type === 'Identifier') {
+        return getLengthRange(scope.findMember(ast.object.name));
+      }
+  }
+}
+
+// returns a guard for `narrow` for an operand of `??` that is nullish or not
+function getNullishGuards(ast, scope, nullish) {
+  const binding = ast.type === 'Identifier' && scope.findMember(ast.name);
+  return binding ? [[binding, nullishGuard(nullishKinds, nullish)]] : [];
+}
+
+function isNullLiteral(ast) {
+  return ast.type === 'Literal' && ast.raw === 'null';
+}
+
+function isUndefinedLiteral(ast) {
+  return (ast.type === 'Identifier' && ast.name === 'undefined') ||
+    (ast.type === 'UnaryExpression' && ast.operator === 'void');
+}
+
+function truthinessGuard(truthy) {
+  return type => truthy ? !isFalsy(type) : !isTruthy(type);
+}
+
+const nullishKinds = ['undefined', 'void', 'null'];
+
+function nullishGuard(kinds, equal) {
+  return type => {
+    const kind = getKind(type);
+    if (kind === 'any') {
+      return !equal || kinds.filter(k => k !== 'void');
+    }
+    return kinds.includes(kind) === equal;
+  };
+}
+
+// returns whether a type has no nullish alternatives
+function isNotNullish(type) {
+  return !!type && getUnionTypes(type).every(t => ![...nullishKinds, 'any'].includes(getKind(t)));
+}
+
+// returns whether a type has only nullish alternatives
+function isNullish(type) {
+  return !!type && getUnionTypes(type).every(t => nullishKinds.includes(getKind(t)));
+}
+
+// logical operators, with functions returning whether a left operand value or
+// type decides the result, and a guard for `narrow` for deciding types
+const logicalOperators = {
+  '&&': {
+    decides: v => !v,
+    alwaysDecides: isFalsy,
+    guard: truthinessGuard(false)
+  },
+  '||': {
+    decides: v => !!v,
+    alwaysDecides: isTruthy,
+    guard: truthinessGuard(true)
+  },
+  '??': {
+    decides: v => v != null,
+    alwaysDecides: isNotNullish,
+    guard: nullishGuard(nullishKinds, false)
+  }
+};
+
+// analyzes a logical operation given the analysis of its left operand and a
+// function analyzing its right operand, which is executed only when the left
+// operand does not decide the result
+function analyzeLogical(operator, leftAst, leftInfo, scope, analyzeRight) {
+  const {
+    decides: decidesValue,
+    alwaysDecides,
+    guard
+  } = logicalOperators[operator];
+  leftInfo = snapshot(leftInfo);
+  const known = !!leftInfo && 'value' in leftInfo;
+  const decides = known ? decidesValue(leftInfo.value) : !!leftInfo && alwaysDecides(leftInfo.type);
+  let rightInfo;
+  // while evaluating a call, the right operand is only visited if it would be executed
+  if (!context.evaluating || !decides) {
+    analyzeBranches(() => {
+      const reachable = assumeOperand(operator, leftAst, scope, false);
+      rightInfo = snapshot(analyzeRight());
+      return reachable && !decides;
+    }, () => assumeOperand(operator, leftAst, scope, true) && (!known || decides));
+  }
+  if (decides) {
+    return leftInfo;
+  }
+  if (known) {
+    return rightInfo;
+  }
+  // the left operand is the result only when it decides the result
+  const leftResult = leftInfo && leftInfo.type ? {
+    type: narrow(leftInfo.type, guard)
+  } : leftInfo;
+  return unionInfo(leftResult, rightInfo);
+}
+
+// narrows the left operand of a logical operator on the path where it decides
+// the result or the path where it does not
+function assumeOperand(operator, ast, scope, decides) {
+  if (operator === '??') {
+    return assumeGuards(getNullishGuards(ast, scope, !decides));
+  }
+  return assumeTest(ast, scope, (operator === '||') === decides);
+}
+
+// thrown by an optional link in a chain when its object or callee is nullish
+const chainShortCircuit = {};
+
+// handles an optional link in a chain, which short-circuits the chain if its
+// object or callee is nullish and otherwise makes the chain possibly undefined
+function analyzeOptional(info) {
+  if (info && 'value' in info ? info.value == null : isNullish(info && info.type)) {
+    throw chainShortCircuit;
+  }
+  if (!info || !('value' in info || isNotNullish(info.type))) {
+    context.optionalChain = true;
+  }
+}
+
+// maps type kinds to the results of the `typeof` operator
+const typeofResults = {
+  'undefined': 'undefined',
+  'void': 'undefined',
+  'null': 'object',
+  'boolean': 'boolean',
+  'number': 'number',
+  'bigint': 'bigint',
+  'string': 'string',
+  'symbol': 'symbol',
+  'object': 'object',
+  'array': 'object',
+  'tuple': 'object',
+  'ref': 'object',
+  'function': 'function'
+};
+
+function typeofGuard(result, equal) {
+  return type => {
+    const kind = getKind(type);
+    if (kind === 'any') {
+      return !equal || (result === 'object' ? ['object', 'null'] :
+        Object.keys(typeofResults).find(k => typeofResults[k] === result) || true);
+    }
+    return !(kind in typeofResults) || (typeofResults[kind] === result) === equal;
+  };
+}
+
+function instanceGuard(type) {
+  const kind = getKind(type);
+  return kind === 'any' ? 'object' : ['object', 'array', 'tuple', 'ref', 'function'].includes(kind);
+}
+
+function arrayGuard(truthy) {
+  return type => {
+    const kind = getKind(type);
+    if (truthy) {
+      return kind === 'any' || kind === 'object' ? 'array' : kind === 'array' || kind === 'tuple';
+    }
+    return kind !== 'array' && kind !== 'tuple';
+  };
+}
+
+// analyzes a loop statement that executes its body any number of times,
+// starting from states of the bindings assigned within the given nodes that
+// hold before every iteration; the loop is described by its `test` node, if
+// any, evaluated before each iteration or, if `testAfter` is true, after each
+// iteration, by `analyzeTest`, which returns the analysis of the test, and by
+// `analyzeBody`, which returns whether the end of the body is reachable
+function analyzeLoop(ast, scope, nodes, labels, loop) {
+  const bindings = [];
+  for (const name of getAssignedNames(nodes)) {
+    const binding = scope.findMember(name);
+    if (binding && !binding.constant) {
+      bindings.push(binding);
+    }
+  }
+  // the next iteration starts from the end of the body or from any `continue`
+  // statement, and the loop also exits from any `break` statement
+  let target;
+  const analyzeBody = () => {
+    target = analyzeJumpTarget('loop', labels, loop.analyzeBody);
+    joinJumps(target, target.continues, target.completes);
+    return target.completes || target.continues.length > 0;
+  };
+  // analyzes the test on a path where it has the given result, returning
+  // whether the path is reachable; loops without tests can always exit
+  const analyzeTest = result => {
+    if (!loop.test) {
+      return true;
+    }
+    const testInfo = loop.analyzeTest();
+    const possible = !testInfo || !('value' in testInfo) || !testInfo.value === !result;
+    return assumeTest(loop.test, scope, result) && possible;
+  };
+  // the body is analyzed even if the test prevents any iteration
+  const iterate = loop.testAfter ? () => analyzeBody() && analyzeTest(true) : () => {
+    const entered = analyzeTest(true);
+    return analyzeBody() && entered;
+  };
+  const states = getCachedLoopStates(ast, scope, bindings, iterate);
+  for (const binding of bindings) {
+    assign(binding, states.get(binding));
+  }
+  // the loop exits when the test is false, which for `do`-`while` loops is
+  // only after an iteration
+  const exits = loop.testAfter ? analyzeBranches(() => {
+    const continues = analyzeBody();
+    return analyzeTest(false) && continues;
+  }) : analyzeBranches(() => {
+    iterate();
+    return false;
+  }, () => analyzeTest(false));
+  joinJumps(target, target.breaks, exits);
+}
+
+// returns the states of the bindings assigned in a loop that hold before any
+// iteration, which are cached by the states on entry of the bindings that the
+// loop refers to, so that a loop nested in another loop is not analyzed again
+// by each iteration of the outer loop that enters it with the same states
+function getCachedLoopStates(ast, scope, bindings, analyzeIteration) {
+  const entry = [context.evaluating];
+  for (const name of getReferencedNames(ast)) {
+    const binding = scope.findMember(name);
+    entry.push(binding && {
+      constant: binding.constant,
+      state: getState(binding)
+    });
+  }
+  let cached = context.loopStates.get(ast);
+  if (!cached) {
+    context.loopStates.set(ast, cached = []);
+  }
+  const hit = cached.find(item => item.entry.every((value, i) => entriesEqual(value, entry[i])));
+  if (hit) {
+    return new Map(bindings.map((binding, i) => [binding, hit.states[i]]));
+  }
+  const states = getLoopStates(bindings, analyzeIteration);
+  cached.push({
+    entry,
+    states: bindings.map(binding => states.get(binding))
+  });
+  return states;
+}
+
+// returns the names of the identifiers within a node, which include the names
+// of the bindings that it refers to
+function getReferencedNames(ast) {
+  const names = new Set();
+  walk(ast, undefined, {
+    Identifier(node) {
+      names.add(node.name);
+    },
+    Unhandled() {
+      // reported when analyzed
+    }
+  });
+  return names;
+}
+
+// returns whether the entries of two bindings into a loop are equivalent,
+// including the states of the members of objects
+function entriesEqual(a, b) {
+  if (!a || !b || typeof a !== 'object') {
+    return a === b;
+  }
+  if (a.constant !== b.constant || !statesEqual(a.state, b.state)) {
+    return false;
+  }
+  const aMembers = a.state.members || {};
+  const bMembers = b.state.members || {};
+  const names = Object.keys(aMembers);
+  return names.length === Object.keys(bMembers).length &&
+    names.every(name => name in bMembers && statesEqual(getState(aMembers[name]), getState(bMembers[name])));
+}
+
+// number of iterations analyzed before the types of bindings that still
+// change become unknown, such as for arrays nested by each iteration
+const maxLoopTypePasses = 3;
+
+// returns the states of the bindings assigned in a loop that hold before any
+// iteration, by speculatively analyzing iterations and joining the states at
+// the end of each iteration with those at its start until they are stable;
+// ranges are widened, so each bound that changes becomes infinite, and types
+// that keep changing become unknown, so that the iteration terminates; the
+// last iteration then narrows the widened ranges, such as to the bound of a test
+function getLoopStates(bindings, analyzeIteration) {
+  const initialStates = new Map(bindings.map(binding => [binding, getState(binding)]));
+  const states = new Map(initialStates);
+  const getEndStates = () => speculate(() => {
+    for (const binding of bindings) {
+      assign(binding, states.get(binding));
+    }
+    return analyzeIteration() ? new Map(bindings.map(binding => [binding, getState(binding)])) : undefined;
+  });
+  let stable = bindings.length === 0;
+  let endStates;
+  for (let pass = 1; !stable; ++pass) {
+    endStates = getEndStates();
+    stable = true;
+    // an iteration that always exits the loop does not start another
+    for (const binding of endStates ? bindings : []) {
+      const state = states.get(binding);
+      const next = widenState(state, unionInfo(state, endStates.get(binding)), pass >= maxLoopTypePasses);
+      if (!statesEqual(state, next)) {
+        stable = false;
+      }
+      states.set(binding, next);
+    }
+  }
+  // the last iteration started from the stable states, so its end states are
+  // those of an iteration from the stable states
+  for (const binding of endStates ? bindings : []) {
+    states.set(binding, narrowState(states.get(binding), unionInfo(initialStates.get(binding), endStates.get(binding))));
+  }
+  return states;
+}
+
+// returns the stable state of a binding at the start of an iteration with the
+// ranges of the state joined from its initial state and its state after an
+// iteration from the stable state, which are within the stable ranges
+function narrowState(state, joined) {
+  if (!typesEqual(state.type, joined.type)) {
+    return state;
+  }
+  const narrowed = { ...state
+  };
+  const range = state.range && getRange(joined);
+  if (range) {
+    narrowed.range = range;
+  }
+  const lengthRange = state.lengthRange && getLengthRange(joined);
+  if (lengthRange) {
+    narrowed.lengthRange = lengthRange;
+  }
+  return narrowed;
+}
+
+// returns the joined state of a binding at the start of an iteration with its
+// ranges widened from its prior state, and without a type that changed if
+// types are no longer joined
+function widenState(prior, joined, unknownTypes) {
+  if (unknownTypes && !typesEqual(prior.type, joined.type)) {
+    return {};
+  }
+  const state = { ...joined
+  };
+  const priorRange = state.range && getRange(prior);
+  if (priorRange) {
+    state.range = widenRange(priorRange, state.range);
+  }
+  const priorLength = state.lengthRange && getLengthRange(prior);
+  if (priorLength) {
+    state.lengthRange = widenRange(priorLength, state.lengthRange);
+  }
+  return state;
+}
+
+// returns whether two states of a binding are equivalent
+function statesEqual(a, b) {
+  const aRange = getRange(a);
+  const bRange = getRange(b);
+  const aLength = getLengthRange(a);
+  const bLength = getLengthRange(b);
+  return typesEqual(a.type, b.type) &&
+    ('value' in a ? 'value' in b && Object.is(a.value, b.value) : !('value' in b)) &&
+    (aRange && bRange ? rangesEqual(aRange, bRange) : !aRange && !bRange) &&
+    getPrefix(a) === getPrefix(b) &&
+    (aLength && bLength ? rangesEqual(aLength, bLength) : !aLength && !bLength) &&
+    a[closure] === b[closure];
+}
+
+// returns whether two types, which may be unknown, are equal
+function typesEqual(a, b) {
+  return a && b ? typeEquals(a, b) : !a && !b;
+}
+
+// assigns the value of an iteration of a `for`-`in` or `for`-`of` loop to the
+// variables it declares or to its assignment target
+function assignIterationValue(ast, scope, info) {
+  if (ast.type === 'VariableDeclaration') {
+    const decl = ast.declarations[0];
+    declareVariable(ast, decl, scope);
+    assignPattern(decl.id, scope, info, true);
+  } else {
+    assignPattern(ast, scope, info, false);
+  }
+}
+
+// returns the type arguments of a `Set` or `Map` constructed from a constant
+// array of values or entries, such as `new Set([1, 2])`, if known
+function getCollectionTypeArgs(name, info) {
+  const values = info && info.value;
+  if (!Array.isArray(values) || values.length === 0) {
+    return;
+  }
+  const getType = value => getAnalysisType({
+    type: kindOf(value),
+    value
+  });
+  const unionOf = types => types.reduce((a, b) => a && b && union(a, b));
+  if (name === 'Set') {
+    const type = unionOf(values.map(getType));
+    return type && [type];
+  }
+  if (values.every(entry => Array.isArray(entry) && entry.length >= 2)) {
+    const keyType = unionOf(values.map(entry => getType(entry[0])));
+    const valueType = unionOf(values.map(entry => getType(entry[1])));
+    return keyType && valueType && [keyType, valueType];
+  }
+}
+
+// returns the analysis of the values produced by iterating a value, as by a
+// `for`-`of` loop
+function getIteratedInfo(info) {
+  if (info && 'value' in info && ['array', 'string'].includes(kindOf(info.value))) {
+    // strings are iterated by code point
+    const infos = [...info.value].map(value => ({
+      type: kindOf(value),
+      value
+    }));
+    if (infos.length === 0) {
+      return {};
+    }
+    const literalTypes = infos.map(getLiteralType);
+    // iterating constants, such as `['a', 'b']`, produces literal union types
+    return literalTypes.every(type => type) && infos.some(elem => !Object.is(elem.value, infos[0].value)) ? {
+      type: literalTypes.reduce((a, b) => union(a, b))
+    } : infos.reduce(unionInfo);
+  }
+  const type = info && getIteratedType(info.type);
+  return type ? {
+    type
+  } : {};
+}
+
+// analyzes a path of execution without reporting diagnostics, returning its
+// result after undoing its assignments and returns
+function speculate(analyze) {
+  const outerState = {
+    speculating: context.speculating,
+    journal: context.journal
+  };
+  const returns = context.returns;
+  const returnCount = returns && returns.length;
+  // jumps out of the speculative analysis are not recorded
+  const jumpCounts = context.jumpTargets.map(target => [target.breaks.length, target.continues.length]);
+  context.speculating = true;
+  const journal = context.journal = new Map();
+  try {
+    return analyze();
+  } finally {
+    Object.assign(context, outerState);
+    for (const [binding, prior] of journal) {
+      setState(binding, prior);
+    }
+    if (returns) {
+      returns.length = returnCount;
+    }
+    context.jumpTargets.forEach((target, i) => {
+      target.breaks.length = jumpCounts[i][0];
+      target.continues.length = jumpCounts[i][1];
+    });
+  }
+}
+
+function getAssignedNames(nodes) {
+  const names = new Set();
+  const visitors = {
+    AssignmentExpression(node) {
+      getDeclaredNames(node.left).forEach(name => names.add(name));
+    },
+    UpdateExpression(node) {
+      getDeclaredNames(node.argument).forEach(name => names.add(name));
+    },
+    Unhandled() {
+      // reported when analyzed
+    }
+  };
+  for (const node of nodes) {
+    if (node) {
+      if (node.type !== 'VariableDeclaration') {
+        // the left side of a for-in or for-of loop without a declaration
+        getDeclaredNames(node).forEach(name => names.add(name));
+      }
+      walk(node, undefined, visitors);
+    }
+  }
+  return names;
+}
+
+// returns the current analysis of an assignment target and a function that
+// assigns it a new state
+function analyzeTarget(ast, scope) {
+  if (ast.type === 'MemberExpression') {
+    const {
+      objInfo,
+      memberInfo
+    } = analyzeMember(ast, scope);
+    return {
+      info: memberInfo,
+      assign(state) {
+        // the constant value of the object no longer reflects the object
+        dropObjectValue(objInfo);
+        // non-writable properties, such as `Math.PI`, are not assigned
+        const binding = !ast.computed && objInfo.members[getMemberKey(ast)];
+        if (binding && !binding.constant) {
+          checkDeclaredType(binding.declaredType, state, ast);
+          assign(binding, state);
+        }
+      }
+    };
+  }
+  const info = visit(ast, scope);
+  return {
+    info,
+    assign(state) {
+      if (info && !info.constant) {
+        checkDeclaredType(info.declaredType, state, ast);
+        assign(info, state);
+      }
+    }
+  };
+}
+
+// assigns the parts of the given analysis to the targets of a pattern; when
+// declaring, the targets are declared names, which are assigned even if constant
+function assignPattern(ast, scope, info, declaring) {
+  switch (ast.type) {
+    case 'Identifier':
+      if (declaring) {
+        const binding = scope.findMember(ast.name);
+        checkDeclaredType(binding.declaredType, info, ast);
+        assign(binding, getState(info));
+        return;
+      }
+      break;
+    case 'ArrayPattern':
+      ast.elements.forEach((element, i) => {
+        if (element && element.type === 'RestElement') {
+          assignPattern(element.argument, scope, getRestElementsInfo(info, i), declaring);
+        } else if (element) {
+          assignPattern(element, scope, getElementInfo(info, i), declaring);
+        }
+      });
+      return;
+    case 'ObjectPattern': {
+      const keys = [];
+      for (const prop of ast.properties) {
+        if (prop.type === 'RestElement') {
+          assignPattern(prop.argument, scope, getRestPropertiesInfo(info, keys), declaring);
+        } else {
+          const key = getPropertyKey(prop, scope);
+          keys.push(key);
+          assignPattern(prop.value, scope, getPropertyInfo(info, key), declaring);
+        }
+      }
+      return;
+    }
+    case 'AssignmentPattern':
+      assignPattern(ast.left, scope, applyDefault(info, ast.right, scope), declaring);
+      return;
+  }
+  analyzeTarget(ast, scope).assign(getState(info));
+}
+
+// returns the analysis of a destructured value with the given default
+// expression, which is used only if the value is undefined
+function applyDefault(info, defaultAst, scope) {
+  if (info && 'value' in info) {
+    return info.value === undefined ? visit(defaultAst, scope) : info;
+  }
+  const defaultInfo = visit(defaultAst, scope);
+  const type = info && excludeUndefined(info.type);
+  if (type && getUnionTypes(type).length === 0) {
+    return defaultInfo;
+  }
+  return unionInfo(type ? {
+    type
+  } : {}, defaultInfo);
+}
+
+// returns the given type without `undefined`, as when a default value applies
+function excludeUndefined(type) {
+  return type && narrow(type, t => !['undefined', 'void'].includes(getKind(t)));
+}
+
+// returns the analysis of the element at the given index of an array
+function getElementInfo(info, index) {
+  if (info && 'value' in info && ['array', 'string'].includes(kindOf(info.value))) {
+    // strings are destructured by code point
+    const value = [...info.value][index];
+    return {
+      type: kindOf(value),
+      value
+    };
+  }
+  const type = info && getElementType(info.type, index);
+  return type ? {
+    type
+  } : {};
+}
+
+// returns the analysis of the array of the elements of an array starting at the given index
+function getRestElementsInfo(info, index) {
+  if (info && 'value' in info && ['array', 'string'].includes(kindOf(info.value))) {
+    const value = [...info.value].slice(index);
+    return {
+      type: arrayOf(value.map(kindOf).reduce((a, b) => a ? union(a, b) : b, undefined)),
+      value
+    };
+  }
+  const type = info && info.type;
+  if (getKind(type) === 'tuple') {
+    return {
+      type: tupleOf(type.elements.slice(index), type.rest)
+    };
+  }
+  return {
+    type: arrayOf(getElementType(type))
+  };
+}
+
+// returns the name of the property matched by a property of an object
+// pattern, or `undefined` if it is computed from a value that is not constant
+function getPropertyKey(prop, scope) {
+  if (prop.computed) {
+    const keyInfo = visit(prop.key, scope);
+    return keyInfo && 'value' in keyInfo && kindOf(keyInfo.value) !== 'symbol' ? String(keyInfo.value) : undefined;
+  }
+  return prop.key.type === 'Identifier' ? prop.key.name : String(prop.key.value);
+}
+
+// returns the analysis of the property with the given name of an object
+function getPropertyInfo(info, key) {
+  if (!info || key === undefined) {
+    return {};
+  }
+  const value = info.value;
+  if (value !== null && typeof value === 'object') {
+    if (Object.prototype.hasOwnProperty.call(value, key)) {
+      return {
+        type: kindOf(value[key]),
+        value: value[key]
+      };
+    }
+    if (!(key in value)) {
+      return {
+        type: 'undefined',
+        value: undefined
+      };
+    }
+  }
+  if (info.members && Object.prototype.hasOwnProperty.call(info.members, key)) {
+    return getState(info.members[key]);
+  }
+  const type = info.type;
+  if (getKind(type) === 'object' && type.properties && Object.prototype.hasOwnProperty.call(type.properties, key)) {
+    return {
+      type: type.optional && type.optional.includes(key) ? union(type.properties[key], 'undefined') : type.properties[key]
+    };
+  }
+  return {};
+}
+
+// returns the analysis of an object containing the properties of an object
+// other than those with the given names
+function getRestPropertiesInfo(info, keys) {
+  const result = {
+    type: 'object'
+  };
+  if (!info || keys.includes(undefined)) {
+    return result;
+  }
+  const value = info.value;
+  if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+    result.value = {};
+    for (const key of Object.keys(value)) {
+      if (!keys.includes(key)) {
+        result.value[key] = value[key];
+      }
+    }
+  } else if (info.members) {
+    result.members = {};
+    for (const key of Object.keys(info.members)) {
+      if (!keys.includes(key)) {
+        result.members[key] = { ...info.members[key]
+        };
+      }
+    }
+  }
+  return result;
+}
+
+function dropObjectValue(info) {
+  if (info && info.value !== null && typeof info.value === 'object') {
+    const {
+      value,
+      ...state
+    } = getState(info);
+    if (!Array.isArray(value)) {
+      // the properties of the value become members that can be assigned
+      const members = {};
+      for (const key of Object.keys(value)) {
+        members[key] = {
+          name: key,
+          type: kindOf(value[key]),
+          value: value[key]
+        };
+      }
+      state.members = Object.assign({}, state.members, members);
+    }
+    assign(info, state);
+  }
+}
+
+// drops the value of an object and the values and literal types of its
+// members, and of the objects they refer to, since code that is not analyzed
+// may have assigned them
+function dropMemberValues(info, seen = new Set()) {
+  if (!info || seen.has(info)) {
+    return;
+  }
+  seen.add(info);
+  dropObjectValue(info);
+  const members = info.members || {};
+  for (const key of Object.keys(members)) {
+    const member = members[key];
+    // private members cannot be assigned from outside the class
+    if (!key.startsWith('#') && !member.constant) {
+      const {
+        value,
+        range,
+        ...state
+      } = getState(member);
+      if ('value' in member || range) {
+        state.type = widenLiterals(state.type || kindOf(value));
+        assign(member, state);
+      } else if (getLiteralType(member)) {
+        state.type = widenLiterals(state.type);
+        assign(member, state);
+      }
+      dropMemberValues(member, seen);
+    }
+  }
+}
+
+// accounts for the possible effects of a call that is not evaluated: it may
+// modify the objects passed to it or call functions that assign captured bindings
+function analyzeUnknownCall(argInfos) {
+  argInfos.forEach(info => dropMemberValues(info));
+  for (const binding of context.captured) {
+    assign(binding, {});
+  }
+}
+
+// declares the bindings of the declarations among the given statements before
+// they are analyzed, so that they can be referred to before them: vars,
+// including those in nested blocks, are declared in a top-level scope, and
+// functions can also be called, although their bodies are analyzed in order
+function hoistDeclarations(statements, scope) {
+  // conflicting declarations are reported when they are analyzed
+  const hoist = (id, varLike) => {
+    const binding = scope.getOwnMember(id.name);
+    return binding && !implicitGlobals.has(binding) && !(varLike && varBindings.has(binding)) ? undefined :
+      addDeclaration(scope, id, varLike, true);
+  };
+  if (scope.isTopLevel()) {
+    const visitors = {
+      // nested functions and classes have their own vars
+      FunctionBefore: () => false,
+      ClassBefore: () => false,
+      VariableDeclaration(node) {
+        if (node.kind === 'var') {
+          getDeclaredIds(node).forEach(id => hoist(id, true));
+        }
+      },
+      Unhandled() {
+        // reported when analyzed
+      }
+    };
+    for (const stmt of statements) {
+      walk(stmt, undefined, visitors);
+    }
+  }
+  for (const stmt of statements) {
+    // exported declarations are declared by the export statements
+    const decl = stmt.type === 'ExportNamedDeclaration' || stmt.type === 'ExportDefaultDeclaration' ?
+      stmt.declaration : stmt;
+    if (decl && decl.type === 'FunctionDeclaration' && decl.id) {
+      const binding = hoist(decl.id, true);
+      if (binding) {
+        setClosure(binding, decl, scope).type = 'function';
+      }
+    } else if (decl && decl.type === 'ClassDeclaration' && decl.id ||
+      decl && decl.type === 'VariableDeclaration' && decl.kind !== 'var') {
+      getDeclaredIds(decl).forEach(id => hoist(id, false));
+    }
+  }
+}
+
+function analyzeBody(ast, scope) {
+  reportUnreachableCode(ast.body);
+  hoistDeclarations(ast.body, scope);
+  let processDirectives = scope.isTopLevel();
+  for (const stmt of ast.body) {
+    if (processDirectives) {
+      if (stmt.type === 'ExpressionStatement' &&
+        stmt.expression.type === 'Literal' &&
+        stmt.expression.value === 'use strict') {
+        scope.useStrict();
+        continue;
+      }
+      processDirectives = false;
+    }
+    visit(stmt, scope);
+    if (context.returned) {
+      break;
+    }
+  }
+}
+
+function analyzeModule(ast, scope) {
+  // module code is always strict and has its own top-level scope
+  scope = scope.createNested().setTopLevel().useStrict();
+  hoistDeclarations(ast.body, scope);
+  const imports = {};
+  const exportEntries = [];
+  for (const stmt of ast.body) {
+    const info = visit(stmt, scope);
+    if (info && info.imports) {
+      Object.assign(imports, info.imports);
+    }
+    if (info && info.exports) {
+      exportEntries.push(...info.exports);
+    }
+  }
+
+  const exports = {};
+  const reexports = [];
+  for (const entry of exportEntries) {
+    if (entry.name === undefined) {
+      // `export * from 'source'`
+      reexports.push(entry.source);
+    } else if (entry.local) {
+      exports[entry.name] = scope.findMember(entry.local) || {};
+    } else if (entry.import) {
+      const binding = {
+        import: entry.import
+      };
+      const module = importModule(entry.import.source);
+      if (entry.import.name === '*') {
+        linkNamespace(binding, module);
+      } else if (module && module.exports[entry.import.name]) {
+        linkImport(binding, module.exports[entry.import.name]);
+      }
+      exports[entry.name] = binding;
+    } else {
+      exports[entry.name] = entry.analysis;
+    }
+  }
+  for (const source of reexports) {
+    const module = importModule(source);
+    if (module) {
+      for (const name of Object.keys(module.exports)) {
+        // local and explicit exports take precedence, and `default` is never re-exported
+        if (name !== 'default' && !(name in exports)) {
+          exports[name] = module.exports[name];
+        }
+      }
+    }
+  }
+  return {
+    type: 'object',
+    imports,
+    exports,
+    reexports
+  };
+}
+
+// evaluates a binary operation given the analyses of its operands; the node
+// of the operation is given for reporting diagnostics
+function evaluateBinary(operator, leftInfo, rightInfo, node) {
+  let result;
+
+  // arithmetic on a bigint operand produces a bigint (or throws)
+  const numericType = [leftInfo, rightInfo].some(info => info && info.type === 'bigint') ? 'bigint' : 'number';
+
+  function evaluate(type, op) {
+    if (type) {
+      result = {
+        type
+      };
+      if (op && leftInfo && 'value' in leftInfo && rightInfo && 'value' in rightInfo) {
+        try {
+          result.value = op(leftInfo.value, rightInfo.value);
+          result.type = kindOf(result.value);
+        } catch (e) {
+          // 'in' and 'instanceof' can throw TypeError
+          result.thrown = {
+            type: typeof e
+          };
+        }
+      }
+    }
+  }
+  switch (operator) {
+    case '==':
+      evaluate('boolean', (l, r) => l == r);
+      break;
+    case '!=':
+      evaluate('boolean', (l, r) => l != r);
+      break;
+    case '===':
+      evaluate('boolean', (l, r) => l === r);
+      break;
+    case '!==':
+      evaluate('boolean', (l, r) => l !== r);
+      break;
+    case '<':
+      evaluate('boolean', (l, r) => l < r);
+      break;
+    case '<=':
+      evaluate('boolean', (l, r) => l <= r);
+      break;
+    case '>':
+      evaluate('boolean', (l, r) => l > r);
+      break;
+    case '>=':
+      evaluate('boolean', (l, r) => l >= r);
+      break;
+    case 'in':
+      evaluate('boolean', (l, r) => l in r);
+      break;
+    case 'instanceof':
+      evaluate('boolean', (l, r) => l instanceof r);
+      break;
+    case '<<':
+      evaluate(numericType, (l, r) => l << r);
+      break;
+    case '>>':
+      evaluate(numericType, (l, r) => l >> r);
+      break;
+    case '>>>':
+      evaluate('number', (l, r) => l >>> r);
+      break;
+    case '+':
+      {
+        const leftType = widenLiterals(leftInfo && leftInfo.type);
+        const rightType = widenLiterals(rightInfo && rightInfo.type);
+        const type = isAssignable('string', leftType) || isAssignable('string', rightType) ? 'string' :
+          isNotAssignable(leftType, 'string') &&
+          isNotAssignable(rightType, 'string') ? numericType :
+          undefined;
+        evaluate(type, (l, r) => l + r);
+        break;
+      }
+    case '-':
+      evaluate(numericType, (l, r) => l - r);
+      break;
+    case '*':
+      evaluate(numericType, (l, r) => l * r);
+      break;
+    case '**':
+      evaluate(numericType, (l, r) => l ** r);
+      break;
+    case '/':
+      evaluate(numericType, (l, r) => l / r);
+      break;
+    case '%':
+      evaluate(numericType, (l, r) => l % r);
+      break;
+    case '|':
+      evaluate(numericType, (l, r) => l | r);
+      break;
+    case '^':
+      evaluate(numericType, (l, r) => l ^ r);
+      break;
+    case '&':
+      evaluate(numericType, (l, r) => l & r);
+  }
+  if ((operator === '/' || operator === '%') && numericType === 'number') {
+    checkDivisor(rightInfo, node);
+  }
+  if (result && !('value' in result)) {
+    evaluateFacts(operator, leftInfo, rightInfo, result);
+  }
+  return result;
+}
+
+// adds the facts known about the result of a binary operation of unknown value
+// from the ranges of numbers and the prefixes and lengths of strings
+function evaluateFacts(operator, leftInfo, rightInfo, result) {
+  const leftRange = getRange(leftInfo);
+  const rightRange = getRange(rightInfo);
+  if (result.type === 'boolean') {
+    let value;
+    if (leftRange && rightRange) {
+      value = compareRanges(operator, leftRange, rightRange);
+    } else if (['==', '!=', '===', '!=='].includes(operator) && areDistinctStrings(leftInfo, rightInfo)) {
+      value = operator[0] === '!';
+    }
+    if (value !== undefined) {
+      result.value = value;
+    }
+  } else if (result.type === 'number') {
+    const values = evaluateNumbers(operator, leftInfo, rightInfo);
+    const range = !values && leftRange && rightRange && evaluateRange(operator, leftRange, rightRange);
+    if (values && values.length === 1) {
+      result.value = values[0];
+    } else if (values) {
+      // the results for a few possible operands, such as `(c ? 1 : 3) - 2`,
+      // are a union of literal types rather than a range
+      result.type = values.map(literalOf).reduce((a, b) => union(a, b));
+    } else if (range) {
+      result.range = range;
+    }
+  } else if (result.type === 'string' && operator === '+') {
+    const leftPrefix = getPrefix(leftInfo);
+    const rightPrefix = getPrefix(rightInfo);
+    // the prefix of the right operand extends a constant left operand
+    const prefix = leftPrefix !== undefined && 'value' in leftInfo && rightPrefix !== undefined ?
+      leftPrefix + rightPrefix : leftPrefix;
+    if (prefix) {
+      result.prefix = prefix;
+    }
+    const leftLength = isString(leftInfo) && getLengthRange(leftInfo);
+    const rightLength = isString(rightInfo) && getLengthRange(rightInfo);
+    const lengthRange = leftLength && rightLength && evaluateRange('+', leftLength, rightLength);
+    if (lengthRange && (lengthRange.min > 0 || lengthRange.max < Infinity)) {
+      result.lengthRange = lengthRange;
+    }
+  }
+}
+
+// arithmetic operations evaluated for each combination of possible operands
+const numberOperations = {
+  '+': (l, r) => l + r,
+  '-': (l, r) => l - r,
+  '*': (l, r) => l * r,
+  '/': (l, r) => l / r,
+  '%': (l, r) => l % r
+};
+
+// maximum number of combinations of possible operands evaluated
+const maxNumberOperations = 16;
+
+// returns the distinct results of an arithmetic operation on operands that are
+// each one of a few known numbers, or `undefined` if they are not known
+function evaluateNumbers(operator, leftInfo, rightInfo) {
+  const operation = numberOperations[operator];
+  const left = getNumberLiterals(leftInfo);
+  const right = getNumberLiterals(rightInfo);
+  if (operation && left && right && left.length * right.length <= maxNumberOperations) {
+    const values = [];
+    for (const l of left) {
+      for (const r of right) {
+        const value = operation(l, r);
+        if (Number.isNaN(value)) {
+          return;
+        }
+        if (!values.some(v => Object.is(v, value))) {
+          values.push(value);
+        }
+      }
+    }
+    return values;
+  }
+}
+
+// reports a divisor that is or may be zero according to its possible values
+// or its range
+function checkDivisor(info, node) {
+  const literals = getNumberLiterals(info);
+  const range = getRange(info);
+  if (!node || !(literals ? literals.includes(0) : range && containsZero(range))) {
+    return;
+  }
+  if (literals ? literals.every(v => v === 0) : range.min === 0 && range.max === 0) {
+    report('division-by-zero', 'Division by zero', node);
+  } else {
+    const values = literals ? `{${literals.join(', ')}}` : formatRange(range);
+    report('division-by-zero', `Possible division by zero: divisor is in ${values}`, node);
+  }
+}
+
+// returns whether the given analyses are of strings that cannot be equal,
+// since their prefixes or lengths differ
+function areDistinctStrings(a, b) {
+  if (!isString(a) || !isString(b)) {
+    return false;
+  }
+  const aPrefix = getPrefix(a);
+  const bPrefix = getPrefix(b);
+  if (aPrefix && bPrefix && !aPrefix.startsWith(bPrefix) && !bPrefix.startsWith(aPrefix)) {
+    return true;
+  }
+  const aLength = getLengthRange(a);
+  const bLength = getLengthRange(b);
+  return !!aLength && !!bLength && compareRanges('!==', aLength, bLength) === true;
+}
+
+// reports a computed member access that indexes an array or string of known
+// length out of range
+function checkIndex(objInfo, propInfo, node) {
+  const lengthRange = getLengthRange(objInfo);
+  const index = getRange(propInfo);
+  if (!lengthRange || !index || (lengthRange.min === 0 && lengthRange.max === Infinity)) {
+    return;
+  }
+  const length = formatRange(lengthRange);
+  if (index.max < 0 || index.min >= lengthRange.max) {
+    report('index-out-of-range', `Index ${formatRange(index)} is out of range for length ${length}`, node);
+  } else if (lengthRange.min === lengthRange.max && (index.min < 0 || index.max >= lengthRange.min)) {
+    report('index-out-of-range', `Index ${formatRange(index)} may be out of range for length ${length}`, node);
+  }
+}
+
+function analyzeMember(ast, scope) {
+  let memberInfo;
+  const objInfo = visit(ast.object, scope) || {};
+  if (ast.optional) {
+    analyzeOptional(objInfo);
+  }
+  const lengthRange = getLengthRange(objInfo);
+
+  // assume object is an 'object' unless we already know it is an array, tuple, or function
+  const objType = 'object';
+  if (!objInfo.type) {
+    objInfo.type = objType;
+  } else if (!['array', 'tuple', 'function'].some(kind => hasKind(objInfo.type, kind))) {
+    objInfo.type = union(objInfo.type, objType);
+  }
+
+  let propInfo;
+  let propValue;
+  if (!ast.computed) {
+    // 'a.b': ast.property is an Identifier or a PrivateIdentifier
+    const key = getMemberKey(ast);
+    if (ast.property.type === 'Identifier') {
+      // private members are not properties of constant values
+      propValue = key;
+    }
+    const members = Scope.withMembers(objInfo.members || (objInfo.members = {}));
+    memberInfo = members.getOwnMember(key) || members.addOwnMember(key, {
+      name: key
+    });
+  } else {
+    // 'a[b]': ast.property is an Expression
+    propInfo = visit(ast.property, scope);
+    if (propInfo && 'value' in propInfo) {
+      propValue = propInfo.value;
+    }
+  }
+
+  // special case when object and property are constant
+  if (propValue !== undefined && 'value' in objInfo) {
+    const value = objInfo.value[propValue];
+    memberInfo = {
+      type: kindOf(value),
+      value
+    };
+  } else if (propValue === 'length' && lengthRange && !(memberInfo && memberInfo.type)) {
+    memberInfo = {
+      type: 'number',
+      range: lengthRange
+    };
+  }
+
+  return {
+    objInfo,
+    propInfo,
+    memberInfo
+  };
+}
+
+// returns the name of the member accessed by a non-computed member expression
+function getMemberKey(ast) {
+  return ast.property.type === 'PrivateIdentifier' ? '#' + ast.property.name : ast.property.name;
+}
+
+function getQualifiedName(ast, scope) {
+  if (ast.type === 'Identifier') {
+    // only unshadowed globals of unknown value have a qualified name
+    const ref = scope.findMember(ast.name);
+    if (ref && ref === scope.getRoot().getOwnMember(ast.name) && !('value' in ref)) {
+      return ast.name;
+    }
+  } else if (ast.type === 'MemberExpression' && !ast.computed) {
+    const objName = getQualifiedName(ast.object, scope);
+    if (objName) {
+      return objName + '.' + ast.property.name;
+    }
+  }
+}
+
+// returns the analysis of the result of calling a function of known return type
+function getReturnInfo(funcInfo) {
+  if (funcInfo && funcInfo.type.returns) {
+    return {
+      type: funcInfo.type.returns
+    };
+  }
+}
+
+// thrown by callbacks from pure functions when the result is not constant
+const notConstant = {};
+
+function evaluatePure(impl, thisInfo, argInfos) {
+  const args = [];
+  for (const argInfo of argInfos) {
+    if (!isConstant(argInfo)) {
+      return;
+    }
+    if ('value' in argInfo) {
+      args.push(argInfo.value);
+    } else {
+      args.push((...callbackArgs) => {
+        const resultInfo = evaluateCall(argInfo, callbackArgs.map(value => ({
+          type: kindOf(value),
+          value
+        })));
+        if (!resultInfo || !('value' in resultInfo)) {
+          throw notConstant;
+        }
+        return resultInfo.value;
+      });
+    }
+  }
+  const thisValue = thisInfo && thisInfo.value;
+  if (!canEvaluatePure(impl, thisValue, args)) {
+    return;
+  }
+  try {
+    const value = impl.apply(thisValue, args);
+    return {
+      type: kindOf(value),
+      value
+    };
+  } catch (e) {
+    if (e !== notConstant) {
+      return {
+        thrown: {
+          type: typeof e
+        }
+      };
+    }
+  }
+}
+
+// key of the function node and defining scope of function analyses
+const closure = Symbol('closure');
+
+function setClosure(result, ast, scope) {
+  result[closure] = {
+    ast,
+    scope
+  };
+  return result;
+}
+
+// returns whether the given analysis is a constant value or a function that
+// can be evaluated when called with constant arguments
+function isConstant(info) {
+  return !!info && ('value' in info || !!info[closure]);
+}
+
+// thrown while evaluating a call when the result cannot be determined
+const notEvaluable = {};
+
+// node types that are not yet supported while evaluating a call, since
+// evaluation does not model iteration, non-local control flow, or the `this`
+// value of a call
+const unevaluableTypes = [
+  'DoWhileStatement',
+  'ForInStatement',
+  'ForOfStatement',
+  'ForStatement',
+  'LabeledStatement',
+  'SwitchStatement',
+  'ThisExpression',
+  'TryStatement',
+  'WhileStatement',
+  'WithStatement'
+];
+
+// caches whether each function node can be evaluated
+const evaluableFunctions = new WeakMap();
+
+function isEvaluable(ast) {
+  let evaluable = evaluableFunctions.get(ast);
+  if (evaluable === undefined) {
+    evaluable = !ast.async && !ast.generator && ast.params.every(param =>
+      param.type === 'Identifier' ||
+      (param.type === 'AssignmentPattern' && param.left.type === 'Identifier') ||
+      (param.type === 'RestElement' && param.argument.type === 'Identifier'));
+    const visitors = {
+      // nested functions and classes are only executed if called
+      FunctionBefore: () => false,
+      ClassBefore: () => false,
+      Unhandled: () => {
+        evaluable = false;
+      }
+    };
+    for (const type of unevaluableTypes) {
+      visitors[type + 'Before'] = () => {
+        evaluable = false;
+        return false;
+      };
+    }
+    if (evaluable) {
+      walk(ast.body, undefined, visitors);
+    }
+    evaluableFunctions.set(ast, evaluable);
+  }
+  return evaluable;
+}
+
+// evaluates a call to a user-defined function by executing its body with the
+// given argument analyses, returning `undefined` if the call cannot be evaluated
+function evaluateCall(funcInfo, argInfos) {
+  const {
+    ast,
+    scope: closureScope
+  } = funcInfo[closure];
+  const {
+    maxCallDepth = 20,
+    maxCallSteps = 10000
+  } = context.options;
+  if (context.callDepth >= maxCallDepth || !isEvaluable(ast)) {
+    return;
+  }
+
+  const outerState = {
+    evaluating: context.evaluating,
+    returned: context.returned,
+    returns: context.returns,
+    journal: context.journal,
+    jumpTargets: context.jumpTargets
+  };
+  if (context.callDepth++ === 0) {
+    context.callSteps = maxCallSteps;
+  }
+  context.evaluating = true;
+  context.returned = false;
+  const returns = context.returns = [];
+  const journal = context.journal = new Map();
+  context.jumpTargets = [];
+  let evaluated = false;
+  try {
+    const scope = closureScope.createNested().setTopLevel();
+    ast.params.forEach((param, i) => {
+      let argInfo = argInfos[i];
+      if (param.type === 'AssignmentPattern') {
+        if (!argInfo || argInfo.value === undefined) {
+          argInfo = visit(param.right, scope);
+        }
+        param = param.left;
+      } else if (param.type === 'RestElement') {
+        const restInfos = argInfos.slice(i);
+        argInfo = {
+          type: 'array'
+        };
+        if (restInfos.every(info => 'value' in info)) {
+          argInfo.value = restInfos.map(info => info.value);
+        }
+        param = param.argument;
+      }
+      assign(visit(param, scope, 'param'), argInfo ? getState(argInfo) : {
+        type: 'undefined',
+        value: undefined
+      });
+    });
+    if (ast.expression) {
+      returns.push(visit(ast.body, scope));
+    } else {
+      analyzeBody(ast.body, scope);
+      if (!context.returned) {
+        returns.push({
+          type: 'undefined',
+          value: undefined
+        });
+      }
+    }
+    evaluated = true;
+  } catch (e) {
+    if (e !== notEvaluable) {
+      throw e;
+    }
+  } finally {
+    --context.callDepth;
+    Object.assign(context, outerState);
+    // assignments made by an abandoned call are undone
+    for (const [binding, prior] of journal) {
+      if (!evaluated) {
+        setState(binding, prior);
+      } else if (!context.journal.has(binding)) {
+        context.journal.set(binding, prior);
+      }
+    }
+  }
+  if (!evaluated) {
+    return;
+  }
+
+  const result = {};
+  const type = unionTypes(returns);
+  if (type) {
+    result.type = type;
+  }
+  if (returns.length === 1 && returns[0] && 'value' in returns[0]) {
+    result.value = returns[0].value;
+  }
+  return result;
+}
+
+function importModule(source) {
+  const { importModule } = context.options;
+  if (importModule) {
+    return importModule(source);
+  }
+}
+
+function linkImport(binding, exported) {
+  // the importing binding keeps its own name and import details
+  const { name: _name, constant: _constant, import: _import, ...analysis } = exported;
+  Object.assign(binding, analysis);
+}
+
+function linkNamespace(binding, module) {
+  // namespace objects are never callable
+  binding.type = 'object';
+  if (module) {
+    // copied so that references to missing names don't add exports
+    binding.members = { ...module.exports
+    };
+  }
+}
+
+function getDeclaredNames(ast) {
+  return getDeclaredIds(ast).map(id => id.name);
+}
+
+// returns the identifier nodes declared by a declaration or pattern
+function getDeclaredIds(ast, ids = []) {
+  switch (ast.type) {
+    case 'Identifier':
+      ids.push(ast);
+      break;
+    case 'FunctionDeclaration':
+    case 'ClassDeclaration':
+      if (ast.id) {
+        ids.push(ast.id);
+      }
+      break;
+    case 'VariableDeclaration':
+      for (const decl of ast.declarations) {
+        getDeclaredIds(decl.id, ids);
+      }
+      break;
+    case 'ArrayPattern':
+      for (const element of ast.elements) {
+        if (element) {
+          getDeclaredIds(element, ids);
+        }
+      }
+      break;
+    case 'ObjectPattern':
+      for (const prop of ast.properties) {
+        getDeclaredIds(prop.type === 'RestElement' ? prop : prop.value, ids);
+      }
+      break;
+    case 'RestElement':
+      getDeclaredIds(ast.argument, ids);
+      break;
+    case 'AssignmentPattern':
+      getDeclaredIds(ast.left, ids);
+  }
+  return ids;
+}
+
+function analyzeFunction(ast, scope, result, initializes) {
+  // recursive references see a function of unknown signature
+  result.type = 'function';
+  if (ast.async) {
+    result.async = true;
+  }
+  if (ast.generator) {
+    result.generator = true;
+  }
+  setClosure(result, ast, scope);
+
+  // the body is analyzed rather than executed, even within an evaluated call
+  const outerState = {
+    evaluating: context.evaluating,
+    returned: context.returned,
+    returns: context.returns,
+    journal: context.journal,
+    declared: context.declared,
+    jumpTargets: context.jumpTargets
+  };
+  context.evaluating = false;
+  context.returned = false;
+  const returns = context.returns = [];
+  const journal = context.journal = new Map();
+  const declared = context.declared = new Set();
+  // statements in the function cannot jump out of it
+  context.jumpTargets = [];
+  scope = scope.createNested().setTopLevel();
+  const doc = getFunctionDoc(ast);
+  const params = ast.params.map((param, index) =>
+    analyzeParam(param, scope, getDeclaredParamType(param, index, doc.params)));
+  if (ast.expression) {
+    returns.push(visit(ast.body, scope));
+  } else {
+    analyzeBody(ast.body, scope);
+    if (completesNormally(ast.body)) {
+      returns.push({
+        type: 'undefined'
+      });
+    }
+  }
+  Object.assign(context, outerState);
+
+  // the function may be called at any time once defined, so bindings it assigns
+  // other than its own variables are unknown and are widened by unknown calls;
+  // however, a constructor initializes the members of the instance
+  const initialized = new Set(initializes ? Object.values(initializes) : []);
+  for (const [binding, prior] of journal) {
+    if (!declared.has(binding) && !initialized.has(binding)) {
+      setState(binding, prior);
+      assign(binding, {});
+      context.captured.add(binding);
+    }
+  }
+
+  const type = {
+    kind: 'function',
+    params
+  };
+  // async functions return promises of their awaited results, and the
+  // iterators returned by generators are not yet described
+  if (!ast.generator) {
+    const returnType = unionTypes(returns);
+    if (ast.async) {
+      const awaitedType = getAwaitedType(returnType);
+      type.returns = refOf('Promise', awaitedType ? [awaitedType] : undefined);
+    } else if (returnType) {
+      type.returns = returnType;
+    }
+  }
+  if (doc.returns) {
+    if (type.returns && getKind(doc.returns) !== 'void' && isNotAssignable(doc.returns, type.returns)) {
+      report('type-mismatch',
+        `Return type ${quoteType(type.returns)} is not assignable to declared type ${quoteType(doc.returns)}`, ast);
+    }
+    type.returns = doc.returns;
+  }
+  result.type = type;
+  return result;
+}
+
+// returns the parameters and return type declared for a function by a JSDoc
+// comment, either by `@param` and `@returns` tags or by a function `@type`
+function getFunctionDoc(ast) {
+  const doc = context.docs.get(ast) || {};
+  if (!doc.params && !doc.returns && getKind(doc.type) === 'function' && typeof doc.type === 'object') {
+    return {
+      params: doc.type.params || [],
+      returns: doc.type.returns
+    };
+  }
+  return {
+    params: doc.params || [],
+    returns: doc.returns
+  };
+}
+
+// returns the declared type of a parameter, which is given by an inline type
+// expression (such as `/** number */ a`) or matched by name, or by position if
+// the declared parameter is unnamed or the parameter is destructured
+function getDeclaredParamType(ast, index, declaredParams) {
+  const inlineType = getDeclaredType(ast);
+  if (inlineType) {
+    return inlineType;
+  }
+  const id = ast.type === 'AssignmentPattern' ? ast.left : ast.type === 'RestElement' ? ast.argument : ast;
+  if (id.type === 'Identifier') {
+    const named = declaredParams.find(p => p.name === id.name);
+    if (named) {
+      return named.type;
+    }
+  }
+  const positional = declaredParams[index];
+  return positional && (!positional.name || id.type !== 'Identifier') ? positional.type : undefined;
+}
+
+function analyzeParam(ast, scope, declaredType) {
+  const param = {};
+  // parameters with default values are not undefined within the function
+  let bindingType = declaredType;
+  if (ast.type === 'AssignmentPattern') {
+    // default value is evaluated in parameter scope
+    const defaultInfo = visit(ast.right, scope);
+    if (defaultInfo && defaultInfo.type) {
+      param.type = defaultInfo.type;
+    }
+    checkDeclaredType(declaredType, defaultInfo, ast.right);
+    bindingType = excludeUndefined(declaredType);
+    param.optional = true;
+    ast = ast.left;
+  }
+  visit(ast, scope, 'param');
+  if (ast.type === 'RestElement') {
+    param.type = 'array';
+    param.rest = true;
+    ast = ast.argument;
+    if (bindingType && ast.type === 'Identifier') {
+      declareType(scope.findMember(ast.name), bindingType);
+    }
+    assignPattern(ast, scope, {
+      type: bindingType || 'array'
+    }, true);
+  } else if (ast.type !== 'Identifier') {
+    // analyzes any default values within the pattern
+    assignPattern(ast, scope, bindingType ? {
+      type: bindingType
+    } : {}, true);
+  } else if (bindingType) {
+    declareType(scope.findMember(ast.name), bindingType);
+  }
+  if (ast.type === 'Identifier') {
+    param.name = ast.name;
+  } else if (!param.type) {
+    param.type = ast.type === 'ArrayPattern' ? 'array' : 'object';
+  }
+  if (declaredType) {
+    param.type = declaredType;
+  }
+  return param;
+}
+
+// returns whether execution can continue after the given statement,
+// conservatively assuming that loops and labeled statements can exit; `break`
+// and `continue` statements continue at their targets instead
+function completesNormally(ast) {
+  switch (ast.type) {
+    case 'BreakStatement':
+    case 'ContinueStatement':
+    case 'ReturnStatement':
+    case 'ThrowStatement':
+      return false;
+    case 'BlockStatement':
+      return ast.body.every(completesNormally);
+    case 'IfStatement':
+      return !ast.alternate || completesNormally(ast.consequent) || completesNormally(ast.alternate);
+    case 'TryStatement':
+      return (!ast.finalizer || completesNormally(ast.finalizer)) &&
+        (completesNormally(ast.block) || (!!ast.handler && completesNormally(ast.handler.body)));
+    default:
+      return true;
+  }
+}
+
+// returns whether execution never continues with the statement following the
+// given statement, due to a `return`, `throw`, `break`, or `continue`
+function isTerminal(ast) {
+  switch (ast.type) {
+    case 'BreakStatement':
+    case 'ContinueStatement':
+      return true;
+    case 'BlockStatement':
+      return ast.body.some(isTerminal);
+    case 'IfStatement':
+      return !!ast.alternate && isTerminal(ast.consequent) && isTerminal(ast.alternate);
+    default:
+      return !completesNormally(ast);
+  }
+}
+
+// returns the type of the result of awaiting a value of the given type, which
+// is the type of the result of the promise if it is a promise
+function getAwaitedType(type) {
+  let result;
+  for (const alt of getUnionTypes(type)) {
+    const awaited = isRef(alt, 'Promise') ? alt.args && getAwaitedType(alt.args[0]) : alt;
+    if (!awaited) {
+      return;
+    }
+    result = result ? union(result, awaited) : awaited;
+  }
+  return result;
+}
+
+function unionTypes(infos) {
+  let type;
+  for (const info of infos) {
+    if (!info || !info.type) {
+      return;
+    }
+    type = type ? union(type, info.type) : info.type;
+  }
+  return type;
+}
+
+// analyzes a class into the given constructor analysis, whose members are the
+// static members of the class, including its `prototype`, and whose `instance`
+// is the analysis of the objects it constructs
+function analyzeClass(ast, scope, result) {
+  const statics = {};
+  const prototype = {};
+  const instance = {};
+  if (ast.superClass) {
+    const superInfo = visit(ast.superClass, scope);
+    if (superInfo) {
+      // static and instance members are inherited
+      result.superClass = superInfo;
+      copyMembers(superInfo.members, statics);
+      delete statics.prototype;
+      if (superInfo.instance) {
+        copyMembers(superInfo.instance.members, instance);
+      }
+    }
+  }
+  statics.prototype = {
+    name: 'prototype',
+    type: 'object',
+    members: prototype
+  };
+  result.members = statics;
+  result.instance = {
+    type: 'object',
+    members: instance
+  };
+
+  // class bodies are strict mode code, with `this` referring to the class in
+  // static elements and to the instance otherwise
+  scope = scope.createNested().useStrict();
+  const staticScope = scope.createNested().bindThis(statics);
+  const instanceScope = scope.createNested().bindThis(instance);
+
+  // computed keys are evaluated in order when the class is defined
+  const keys = new Map();
+  for (const def of ast.body.body) {
+    if (def.type !== 'StaticBlock') {
+      keys.set(def, getClassKey(def, scope));
+    }
+  }
+
+  // instances are initialized by field initializers followed by the constructor
+  let ctor;
+  const fields = new Set();
+  for (const def of ast.body.body) {
+    if (def.type === 'PropertyDefinition' && !def.static) {
+      analyzeField(def, keys.get(def), instance, instanceScope);
+      fields.add(keys.get(def));
+    } else if (def.kind === 'constructor') {
+      ctor = def;
+    }
+  }
+  if (ctor) {
+    const {
+      params
+    } = analyzeFunction(ctor.value, instanceScope, {}, instance).type;
+    result.type = {
+      kind: 'function',
+      params
+    };
+  } else if (result.superClass && result.superClass.type) {
+    // the default constructor of a derived class passes its arguments to the superclass
+    result.type = result.superClass.type;
+  } else {
+    result.type = {
+      kind: 'function',
+      params: []
+    };
+  }
+
+  // static initializers run when the class is defined, but are analyzed before
+  // methods, which may be called at any time afterward
+  for (const def of ast.body.body) {
+    if (def.type === 'StaticBlock') {
+      analyzeBody(def, staticScope.createNested().setTopLevel());
+    } else if (def.type === 'PropertyDefinition' && def.static) {
+      analyzeField(def, keys.get(def), statics, staticScope);
+    }
+  }
+  for (const def of ast.body.body) {
+    if (def.type === 'MethodDefinition' && def.kind !== 'constructor') {
+      const key = keys.get(def);
+      analyzeMethod(def, key, def.static ? statics : prototype, def.static ? staticScope : instanceScope);
+      if (!def.static && key !== undefined && !fields.has(key)) {
+        // methods are inherited by instances unless shadowed by fields
+        instance[key] = { ...prototype[key]
+        };
+      }
+    }
+  }
+  return result;
+}
+
+// returns the member name of a class element or `undefined` if it is computed
+// from a value that is not constant
+function getClassKey(def, scope) {
+  const key = def.key;
+  if (def.computed) {
+    const keyInfo = visit(key, scope);
+    return keyInfo && 'value' in keyInfo && kindOf(keyInfo.value) !== 'symbol' ? String(keyInfo.value) : undefined;
+  }
+  switch (key.type) {
+    case 'Identifier':
+      return key.name;
+    case 'PrivateIdentifier':
+      return '#' + key.name;
+    default:
+      return String(key.value);
+  }
+}
+
+// returns the member with the given name, adding it if necessary
+function getOwnBinding(members, name) {
+  const scope = Scope.withMembers(members);
+  return scope.getOwnMember(name) || scope.addOwnMember(name, {
+    name
+  });
+}
+
+function analyzeField(def, key, members, scope) {
+  // initializers are evaluated as if in a method
+  const valueInfo = def.value ? visit(def.value, scope.createNested().setTopLevel()) : {
+    type: 'undefined',
+    value: undefined
+  };
+  const declaredType = getDeclaredType(def);
+  if (def.value) {
+    checkDeclaredType(declaredType, valueInfo, def.value);
+  }
+  if (key !== undefined) {
+    const binding = getOwnBinding(members, key);
+    if (declaredType) {
+      declareType(binding, declaredType);
+    }
+    assign(binding, getState(valueInfo));
+  }
+}
+
+function analyzeMethod(def, key, members, scope) {
+  const funcInfo = analyzeFunction(def.value, scope, {});
+  if (key === undefined) {
+    return;
+  }
+  const binding = getOwnBinding(members, key);
+  if (def.kind === 'method') {
+    assign(binding, funcInfo);
+    return;
+  }
+
+  // accessors are described by the type of the property and the function
+  // types of its getter and setter
+  const state = getState(binding);
+  delete state[closure];
+  delete state.value;
+  if (def.kind === 'get') {
+    state.getter = funcInfo.type;
+    if (funcInfo.type.returns) {
+      state.type = funcInfo.type.returns;
+    } else {
+      delete state.type;
+    }
+  } else {
+    state.setter = funcInfo.type;
+    if (!state.getter) {
+      const param = funcInfo.type.params[0];
+      if (param && param.type) {
+        state.type = param.type;
+      } else {
+        delete state.type;
+      }
+    }
+  }
+  assign(binding, state);
+}
+
+// copies the analyses of members, so that assignments to the copies do not
+// affect the originals
+function copyMembers(from, to) {
+  if (from) {
+    for (const name of Object.keys(from)) {
+      to[name] = { ...from[name]
+      };
+    }
+  }
+  return to;
+}
+
+// returns the given type with literal types replaced by their kinds
+function widenLiterals(type) {
+  return type && narrow(type, t => isLiteral(t) ? t.kind : true);
+}
+
+// returns the type of an analysis if it consists only of literal types, which
+// includes the literal type of a constant, or otherwise `undefined`
+function getLiteralType(info) {
+  if (info) {
+    const type = 'value' in info ? literalOf(info.value) : info.type;
+    if (type && getUnionTypes(type).every(isLiteral)) {
+      return type;
+    }
+  }
+}
+
+// returns the range of the numbers of an analysis, from its value, its range,
+// or a union of number literal types, if known
+function getRange(info) {
+  const literals = getNumberLiterals(info);
+  if (literals) {
+    return literals.map(valueRange).reduce((a, b) => a && b && joinRanges(a, b));
+  }
+  if (info && info.range && info.type === 'number') {
+    return info.range;
+  }
+}
+
+// returns the possible numbers of an analysis with a constant number value or
+// a union of number literal types, if known
+function getNumberLiterals(info) {
+  if (info) {
+    if ('value' in info) {
+      return typeof info.value === 'number' ? [info.value] : undefined;
+    }
+    const types = getUnionTypes(info.type);
+    if (types.length > 0 && types.every(t => isLiteral(t) && typeof t.literal === 'number')) {
+      return types.map(t => t.literal);
+    }
+  }
+}
+
+// returns whether an analysis is of a string
+function isString(info) {
+  if (!info) {
+    return false;
+  }
+  if ('value' in info) {
+    return typeof info.value === 'string';
+  }
+  return !!info.type && isAssignable('string', widenLiterals(info.type));
+}
+
+// returns the known prefix of a string analysis, which is its value if known
+function getPrefix(info) {
+  if (info) {
+    if ('value' in info) {
+      return typeof info.value === 'string' ? info.value : undefined;
+    }
+    return info.prefix;
+  }
+}
+
+// returns the range of the lengths of the string or array of an analysis, if
+// known
+function getLengthRange(info) {
+  if (!info) {
+    return;
+  }
+  if ('value' in info) {
+    const { value } = info;
+    return typeof value === 'string' || Array.isArray(value) ? valueRange(value.length) : undefined;
+  }
+  if (info.lengthRange) {
+    return info.lengthRange;
+  }
+  const { type } = info;
+  if (isLiteral(type) && typeof type.literal === 'string') {
+    return valueRange(type.literal.length);
+  }
+  switch (getKind(type)) {
+    case 'string':
+    case 'array':
+      return rangeOf(0, Infinity, true);
+    case 'tuple':
+      return rangeOf(type.elements.length, type.rest ? Infinity : type.elements.length, true);
+  }
+}
+
+// returns the longest common prefix of two strings
+function commonPrefix(a, b) {
+  let length = 0;
+  while (length < a.length && a[length] === b[length]) {
+    ++length;
+  }
+  return a.slice(0, length);
+}
+
+function unionInfo(a, b) {
   if (a && b) {
     const result = {};
     if (a.type && b.type) {
       result.type = union(a.type, b.type);
     }
+    if ('value' in a && 'value' in b && Object.is(a.value, b.value)) {
+      result.value = a.value;
+    } else if (result.type === 'number') {
+      const aRange = getRange(a);
+      const bRange = getRange(b);
+      if (aRange && bRange) {
+        result.range = joinRanges(aRange, bRange);
+      }
+    } else if (result.type === 'string') {
+      const aPrefix = getPrefix(a);
+      const bPrefix = getPrefix(b);
+      const prefix = aPrefix !== undefined && bPrefix !== undefined ? commonPrefix(aPrefix, bPrefix) : '';
+      if (prefix) {
+        result.prefix = prefix;
+      }
+      const aLength = getLengthRange(a);
+      const bLength = getLengthRange(b);
+      const lengthRange = aLength && bLength && joinRanges(aLength, bLength);
+      if (lengthRange && (lengthRange.min > 0 || lengthRange.max < Infinity)) {
+        result.lengthRange = lengthRange;
+      }
+    }
+    if (a[closure] && a[closure] === b[closure]) {
+      result[closure] = a[closure];
+    }
     return result;
   }
 }
@@ -0,0 +1,1533 @@
+/**
+ * TypeScript declaration file module.
+ * @module declarations
+ * @private
+ */
+
+import { getAnalysisType } from './analyze';
+import {
+  arrayOf,
+  exclude,
+  getKind,
+  getUnionTypes,
+  isGenericType,
+  isLiteral,
+  isUnion,
+  literalOf,
+  objectOf,
+  refOf,
+  tupleOf,
+  union
+} from './types';
+
+/**
+ * Converts the exports of a module-level analysis, as returned by `analyze`
+ * for a module, into the source of a TypeScript declaration (`.d.ts`) file.
+ * Functions are declared with their parameter and return types, classes with
+ * their constructor parameters and static, prototype, and instance members,
+ * and other exports as constants of their types, with literal types for
+ * constant primitive values. The literal types of variables, object
+ * properties, and array elements are widened to their kinds, and tuples to
+ * arrays, as TypeScript infers them. Exports of imported bindings and modules
+ * re-exported by `export * from` declarations are re-exported from their
+ * source modules. Unknown types are declared as `any`.
+ *
+ * @param {Object} analysis the module-level analysis of a module
+ * @returns {string} the source of the declaration file
+ * @alias toDeclarations
+ */
+export function toDeclarations(analysis) {
+  const lines = [];
+  const exports = analysis.exports || {};
+  for (const name of Object.keys(exports)) {
+    const info = exports[name];
+    if (info.import) {
+      lines.push(formatReexport(name, info.import));
+    } else if (name === 'default') {
+      lines.push(formatDeclaration('_default', info), 'export default _default;');
+    } else if (isIdentifier(name)) {
+      lines.push('export ' + formatDeclaration(name, info));
+    } else {
+      // names that are not identifiers are exported through a local alias
+      const local = `_${name.replace(/[^\w$]/g, '_')}`;
+      lines.push(formatDeclaration(local, info), `export { ${local} as ${JSON.stringify(name)} };`);
+    }
+  }
+  for (const source of analysis.reexports || []) {
+    lines.push(`export * from ${JSON.stringify(source)};`);
+  }
+  return lines.map(line => line + '\n').join('');
+}
+
+function formatReexport(name, { source, name: imported }) {
+  const from = `from ${JSON.stringify(source)};`;
+  if (imported === '*') {
+    return `export * as ${name} ${from}`;
+  }
+  return `export { ${imported === name ? name : `${imported} as ${name}`} } ${from}`;
+}
+
+function formatDeclaration(name, info) {
+  if (info.instance) {
+    return `declare class ${name} ${formatClassBody(info)}`;
+  }
+  const type = getAnalysisType(info);
+  if (getKind(type) === 'function' && typeof type === 'object' && !isUnion(type)) {
+    return `declare function ${name}${formatSignature(type)};`;
+  }
+  // constant primitive values are declared with their literal types
+  const literal = info.constant && 'value' in info ? literalOf(info.value) : undefined;
+  if (isLiteral(literal)) {
+    return `declare const ${name}: ${formatTsType(literal)};`;
+  }
+  // variables, properties, and elements may be assigned other values of the
+  // same kinds
+  return `declare const ${name}: ${formatTsType(widenType(type, info.constant))};`;
+}
+
+// returns a type with its literal types, other than those of the type itself
+// if `keepLiterals` is true, widened to their kinds and its tuples widened to
+// arrays, as TypeScript infers the types of properties and array elements
+function widenType(type, keepLiterals = false) {
+  if (isUnion(type)) {
+    return getUnionTypes(type).map(t => widenType(t, keepLiterals)).reduce((a, b) => union(a, b), []);
+  }
+  if (isLiteral(type)) {
+    return keepLiterals ? type : type.kind;
+  }
+  if (typeof type !== 'object') {
+    return type;
+  }
+  switch (getKind(type)) {
+    case 'array':
+      return type.elements ? arrayOf(widenType(type.elements)) : type;
+    case 'tuple':
+      return arrayOf(type.elements.concat(type.rest ? [type.rest] : []).map(t => widenType(t))
+        .reduce((a, b) => union(a, b), []));
+    case 'object': {
+      if (!type.properties) {
+        return type;
+      }
+      const properties = {};
+      for (const name of Object.keys(type.properties)) {
+        properties[name] = widenType(type.properties[name]);
+      }
+      return objectOf(properties, type.optional, type.index && widenType(type.index));
+    }
+    default:
+      return type;
+  }
+}
+
+function formatClassBody(info) {
+  const members = [];
+  const ctorType = info.type;
+  if (ctorType && ctorType.params && ctorType.params.length > 0) {
+    members.push(`constructor(${formatParams(ctorType.params)});`);
+  }
+  const statics = info.members || {};
+  for (const name of Object.keys(statics)) {
+    if (name !== 'prototype' && !name.startsWith('#')) {
+      members.push('static ' + formatMember(name, statics[name]));
+    }
+  }
+  const instance = info.instance.members || {};
+  for (const name of Object.keys(instance)) {
+    if (!name.startsWith('#')) {
+      members.push(formatMember(name, instance[name]));
+    }
+  }
+  return members.length > 0 ? `{\n${members.map(m => `  ${m}\n`).join('')}}` : '{\n}';
+}
+
+function formatMember(name, info) {
+  const key = formatPropertyName(name);
+  if (info.getter || info.setter) {
+    const accessors = [];
+    if (info.getter) {
+      accessors.push(`get ${key}(): ${formatTsType(info.type)};`);
+    }
+    if (info.setter) {
+      accessors.push(`set ${key}(value: ${formatTsType(info.type)});`);
+    }
+    return accessors.join(' ');
+  }
+  const type = getAnalysisType(info);
+  if (getKind(type) === 'function' && typeof type === 'object' && !isUnion(type)) {
+    return `${key}${formatSignature(type)};`;
+  }
+  return `${key}: ${formatTsType(type)};`;
+}
+
+function formatSignature(type) {
+  return `(${formatParams(type.params || [])}): ${formatTsType(type.returns)}`;
+}
+
+function formatParams(params) {
+  return params.map((param, i) => {
+    const name = param.name && isIdentifier(param.name) ? param.name : `arg${i}`;
+    // optional parameters are implicitly undefined
+    const type = param.optional ? exclude(param.type, 'undefined') : param.type;
+    return `${param.rest ? '...' : ''}${name}${param.optional ? '?' : ''}: ${formatTsType(type)}`;
+  }).join(', ');
+}
+
+function isIdentifier(name) {
+  return /^[A-Za-z_$][\w$]*$/.test(name);
+}
+
+function formatPropertyName(name) {
+  return isIdentifier(name) ? name : JSON.stringify(name);
+}
+
+// number of type parameters of built-in generic types, if not one
+const genericArity = {
+  Map: 2,
+  WeakMap: 2
+};
+
+// formats a type in TypeScript syntax, where precedence 1 is a union
+// alternative and precedence 2 is an array element type
+function formatTsType(type, contextPrecedence = 0) {
+  let result;
+  let precedence = 3;
+  if (isUnion(type)) {
+    const types = getUnionTypes(type);
+    if (types.length === 0) {
+      return 'never';
+    }
+    result = types.map(t => formatTsType(t, 1)).join(' | ');
+    precedence = 0;
+  } else if (isLiteral(type)) {
+    // `NaN` and infinite numbers have no literal types
+    result = typeof type.literal === 'number' && !Number.isFinite(type.literal) ? 'number' : JSON.stringify(type.literal);
+  } else {
+    switch (getKind(type)) {
+      case undefined:
+        return 'any';
+      case 'function':
+        if (typeof type !== 'object') {
+          return '(...args: any[]) => any';
+        }
+        result = `(${formatParams(type.params || [])}) => ${formatTsType(type.returns)}`;
+        precedence = 0;
+        break;
+      case 'array':
+        return (typeof type === 'object' && type.elements ? formatTsType(type.elements, 2) : 'any') + '[]';
+      case 'tuple': {
+        const elements = type.elements.map(t => formatTsType(t));
+        if (type.rest) {
+          elements.push('...' + formatTsType(arrayOf(type.rest)));
+        }
+        return `[${elements.join(', ')}]`;
+      }
+      case 'ref': {
+        const args = type.args || new Array(genericArity[type.name] || 1).fill('any');
+        return `${type.name}<${args.map(t => formatTsType(t)).join(', ')}>`;
+      }
+      case 'object':
+        return typeof type === 'object' && (type.properties || type.index) ? formatShape(type) : 'object';
+      default:
+        result = getKind(type);
+    }
+  }
+  return precedence < contextPrecedence ? `(${result})` : result;
+}
+
+function formatShape(type) {
+  const props = type.properties || {};
+  const entries = Object.keys(props).map(name =>
+    `${formatPropertyName(name)}${type.optional && type.optional.includes(name) ? '?' : ''}: ${formatTsType(props[name])};`);
+  if (type.index) {
+    entries.push(`[key: string]: ${formatTsType(type.index)};`);
+  }
+  return entries.length > 0 ? `{ ${entries.join(' ')} }` : '{}';
+}
+
+/**
+ * Reads the source of a TypeScript declaration (`.d.ts`) file into analyses
+ * of the values it declares. The result has the following properties:
+ *
+ * - `exports`: object mapping exported names to analyses, as in a
+ *     module-level analysis, so the result can be returned by the
+ *     `importModule` option of `analyze` for the declared module
+ * - `reexports`: array of module specifiers from `export * from` declarations
+ * - `globals`: object mapping global names to analyses, from files that are
+ *     not modules and from `declare global` blocks, suitable as the members
+ *     of a root scope (such as with `Scope.withMembers`)
+ * - `modules`: object mapping module names from `declare module 'name'`
+ *     blocks to objects with `exports` and `reexports`
+ * - `types`: object mapping the names of top-level interfaces, type aliases,
+ *     classes, and enums to their types
+ *
+ * Variables, functions, classes, enums, and namespaces are supported, with
+ * the types of interfaces and type aliases substituted where they are
+ * referenced. Since types describe single signatures, the overloads of a
+ * function are merged into one signature accepting the union of their
+ * parameter types and returning the union of their return types. Type
+ * parameters and types the model does not describe, such as mapped types and
+ * imported types, are unknown and declared as `any`.
+ *
+ * @param {string} source the source of the declaration file
+ * @returns {Object} the analyses of the declared values
+ * @alias readDeclarations
+ */
+export function readDeclarations(source) {
+  return new DeclarationReader(tokenize(source)).read();
+}
+
+const tokenPattern = new RegExp([
+  // whitespace and comments
+  /(\s+|\/\/[^\n]*|\/\*[\s\S]*?\*\/)/.source,
+  // identifiers, numbers, strings, and template literals
+  /([A-Za-z_$][\w$]*|0[xob][\da-f_]+n?|\d[\d_]*(?:n|(?:\.\d+)?(?:e[+-]?\d+)?)|\.\d+|'(?:[^'\\]|\\[\s\S])*'|"(?:[^"\\]|\\[\s\S])*"|`(?:[^`\\]|\\[\s\S])*`)/.source,
+  // punctuation
+  /(=>|\.\.\.|[{}()[\]<>,;:?=|&.*!+\-@#])/.source
+].join('|'), 'iy');
+
+// splits source into tokens, each with its `value` and whether it follows a
+// line break (`nl`)
+function tokenize(source) {
+  const tokens = [];
+  let nl = false;
+  tokenPattern.lastIndex = 0;
+  while (tokenPattern.lastIndex < source.length) {
+    const start = tokenPattern.lastIndex;
+    const match = tokenPattern.exec(source);
+    if (!match) {
+      throw new Error(`Unexpected character '${source[start]}' in declarations`);
+    }
+    if (match[1]) {
+      nl = nl || match[1].includes('\n');
+    } else {
+      tokens.push({
+        value: match[2] || match[3],
+        nl
+      });
+      nl = false;
+    }
+  }
+  return tokens;
+}
+
+function isName(token) {
+  return /^[A-Za-z_$]/.test(token);
+}
+
+function isString(token) {
+  return /^['"]/.test(token);
+}
+
+function unquote(token) {
+  return token.slice(1, -1).replace(/\\([\s\S])/g, '$1');
+}
+
+// kinds of type keywords
+const typeKeywords = {
+  any: 'any',
+  bigint: 'bigint',
+  boolean: 'boolean',
+  null: 'null',
+  number: 'number',
+  object: 'object',
+  string: 'string',
+  symbol: 'symbol',
+  undefined: 'undefined',
+  unknown: 'any',
+  void: 'void'
+};
+
+// types of global type names
+const globalTypes = {
+  Boolean: 'boolean',
+  Date: 'object',
+  Error: 'object',
+  Function: 'function',
+  Number: 'number',
+  Object: 'object',
+  RegExp: 'object',
+  String: 'string',
+  Symbol: 'symbol'
+};
+
+// modifiers of class and interface members
+const memberModifiers = [
+  'public', 'private', 'protected', 'static', 'readonly', 'abstract', 'declare', 'override', 'accessor', 'async'
+];
+
+class DeclarationReader {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.pos = 0;
+    // named types by qualified name, resolved when first referenced
+    this.namedTypes = new Map();
+    this.resolvedTypes = new Map();
+    // type parameters in scope, which are unknown types
+    this.typeParams = [];
+    // qualified name prefix of the enclosing namespace
+    this.namespace = '';
+  }
+
+  read() {
+    this.scanNamedTypes();
+    const root = this.parseBlock(undefined);
+    const result = {
+      exports: root.exports,
+      reexports: root.reexports,
+      globals: root.isModule ? root.globals : {
+        ...root.values,
+        ...root.globals
+      },
+      modules: root.modules,
+      types: {}
+    };
+    for (const name of this.namedTypes.keys()) {
+      if (!name.includes('.')) {
+        result.types[name] = this.resolveNamedType(name);
+      }
+    }
+    return result;
+  }
+
+  peek(offset = 0) {
+    const token = this.tokens[this.pos + offset];
+    return token && token.value;
+  }
+
+  next() {
+    const token = this.tokens[this.pos++];
+    if (!token) {
+      throw new Error('Unexpected end of declarations');
+    }
+    return token.value;
+  }
+
+  accept(value) {
+    if (this.peek() === value) {
+      ++this.pos;
+      return true;
+    }
+    return false;
+  }
+
+  expect(value) {
+    const token = this.next();
+    if (token !== value) {
+      throw new Error(`Expected '${value}' but found '${token}' in declarations`);
+    }
+  }
+
+  // skips tokens up to and including the one closing the bracket at the
+  // current position
+  skipBalanced() {
+    let depth = 0;
+    do {
+      const token = this.next();
+      if ('([{<'.includes(token)) {
+        ++depth;
+      } else if (')]}>'.includes(token) && (token !== '>' || depth > 0)) {
+        --depth;
+      }
+    } while (depth > 0);
+  }
+
+  // skips an unsupported statement, up to a semicolon or the end of a block
+  skipStatement() {
+    while (this.pos < this.tokens.length && this.peek() !== '}') {
+      if (this.accept(';')) {
+        return;
+      }
+      if ('([{'.includes(this.peek())) {
+        const block = this.peek() === '{';
+        this.skipBalanced();
+        if (block) {
+          return;
+        }
+      } else {
+        ++this.pos;
+      }
+    }
+  }
+
+  // records the token positions of interfaces, type aliases, classes, and
+  // enums by qualified name before parsing, so types can be referenced before
+  // they are declared
+  scanNamedTypes() {
+    const namespaces = [];
+    let depth = 0;
+    for (let i = 0; i < this.tokens.length; ++i) {
+      const token = this.tokens[i].value;
+      const nextToken = this.tokens[i + 1] && this.tokens[i + 1].value;
+      if (token === '{') {
+        ++depth;
+      } else if (token === '}') {
+        --depth;
+        if (namespaces.length > 0 && namespaces[namespaces.length - 1].depth === depth) {
+          namespaces.pop();
+        }
+      } else if ((token === 'namespace' || token === 'module') && nextToken && isName(nextToken)) {
+        let name = nextToken;
+        let j = i + 2;
+        while (this.tokens[j] && this.tokens[j].value === '.') {
+          name += '.' + this.tokens[j + 1].value;
+          j += 2;
+        }
+        if (this.tokens[j] && this.tokens[j].value === '{') {
+          namespaces.push({
+            name,
+            depth
+          });
+        }
+      } else if (['interface', 'type', 'class', 'enum'].includes(token) && nextToken && isName(nextToken) &&
+        (i === 0 || this.tokens[i - 1].value !== '.')) {
+        const prefix = namespaces.map(ns => ns.name + '.').join('');
+        const name = prefix + nextToken;
+        const entries = this.namedTypes.get(name) || [];
+        // interfaces may be declared repeatedly, merging their members
+        entries.push({
+          kind: token,
+          pos: i + 2,
+          namespace: prefix
+        });
+        this.namedTypes.set(name, entries);
+      }
+    }
+  }
+
+  // returns the type with the given qualified name, parsing its declarations
+  // at their recorded positions
+  resolveNamedType(name) {
+    if (!this.resolvedTypes.has(name)) {
+      // references to a type while it is being resolved are unknown
+      this.resolvedTypes.set(name, 'any');
+      const saved = {
+        pos: this.pos,
+        typeParams: this.typeParams,
+        namespace: this.namespace
+      };
+      let type;
+      for (const entry of this.namedTypes.get(name)) {
+        this.pos = entry.pos;
+        this.typeParams = [];
+        this.namespace = entry.namespace;
+        type = this.parseNamedType(entry.kind, type);
+      }
+      Object.assign(this, saved);
+      this.resolvedTypes.set(name, type);
+    }
+    return this.resolvedTypes.get(name);
+  }
+
+  parseNamedType(kind, merged) {
+    const typeParams = this.parseTypeParams();
+    this.typeParams = typeParams;
+    switch (kind) {
+      case 'type':
+        this.expect('=');
+        return this.parseType();
+      case 'interface': {
+        let type = merged;
+        if (this.accept('extends')) {
+          do {
+            type = mergeShapes(type, this.parseTypeReference());
+          } while (this.accept(','));
+        }
+        return mergeShapes(type, this.parseObjectType());
+      }
+      case 'class':
+        return this.parseClass(undefined).instance.type;
+      case 'enum':
+        return this.parseEnum(undefined).enumType;
+    }
+  }
+
+  // parses type parameters, returning their names
+  parseTypeParams() {
+    const names = [];
+    if (this.accept('<')) {
+      do {
+        this.accept('const');
+        this.accept('in');
+        this.accept('out');
+        names.push(this.next());
+        if (this.accept('extends')) {
+          this.parseType();
+        }
+        if (this.accept('=')) {
+          this.parseType();
+        }
+      } while (this.accept(','));
+      this.expect('>');
+    }
+    return names;
+  }
+
+  parseTypeArgs() {
+    const args = [];
+    if (this.peek() === '<') {
+      this.next();
+      do {
+        args.push(this.parseType());
+      } while (this.accept(','));
+      this.expect('>');
+    }
+    return args;
+  }
+
+  parseType() {
+    const type = this.parseUnionType();
+    if (this.peek() === 'extends' && !this.tokens[this.pos].nl) {
+      // conditional types have the type of either branch
+      this.next();
+      this.parseUnionType();
+      this.expect('?');
+      const trueType = this.parseType();
+      this.expect(':');
+      return union(trueType, this.parseType());
+    }
+    return type;
+  }
+
+  parseUnionType() {
+    this.accept('|');
+    let type = this.parseIntersectionType();
+    while (this.accept('|')) {
+      type = union(type, this.parseIntersectionType());
+    }
+    return type;
+  }
+
+  parseIntersectionType() {
+    this.accept('&');
+    let type = this.parseTypeOperator();
+    while (this.accept('&')) {
+      // intersections of object types have the properties of each, and
+      // other intersections have the type of their first operand
+      const other = this.parseTypeOperator();
+      if (isObjectShape(type) && isObjectShape(other)) {
+        type = mergeShapes(type, other);
+      }
+    }
+    return type;
+  }
+
+  parseTypeOperator() {
+    switch (this.peek()) {
+      case 'keyof':
+        this.next();
+        this.parseTypeOperator();
+        return ['string', 'number', 'symbol'];
+      case 'unique':
+        this.next();
+        this.expect('symbol');
+        return 'symbol';
+      case 'readonly':
+        this.next();
+        return this.parseTypeOperator();
+      case 'infer':
+        this.next();
+        this.next();
+        return 'any';
+      default:
+        return this.parsePostfixType();
+    }
+  }
+
+  parsePostfixType() {
+    let type = this.parsePrimaryType();
+    // a bracket on a new line begins an index signature, not an array type
+    while (this.peek() === '[' && !this.tokens[this.pos].nl) {
+      this.next();
+      if (this.accept(']')) {
+        type = arrayOf(type);
+      } else {
+        // indexed access types are not described
+        this.parseType();
+        this.expect(']');
+        type = 'any';
+      }
+    }
+    return type;
+  }
+
+  parsePrimaryType() {
+    const token = this.peek();
+    if (token === '(') {
+      if (this.isFunctionType()) {
+        return this.parseFunctionType();
+      }
+      this.next();
+      const type = this.parseType();
+      this.expect(')');
+      return type;
+    }
+    if (token === '<') {
+      return this.parseFunctionType();
+    }
+    if (token === 'new' || token === 'abstract') {
+      // constructor types
+      this.next();
+      this.accept('new');
+      this.parseFunctionType();
+      return 'function';
+    }
+    if (token === '{') {
+      return this.parseObjectType();
+    }
+    if (token === '[') {
+      return this.parseTupleType();
+    }
+    this.next();
+    if (isString(token)) {
+      return literalOf(unquote(token));
+    }
+    if (token.startsWith('`')) {
+      return 'string';
+    }
+    if (token === '-' || /^[\d.]/.test(token)) {
+      const number = token === '-' ? this.next() : token;
+      // there are no literal types of bigint values
+      if (/n$/i.test(number)) {
+        return 'bigint';
+      }
+      const value = Number(number.replace(/_/g, ''));
+      return literalOf(token === '-' ? -value : value);
+    }
+    if (token === 'true' || token === 'false') {
+      return literalOf(token === 'true');
+    }
+    if (token === 'never') {
+      return [];
+    }
+    if (token === 'typeof') {
+      this.parseQualifiedName();
+      this.parseTypeArgs();
+      return 'any';
+    }
+    if (token === 'asserts') {
+      // assertion signatures, such as `asserts value is string`
+      if (isName(this.peek())) {
+        this.next();
+      }
+      if (this.accept('is')) {
+        this.parseType();
+      }
+      return 'void';
+    }
+    if (!isName(token)) {
+      throw new Error(`Unexpected '${token}' in type of declarations`);
+    }
+    if (this.peek() === 'is' && !this.tokens[this.pos].nl) {
+      // type predicates, such as `value is string`
+      this.next();
+      this.parseType();
+      return 'boolean';
+    }
+    if (token === 'this') {
+      return 'object';
+    }
+    if (Object.prototype.hasOwnProperty.call(typeKeywords, token)) {
+      return typeKeywords[token];
+    }
+    --this.pos;
+    return this.parseTypeReference();
+  }
+
+  parseQualifiedName() {
+    let name = this.next();
+    while (this.peek() === '.' && isName(this.peek(1))) {
+      this.next();
+      name += '.' + this.next();
+    }
+    return name;
+  }
+
+  parseTypeReference() {
+    const name = this.parseQualifiedName();
+    const args = this.parseTypeArgs();
+    if (this.typeParams.includes(name)) {
+      return 'any';
+    }
+    const namedType = this.findNamedType(name);
+    if (namedType) {
+      return this.resolveNamedType(namedType);
+    }
+    switch (name) {
+      case 'Array':
+      case 'ReadonlyArray':
+        return arrayOf(args[0]);
+      case 'Record':
+        return objectOf({}, undefined, args[1] || 'any');
+      case 'Partial':
+      case 'Readonly':
+      case 'Required':
+      case 'NonNullable':
+        return args[0] || 'any';
+    }
+    if (Object.prototype.hasOwnProperty.call(globalTypes, name)) {
+      return globalTypes[name];
+    }
+    if (isGenericType(name)) {
+      return refOf(name, args.length > 0 ? args : undefined);
+    }
+    // other types, such as imported types, are not described
+    return 'any';
+  }
+
+  // returns the qualified name of the declared type referenced by the given
+  // name from the current namespace, if any
+  findNamedType(name) {
+    const parts = this.namespace ? this.namespace.slice(0, -1).split('.') : [];
+    for (let i = parts.length; i >= 0; --i) {
+      const qname = parts.slice(0, i).concat(name).join('.');
+      if (this.namedTypes.has(qname)) {
+        return qname;
+      }
+    }
+  }
+
+  // returns whether the parenthesis at the current position begins the
+  // parameters of a function type
+  isFunctionType() {
+    const start = this.pos;
+    this.skipBalanced();
+    const arrow = this.peek() === '=>';
+    this.pos = start;
+    return arrow;
+  }
+
+  parseFunctionType() {
+    const outerParams = this.typeParams;
+    this.typeParams = outerParams.concat(this.parseTypeParams());
+    const type = {
+      kind: 'function',
+      params: this.parseParams()
+    };
+    this.expect('=>');
+    type.returns = this.parseType();
+    this.typeParams = outerParams;
+    return type;
+  }
+
+  parseParams() {
+    const params = [];
+    this.expect('(');
+    while (!this.accept(')')) {
+      while (memberModifiers.includes(this.peek()) && this.peek(1) !== ':' && this.peek(1) !== ',' && this.peek(1) !== ')') {
+        this.next();
+      }
+      const rest = this.accept('...');
+      let name;
+      if (this.peek() === '{' || this.peek() === '[') {
+        // destructured parameters are unnamed
+        this.skipBalanced();
+      } else {
+        name = this.next();
+      }
+      const optional = this.accept('?');
+      let type = this.accept(':') ? this.parseType() : rest ? arrayOf('any') : 'any';
+      if (this.accept('=')) {
+        this.skipExpression();
+      }
+      if (optional) {
+        type = union(type, 'undefined');
+      }
+      if (name !== 'this') {
+        const param = name ? {
+          name,
+          type
+        } : {
+          type
+        };
+        if (optional) {
+          param.optional = true;
+        }
+        if (rest) {
+          param.rest = true;
+        }
+        params.push(param);
+      }
+      if (!this.accept(',')) {
+        this.expect(')');
+        break;
+      }
+    }
+    return params;
+  }
+
+  // skips an initializer, which is not allowed in declarations but tolerated
+  skipExpression() {
+    while (![',', ')', ';', '}'].includes(this.peek())) {
+      if ('([{'.includes(this.peek())) {
+        this.skipBalanced();
+      } else {
+        this.next();
+      }
+    }
+  }
+
+  parseTupleType() {
+    this.expect('[');
+    const elements = [];
+    let rest;
+    while (!this.accept(']')) {
+      const spread = this.accept('...');
+      if (isName(this.peek()) && (this.peek(1) === ':' || (this.peek(1) === '?' && this.peek(2) === ':'))) {
+        // named tuple members
+        this.next();
+        this.accept('?');
+        this.next();
+      }
+      let type = this.parseType();
+      if (this.accept('?')) {
+        type = union(type, 'undefined');
+      }
+      if (spread) {
+        rest = getKind(type) === 'array' && typeof type === 'object' ? type.elements : 'any';
+      } else {
+        elements.push(type);
+      }
+      if (!this.accept(',')) {
+        this.expect(']');
+        break;
+      }
+    }
+    return tupleOf(elements, rest);
+  }
+
+  // parses an object type or interface body, with a call signature making it
+  // a function type unless it also has properties
+  parseObjectType() {
+    this.expect('{');
+    if (this.isMappedType()) {
+      while (!this.accept('}')) {
+        this.skipBalanced();
+      }
+      return 'object';
+    }
+    const properties = {};
+    const optional = [];
+    let index;
+    let callType;
+    while (!this.accept('}')) {
+      if (this.accept(';') || this.accept(',')) {
+        continue;
+      }
+      if (this.peek() === '(' || this.peek() === '<') {
+        callType = mergeSignatures(callType, this.parseSignature());
+        continue;
+      }
+      if (this.peek() === 'new' && (this.peek(1) === '(' || this.peek(1) === '<')) {
+        // construct signatures are not described
+        this.next();
+        this.parseSignature();
+        continue;
+      }
+      while (memberModifiers.includes(this.peek()) && (isPropertyKey(this.peek(1)) || this.peek(1) === '[')) {
+        this.next();
+      }
+      // computed keys, such as `[Symbol.iterator]`, are members
+      if (this.peek() === '[' && this.peek(2) === ':') {
+        const indexType = this.parseIndexSignature();
+        if (indexType) {
+          index = union(index || indexType, indexType);
+        }
+        continue;
+      }
+      const member = this.parseMember();
+      if (member) {
+        properties[member.name] = member.type;
+        if (member.optional) {
+          optional.push(member.name);
+        }
+      }
+    }
+    if (callType && Object.keys(properties).length === 0 && !index) {
+      return callType;
+    }
+    return objectOf(properties, optional, index);
+  }
+
+  isMappedType() {
+    let offset = 0;
+    if (['readonly', '+', '-'].includes(this.peek())) {
+      offset = this.peek() === 'readonly' ? 1 : 2;
+    }
+    return this.peek(offset) === '[' && isName(this.peek(offset + 1)) && this.peek(offset + 2) === 'in';
+  }
+
+  // parses an index signature, returning its type if its key is a string
+  parseIndexSignature() {
+    this.expect('[');
+    this.next();
+    this.expect(':');
+    const keyType = this.parseType();
+    this.expect(']');
+    this.accept('?');
+    this.expect(':');
+    const type = this.parseType();
+    if (keyType === 'string') {
+      return type;
+    }
+  }
+
+  // parses a method or property of an object type, returning its `name`,
+  // `type`, and whether it is `optional` or a `method`, or `undefined` if its
+  // key is computed
+  parseMember() {
+    let name;
+    if ((this.peek() === 'get' || this.peek() === 'set') && isPropertyKey(this.peek(1)) && this.peek(2) === '(') {
+      // accessors describe properties of the type of the getter or setter parameter
+      const kind = this.next();
+      name = getPropertyKey(this.next());
+      const signature = this.parseSignature();
+      const type = kind === 'get' ? signature.returns : signature.params[0] && signature.params[0].type;
+      return {
+        name,
+        type: type || 'any'
+      };
+    }
+    if (this.peek() === '[') {
+      // computed keys, such as `[Symbol.iterator]`
+      this.skipBalanced();
+    } else {
+      name = getPropertyKey(this.next());
+    }
+    const optional = this.accept('?');
+    this.accept('!');
+    let type = 'any';
+    const method = this.peek() === '(' || this.peek() === '<';
+    if (method) {
+      type = this.parseSignature();
+    } else if (this.accept(':')) {
+      type = this.parseType();
+    }
+    if (this.accept('=')) {
+      this.skipExpression();
+    }
+    return name !== undefined ? {
+      name,
+      type,
+      optional,
+      method
+    } : undefined;
+  }
+
+  // parses the parameters and optional return type of a method or function
+  parseSignature() {
+    const outerParams = this.typeParams;
+    this.typeParams = outerParams.concat(this.parseTypeParams());
+    const type = {
+      kind: 'function',
+      params: this.parseParams()
+    };
+    type.returns = this.accept(':') ? this.parseType() : 'any';
+    this.typeParams = outerParams;
+    return type;
+  }
+
+  // parses statements up to the end of a block or of the source into a
+  // container with the values, exports, and globals they declare
+  parseBlock(end) {
+    const block = {
+      values: {},
+      exports: {},
+      reexports: [],
+      globals: {},
+      modules: {},
+      // local names exported under other names, resolved after the block
+      exportedLocals: {},
+      exportAll: false,
+      isModule: false
+    };
+    while (this.pos < this.tokens.length && this.peek() !== end) {
+      this.parseStatement(block);
+    }
+    if (end) {
+      this.expect(end);
+    }
+    for (const name of Object.keys(block.exportedLocals)) {
+      const info = block.values[block.exportedLocals[name]];
+      if (info) {
+        block.exports[name] = info;
+      }
+    }
+    return block;
+  }
+
+  parseStatement(block) {
+    if (this.accept(';')) {
+      return;
+    }
+    if (this.peek() === 'import') {
+      block.isModule = true;
+      this.skipStatement();
+      return;
+    }
+    let exported = false;
+    let isDefault = false;
+    if (this.accept('export')) {
+      block.isModule = true;
+      if (this.parseExportClause(block)) {
+        return;
+      }
+      exported = true;
+      isDefault = this.accept('default');
+      if (isDefault && !['function', 'class', 'abstract', 'interface', 'declare', 'async'].includes(this.peek())) {
+        // `export default name;`
+        block.exportedLocals.default = this.next();
+        this.accept(';');
+        return;
+      }
+    }
+    this.accept('declare');
+    const declared = this.parseDeclaration(block);
+    for (const info of declared) {
+      const existing = block.values[info.name];
+      block.values[info.name] = existing ? mergeDeclarations(existing, info) : info;
+      if (isDefault) {
+        block.exports.default = block.values[info.name];
+      } else if (exported) {
+        block.exports[info.name] = block.values[info.name];
+      }
+    }
+  }
+
+  // parses `export =`, `export { ... }`, and `export * from` statements,
+  // returning whether one was parsed
+  parseExportClause(block) {
+    if (this.accept('=')) {
+      // CommonJS modules export a single value, which is the default export
+      // and whose members are named exports
+      const name = this.parseQualifiedName();
+      this.accept(';');
+      const info = block.values[name];
+      if (info) {
+        block.exports.default = info;
+        Object.assign(block.exports, info.members);
+      }
+      return true;
+    }
+    if (this.peek() === 'as' && this.peek(1) === 'namespace') {
+      // UMD global names
+      this.skipStatement();
+      return true;
+    }
+    this.accept('type');
+    if (this.accept('{')) {
+      const specifiers = [];
+      while (!this.accept('}')) {
+        this.accept('type');
+        const local = this.next();
+        const name = this.accept('as') ? this.next() : local;
+        specifiers.push({
+          local: isString(local) ? unquote(local) : local,
+          name: isString(name) ? unquote(name) : name
+        });
+        this.accept(',');
+      }
+      if (this.accept('from')) {
+        const source = unquote(this.next());
+        for (const spec of specifiers) {
+          block.exports[spec.name] = {
+            import: {
+              source,
+              name: spec.local
+            }
+          };
+        }
+      } else {
+        for (const spec of specifiers) {
+          block.exportedLocals[spec.name] = spec.local;
+        }
+      }
+      this.accept(';');
+      return true;
+    }
+    if (this.accept('*')) {
+      if (this.accept('as')) {
+        const name = this.next();
+        this.expect('from');
+        block.exports[name] = {
+          import: {
+            source: unquote(this.next()),
+            name: '*'
+          }
+        };
+      } else {
+        this.expect('from');
+        block.reexports.push(unquote(this.next()));
+      }
+      this.accept(';');
+      return true;
+    }
+    return false;
+  }
+
+  // parses a declaration, returning the analyses of the values it declares
+  parseDeclaration(block) {
+    const token = this.next();
+    switch (token) {
+      case 'const':
+        if (this.accept('enum')) {
+          return [this.parseEnum(this.next())];
+        }
+        return this.parseVariables(true);
+      case 'let':
+      case 'var':
+        return this.parseVariables(false);
+      case 'async':
+        this.expect('function');
+        return [this.parseFunction()];
+      case 'function':
+        return [this.parseFunction()];
+      case 'abstract':
+        this.expect('class');
+        return [this.parseClass(this.parseClassName())];
+      case 'class':
+        return [this.parseClass(this.parseClassName())];
+      case 'enum':
+        return [this.parseEnum(this.next())];
+      case 'namespace':
+      case 'module':
+        if (isString(this.peek())) {
+          const name = unquote(this.next());
+          this.parseModule(block, name);
+          return [];
+        }
+        return [this.parseNamespace(this.parseQualifiedName().split('.'))];
+      case 'global':
+        this.expect('{');
+        Object.assign(block.globals, this.parseBlock('}').values);
+        return [];
+      case 'interface':
+      case 'type':
+        // named types are resolved where they are referenced
+        this.next();
+        --this.pos;
+        this.skipNamedType(token);
+        return [];
+      default:
+        --this.pos;
+        this.skipStatement();
+        return [];
+    }
+  }
+
+  parseClassName() {
+    return isName(this.peek()) && !['extends', 'implements'].includes(this.peek()) ? this.next() : 'default';
+  }
+
+  skipNamedType(kind) {
+    this.next();
+    this.parseTypeParams();
+    if (kind === 'type') {
+      this.expect('=');
+      this.parseType();
+      this.accept(';');
+    } else {
+      while (this.peek() !== '{') {
+        this.next();
+      }
+      this.skipBalanced();
+    }
+  }
+
+  parseVariables(constant) {
+    const infos = [];
+    do {
+      const name = this.next();
+      const info = {
+        name,
+        type: this.accept(':') ? this.parseType() : 'any'
+      };
+      if (constant) {
+        info.constant = true;
+      }
+      if (this.accept('=')) {
+        // constants may be initialized with literals
+        const start = this.pos;
+        this.skipExpression();
+        if (this.pos === start + 1 && (isString(this.peek(-1)) || /^\d/.test(this.peek(-1)))) {
+          const token = this.peek(-1);
+          info.value = isString(token) ? unquote(token) : Number(token);
+          info.type = typeof info.value;
+        }
+      }
+      infos.push(info);
+    } while (this.accept(','));
+    this.accept(';');
+    return infos;
+  }
+
+  parseFunction() {
+    // only anonymous in `export default function`
+    const name = ['(', '<'].includes(this.peek()) ? 'default' : this.next();
+    const type = this.parseSignature();
+    if (this.peek() === '{') {
+      this.skipBalanced();
+    }
+    this.accept(';');
+    return {
+      name,
+      type
+    };
+  }
+
+  // parses a class, returning an analysis like that of a class declaration
+  parseClass(name) {
+    const outerParams = this.typeParams;
+    this.typeParams = outerParams.concat(this.parseTypeParams());
+    const statics = {};
+    const prototype = {};
+    const instance = {};
+    let superType;
+    if (this.accept('extends')) {
+      superType = this.parseTypeReference();
+    }
+    if (this.accept('implements')) {
+      do {
+        this.parseTypeReference();
+      } while (this.accept(','));
+    }
+    let ctorType;
+    this.expect('{');
+    while (!this.accept('}')) {
+      if (this.accept(';')) {
+        continue;
+      }
+      const modifiers = [];
+      while (memberModifiers.includes(this.peek()) && this.peek(1) !== '(' && this.peek(1) !== ':' &&
+        this.peek(1) !== '?' && this.peek(1) !== ';') {
+        modifiers.push(this.next());
+      }
+      if (this.peek() === '[' && this.peek(2) === ':') {
+        // index signatures are not described
+        this.parseIndexSignature();
+        continue;
+      }
+      if (this.peek() === 'constructor' && this.peek(1) === '(') {
+        this.next();
+        ctorType = mergeSignatures(ctorType, this.parseSignature());
+        if (this.peek() === '{') {
+          this.skipBalanced();
+        }
+        continue;
+      }
+      const accessor = (this.peek() === 'get' || this.peek() === 'set') && isPropertyKey(this.peek(1)) ? this.peek() : undefined;
+      const member = this.parseMember();
+      if (this.peek() === '{') {
+        this.skipBalanced();
+      }
+      if (!member || modifiers.includes('private') || member.name.startsWith('#')) {
+        continue;
+      }
+      const isStatic = modifiers.includes('static');
+      const isMethod = !accessor && member.method;
+      const info = {
+        name: member.name,
+        type: member.optional ? union(member.type, 'undefined') : member.type
+      };
+      if (accessor) {
+        info[accessor === 'get' ? 'getter' : 'setter'] = {
+          kind: 'function',
+          params: accessor === 'get' ? [] : [{
+            name: 'value',
+            type: member.type
+          }],
+          returns: accessor === 'get' ? member.type : 'undefined'
+        };
+      }
+      const members = isStatic ? statics : isMethod || accessor ? prototype : instance;
+      members[member.name] = members[member.name] ? mergeDeclarations(members[member.name], info) : info;
+      if (!isStatic && (isMethod || accessor)) {
+        instance[member.name] = { ...members[member.name]
+        };
+      }
+    }
+    this.typeParams = outerParams;
+    statics.prototype = {
+      name: 'prototype',
+      type: 'object',
+      members: prototype
+    };
+    const instanceProperties = {};
+    for (const key of Object.keys(instance)) {
+      instanceProperties[key] = instance[key].type;
+    }
+    return {
+      name,
+      type: ctorType ? {
+        kind: 'function',
+        params: ctorType.params
+      } : {
+        kind: 'function',
+        params: []
+      },
+      members: statics,
+      instance: {
+        type: mergeShapes(superType, objectOf(instanceProperties)),
+        members: instance
+      }
+    };
+  }
+
+  parseEnum(name) {
+    const members = {};
+    let enumType;
+    let next = 0;
+    this.expect('{');
+    while (!this.accept('}')) {
+      const key = getPropertyKey(this.next());
+      const info = {
+        name: key,
+        constant: true
+      };
+      if (this.accept('=')) {
+        const start = this.pos;
+        this.skipExpression();
+        const token = this.peek(-1);
+        if (this.pos === start + 1 && isString(token)) {
+          info.value = unquote(token);
+        } else if (this.pos === start + 1 && /^\d/.test(token)) {
+          info.value = Number(token);
+        } else if (this.pos === start + 2 && this.peek(-2) === '-' && /^\d/.test(token)) {
+          info.value = -Number(token);
+        }
+      } else if (next !== undefined) {
+        info.value = next;
+      }
+      next = typeof info.value === 'number' ? info.value + 1 : undefined;
+      info.type = 'value' in info ? typeof info.value : 'number';
+      members[key] = info;
+      enumType = union(enumType || info.type, 'value' in info ? literalOf(info.value) : info.type);
+      this.accept(',');
+    }
+    return {
+      name,
+      type: 'object',
+      members,
+      enumType: enumType || 'number'
+    };
+  }
+
+  parseNamespace(names) {
+    const name = names[0];
+    const outerNamespace = this.namespace;
+    this.namespace += name + '.';
+    let members;
+    if (names.length > 1) {
+      // `namespace a.b {}` declares `b` within `a`
+      const inner = this.parseNamespace(names.slice(1));
+      members = {
+        [inner.name]: inner
+      };
+    } else {
+      this.expect('{');
+      const block = this.parseBlock('}');
+      // ambient namespaces export all of their declarations
+      members = Object.keys(block.exports).length > 0 ? block.exports : block.values;
+    }
+    this.namespace = outerNamespace;
+    return {
+      name,
+      type: 'object',
+      members
+    };
+  }
+
+  parseModule(block, name) {
+    if (!this.accept('{')) {
+      // shorthand ambient modules have unknown exports
+      this.accept(';');
+      block.modules[name] = {
+        exports: {},
+        reexports: []
+      };
+      return;
+    }
+    const moduleBlock = this.parseBlock('}');
+    block.modules[name] = {
+      // ambient modules without export statements export all declarations
+      exports: moduleBlock.isModule ? moduleBlock.exports : moduleBlock.values,
+      reexports: moduleBlock.reexports
+    };
+  }
+}
+
+function isPropertyKey(token) {
+  return !!token && (isName(token) || isString(token) || /^\d/.test(token));
+}
+
+function getPropertyKey(token) {
+  return isString(token) ? unquote(token) : token;
+}
+
+function isObjectShape(type) {
+  return !!type && typeof type === 'object' && getKind(type) === 'object';
+}
+
+// returns an object type with the properties of both types, with those of the
+// second taking precedence
+function mergeShapes(a, b) {
+  if (!isObjectShape(a)) {
+    return b;
+  }
+  if (!isObjectShape(b)) {
+    return a;
+  }
+  const optional = (a.optional || []).filter(name => !(b.properties && name in b.properties));
+  const index = a.index && b.index ? union(a.index, b.index) : a.index || b.index;
+  return objectOf({ ...a.properties,
+    ...b.properties
+  }, optional.concat(b.optional || []), index);
+}
+
+// merges the signatures of overloaded functions into one accepting the union
+// of their parameter types and returning the union of their return types
+function mergeSignatures(a, b) {
+  if (!a) {
+    return b;
+  }
+  const length = Math.max(a.params.length, b.params.length);
+  const params = [];
+  for (let i = 0; i < length; ++i) {
+    const pa = a.params[i];
+    const pb = b.params[i];
+    // parameters missing from an overload are optional
+    const type = union(pa ? pa.type : 'undefined', pb ? pb.type : 'undefined');
+    const name = pa && pa.name ? pa.name : pb && pb.name;
+    params.push(name ? {
+      name,
+      type
+    } : {
+      type
+    });
+  }
+  return {
+    kind: 'function',
+    params,
+    returns: union(a.returns, b.returns)
+  };
+}
+
+// merges declarations of the same name, such as overloaded functions and
+// namespaces merged with functions, classes, or enums
+function mergeDeclarations(existing, info) {
+  const result = { ...existing
+  };
+  if (getKind(existing.type) === 'function' && getKind(info.type) === 'function' && !existing.instance && !info.instance) {
+    result.type = mergeSignatures(existing.type, info.type);
+  } else if (getKind(existing.type) === 'object' && !existing.members) {
+    result.type = info.type;
+  } else if (info.instance) {
+    result.type = info.type;
+    result.instance = info.instance;
+  }
+  if (info.members) {
+    result.members = { ...existing.members,
+      ...info.members
+    };
+  }
+  return result;
+}
@@ -83,6 +83,29 @@ export function format(ast, options = {}) {
     return false;
   }
 
+  function emitKey(node, state, visit) {
+    if (node.computed) {
+      fmt.emitLeading('[');
+      visit(node.key, state);
+      fmt.emitTrailing(']');
+    } else {
+      visit(node.key, state);
+    }
+  }
+
+  // visits the object of a member expression or the callee of a call
+  function emitChainable(node, state, visit) {
+    // continuing an optional chain without `?.` requires parentheses
+    if (node.type === 'ChainExpression') {
+      delete state.leadingExpression;
+      fmt.emitLeading('(');
+      visit(node, clearPrecedence(state));
+      fmt.emitTrailing(')');
+    } else {
+      visit(node, state);
+    }
+  }
+
   function unaryVisitor(node, state, visit) {
     const precedence = node.prefix ? Precedence.Prefix : Precedence.Postfix;
     const needParens = precedence > state.precedence;
@@ -117,12 +140,12 @@ export function format(ast, options = {}) {
       fmt.emitLeading('(');
     }
     visit(node.left, { ...state,
-      precedence: precedence - (rightAssoc ? 1 : 0)
+      precedence: mixesCoalesce(node, node.left) ? 0 : precedence - (rightAssoc ? 1 : 0)
     });
     delete state.leadingExpression;
     fmt.emitBinaryOp(node.operator);
     visit(node.right, { ...state,
-      precedence: precedence - (rightAssoc ? 0 : 1)
+      precedence: mixesCoalesce(node, node.right) ? 0 : precedence - (rightAssoc ? 0 : 1)
     });
     if (needParens) {
       fmt.emitTrailing(')');
@@ -241,6 +264,12 @@ export function format(ast, options = {}) {
       fmt.emitSpace();
       fmt.emit('*');
       fmt.emitSpace();
+      if (node.exported) {
+        fmt.emitLeading('as');
+        fmt.emitSpace();
+        visit(node.exported, state);
+        fmt.emitSpace();
+      }
       fmt.emitLeading('from');
       fmt.emitSpace();
       visit(node.source, state);
@@ -272,8 +301,10 @@ export function format(ast, options = {}) {
           visit(decl.init, state);
         }
       }
-      fmt.emitSemi();
-      fmt.emitNewline();
+      if (!state.inForHead) {
+        fmt.emitSemi();
+        fmt.emitNewline();
+      }
       return false;
     },
 
@@ -355,13 +386,7 @@ export function format(ast, options = {}) {
           fmt.emitLeading(node.kind);
           fmt.emitSpace();
       }
-      if (node.computed) {
-        fmt.emitLeading('[');
-        visit(node.key, state);
-        fmt.emitTrailing(']');
-      } else {
-        visit(node.key, state);
-      }
+      emitKey(node, state, visit);
       fmt.emitTrailing('(');
       emitList(node.value.params, state, visit);
       fmt.emitTrailing(')');
@@ -369,6 +394,36 @@ export function format(ast, options = {}) {
       visit(node.value.body, state);
       return false;
     },
+    PropertyDefinitionBefore(node, state, visit) {
+      if (node.static) {
+        fmt.emitLeading('static');
+        fmt.emitSpace();
+      }
+      emitKey(node, state, visit);
+      if (node.value) {
+        fmt.emitBinaryOp('=');
+        visit(node.value, state);
+      }
+      fmt.emitSemi();
+      fmt.emitNewline();
+      return false;
+    },
+    StaticBlockBefore(node, state, visit) {
+      fmt.emitLeading('static');
+      fmt.emitSpace();
+      fmt.emitTrailing('{');
+      if (node.body.length > 0) {
+        fmt.emitNewline();
+        fmt.incIndent();
+        for (const stmt of node.body) {
+          visit(stmt, state);
+        }
+        fmt.decIndent();
+      }
+      fmt.emitTrailing('}');
+      fmt.emitNewline();
+      return false;
+    },
     PropertyBefore(node, state, visit) {
       switch (node.kind) {
         case 'get':
@@ -376,13 +431,7 @@ export function format(ast, options = {}) {
           fmt.emitLeading(node.kind);
           fmt.emitSpace();
       }
-      if (node.computed) {
-        fmt.emitLeading('[');
-        visit(node.key, state);
-        fmt.emitTrailing(']');
-      } else {
-        visit(node.key, state);
-      }
+      emitKey(node, state, visit);
       if (node.value.type === 'FunctionExpression') {
         fmt.emitTrailing('(');
         emitList(node.value.params, state, visit);
@@ -577,13 +626,11 @@ export function format(ast, options = {}) {
     ForStatementBefore(node, state, visit) {
       fmt.emit('for');
       fmt.emitSpace();
-      if (node.await) {
-        fmt.emit('await');
-        fmt.emitSpace();
-      }
       fmt.emitLeading('(');
       if (node.init) {
-        visit(node.init, state);
+        visit(node.init, { ...state,
+          inForHead: true
+        });
       }
       fmt.emitSemi();
       fmt.emitSpace();
@@ -603,7 +650,9 @@ export function format(ast, options = {}) {
       fmt.emit('for');
       fmt.emitSpace();
       fmt.emitLeading('(');
-      visit(node.left, state);
+      visit(node.left, { ...state,
+        inForHead: true
+      });
       fmt.emitBinaryOp('in');
       visit(node.right, state);
       fmt.emitTrailing(')');
@@ -613,8 +662,14 @@ export function format(ast, options = {}) {
     ForOfStatementBefore(node, state, visit) {
       fmt.emit('for');
       fmt.emitSpace();
+      if (node.await) {
+        fmt.emit('await');
+        fmt.emitSpace();
+      }
       fmt.emitLeading('(');
-      visit(node.left, state);
+      visit(node.left, { ...state,
+        inForHead: true
+      });
       fmt.emitBinaryOp('of');
       visit(node.right, state);
       fmt.emitTrailing(')');
@@ -653,16 +708,21 @@ export function format(ast, options = {}) {
     },
     MemberExpressionBefore(node, state, visit) {
       const precedence = Precedence.MemberCall;
-      visit(node.object, { ...state,
+      emitChainable(node.object, { ...state,
         precedence
-      });
+      }, visit);
       delete state.leadingExpression;
+      if (node.optional) {
+        fmt.emitLeading('?.');
+      }
       if (node.computed) {
         fmt.emitLeading('[');
         visit(node.property, state, clearPrecedence(state)); // expression
         fmt.emitTrailing(']');
       } else {
-        fmt.emitLeading('.');
+        if (!node.optional) {
+          fmt.emitLeading('.');
+        }
         visit(node.property, state); // identifier
       }
       return false;
@@ -692,10 +752,13 @@ export function format(ast, options = {}) {
     },
     CallExpressionBefore(node, state, visit) {
       const precedence = Precedence.MemberCall;
-      visit(node.callee, { ...state,
+      emitChainable(node.callee, { ...state,
         precedence
-      });
+      }, visit);
       delete state.leadingExpression;
+      if (node.optional) {
+        fmt.emitLeading('?.');
+      }
       fmt.emitTrailing('(');
       emitList(node.arguments, state, visit);
       fmt.emitTrailing(')');
@@ -713,6 +776,14 @@ export function format(ast, options = {}) {
       fmt.emitTrailing(')');
       return false;
     },
+    ImportExpressionBefore(node, state, visit) {
+      delete state.leadingExpression;
+      fmt.emit('import');
+      fmt.emitTrailing('(');
+      emitList(node.options ? [node.source, node.options] : [node.source], state, visit);
+      fmt.emitTrailing(')');
+      return false;
+    },
     SpreadElement() {
       fmt.emit('...');
     },
@@ -798,12 +869,18 @@ export function format(ast, options = {}) {
       delete state.leadingExpression;
       fmt.emit(node.name);
     },
+    PrivateIdentifier(node, state) {
+      delete state.leadingExpression;
+      fmt.emit('#' + node.name);
+    },
     Literal(node, state) {
       delete state.leadingExpression;
       if (node.raw) {
         fmt.emit(node.raw);
       } else if (node.regex) {
         fmt.emit(`/${node.regex.pattern}/${node.regex.flags}`)
+      } else if (node.bigint) {
+        fmt.emit(node.bigint + 'n');
       } else {
         fmt.emit(JSON.stringify(node.value));
       }
@@ -832,9 +909,9 @@ const Precedence = {
   BitXor: 12, // `x ^ y`
   BitOr: 13, // `x | y`
   LogicalAnd: 14, // `x && y`
-  LogicalOr: 15, // `x || y`
+  LogicalOr: 15, // `x || y` `x ?? y` (which cannot be mixed with `&&` or `||` without parentheses)
   Conditional: 16, // `x ? y : z` (right associative)
-  Assignment: 17, // `x = y` `x += y` `x -= y` `x **= y` `x *= y` `x /= y` `x %= y` `x <<= y` `x >>= y` `x >>>= y` `x &= y` `x ^= y` `x |= y` (right associative)
+  Assignment: 17, // `x = y` `x += y` `x -= y` `x **= y` `x *= y` `x /= y` `x %= y` `x <<= y` `x >>= y` `x >>>= y` `x &= y` `x ^= y` `x |= y` `x &&= y` `x ||= y` `x ??= y` (right associative)
   Yield: 18, // `yield x` `yield* x` (right associative)
   Sequence: 19, // `x, y`
 };
@@ -864,6 +941,7 @@ const binaryOpPrecedence = {
   '|': Precedence.BitOr,
   '&&': Precedence.LogicalAnd,
   '||': Precedence.LogicalOr,
+  '??': Precedence.LogicalOr,
   '=': Precedence.Assignment,
   '+=': Precedence.Assignment,
   '-=': Precedence.Assignment,
@@ -876,9 +954,17 @@ const binaryOpPrecedence = {
   '>>>=': Precedence.Assignment,
   '&=': Precedence.Assignment,
   '^=': Precedence.Assignment,
-  '|=': Precedence.Assignment
+  '|=': Precedence.Assignment,
+  '&&=': Precedence.Assignment,
+  '||=': Precedence.Assignment,
+  '??=': Precedence.Assignment
 };
 
+function mixesCoalesce(node, operand) {
+  return node.type === 'LogicalExpression' && operand.type === 'LogicalExpression' &&
+    (node.operator === '??') !== (operand.operator === '??');
+}
+
 function clearPrecedence(state) {
   const {
     precedence,
@@ -0,0 +1,447 @@
+/**
+ * Built-in global environment module.
+ * @module globals
+ * @private
+ */
+
+import { getPureFunction } from './pure';
+import { arrayOf, kindOf, refOf } from './types';
+
+// Descriptions of built-in globals are plain objects with the following
+// properties, all optional:
+// - `type`: the type of the global or member
+// - `value`: the constant value of a non-writable global or member
+// - `members`: object mapping member names to descriptions
+// - `instance`: for constructors, the type of the objects they construct
+// - `since`: the year of the ECMAScript edition introducing the global or
+//     member (2009 for ES5, which is assumed if omitted)
+
+// describes a non-writable constant
+function constant(value) {
+  return {
+    value
+  };
+}
+
+// describes a function with the given parameters (an object mapping names to
+// types, or to `undefined` for any type) and return type
+function func(params, returns, since) {
+  const type = {
+    kind: 'function',
+    params: Object.keys(params).map(name => params[name] ? {
+      name,
+      type: params[name]
+    } : {
+      name
+    })
+  };
+  if (returns) {
+    type.returns = returns;
+  }
+  return {
+    type,
+    since
+  };
+}
+
+// describes a namespace object with the given members
+function object(members, since) {
+  return {
+    type: 'object',
+    members,
+    since
+  };
+}
+
+// describes a constructor whose calls return `returns` (defaulting to the
+// instance type) and whose instances have the given type
+function ctor(params, instance, members = {}, since, returns = instance) {
+  return {
+    ...func(params, returns, since),
+    members,
+    instance
+  };
+}
+
+// describes a constructor whose instances are references to the generic type
+// of the same name
+function generic(name, params, members, since) {
+  return ctor(params, refOf(name), members, since);
+}
+
+const numberFunction = func({ x: 'number' }, 'number');
+const numberFunction2 = func({ x: 'number', y: 'number' }, 'number');
+const uriFunction = func({ uri: 'string' }, 'string');
+const errorCtor = ctor({ message: 'string' }, 'object');
+const typedArrayCtor = ctor({ length: 'number' }, 'object', {
+  BYTES_PER_ELEMENT: { type: 'number' },
+  from: func({ source: undefined }, 'object'),
+  of: func({ items: undefined }, 'object')
+}, 2015);
+
+// standard ECMAScript globals
+const ecmaScriptGlobals = {
+  undefined: constant(undefined),
+  NaN: constant(NaN),
+  Infinity: constant(Infinity),
+  globalThis: object({}, 2020),
+
+  decodeURI: uriFunction,
+  decodeURIComponent: uriFunction,
+  encodeURI: uriFunction,
+  encodeURIComponent: uriFunction,
+  isFinite: func({ value: undefined }, 'boolean'),
+  isNaN: func({ value: undefined }, 'boolean'),
+  parseFloat: func({ string: 'string' }, 'number'),
+  parseInt: func({ string: 'string', radix: 'number' }, 'number'),
+
+  Array: ctor({ length: 'number' }, 'array', {
+    from: func({ iterable: undefined, mapFn: 'function' }, 'array', 2015),
+    isArray: func({ value: undefined }, 'boolean'),
+    of: func({ items: undefined }, 'array', 2015)
+  }),
+  ArrayBuffer: ctor({ length: 'number' }, 'object', {
+    isView: func({ value: undefined }, 'boolean')
+  }, 2015),
+  BigInt: ctor({ value: undefined }, 'object', {
+    asIntN: func({ bits: 'number', bigint: 'bigint' }, 'bigint'),
+    asUintN: func({ bits: 'number', bigint: 'bigint' }, 'bigint')
+  }, 2020, 'bigint'),
+  Boolean: ctor({ value: undefined }, 'object', {}, undefined, 'boolean'),
+  DataView: ctor({ buffer: 'object', byteOffset: 'number', byteLength: 'number' }, 'object', {}, 2015),
+  Date: ctor({ value: undefined }, 'object', {
+    now: func({}, 'number'),
+    parse: func({ string: 'string' }, 'number'),
+    UTC: func({ year: 'number', month: 'number', day: 'number' }, 'number')
+  }, undefined, 'string'),
+  Error: errorCtor,
+  EvalError: errorCtor,
+  Float32Array: typedArrayCtor,
+  Float64Array: typedArrayCtor,
+  Function: ctor({ body: 'string' }, 'function'),
+  Int8Array: typedArrayCtor,
+  Int16Array: typedArrayCtor,
+  Int32Array: typedArrayCtor,
+  JSON: object({
+    parse: func({ text: 'string', reviver: 'function' }, 'any'),
+    stringify: func({ value: undefined, replacer: undefined, space: undefined }, ['string', 'undefined'])
+  }),
+  Map: generic('Map', { iterable: undefined }, {}, 2015),
+  Math: object({
+    E: constant(Math.E),
+    LN10: constant(Math.LN10),
+    LN2: constant(Math.LN2),
+    LOG10E: constant(Math.LOG10E),
+    LOG2E: constant(Math.LOG2E),
+    PI: constant(Math.PI),
+    SQRT1_2: constant(Math.SQRT1_2),
+    SQRT2: constant(Math.SQRT2),
+    abs: numberFunction,
+    acos: numberFunction,
+    acosh: { ...numberFunction, since: 2015 },
+    asin: numberFunction,
+    asinh: { ...numberFunction, since: 2015 },
+    atan: numberFunction,
+    atan2: func({ y: 'number', x: 'number' }, 'number'),
+    atanh: { ...numberFunction, since: 2015 },
+    cbrt: { ...numberFunction, since: 2015 },
+    ceil: numberFunction,
+    clz32: { ...numberFunction, since: 2015 },
+    cos: numberFunction,
+    cosh: { ...numberFunction, since: 2015 },
+    exp: numberFunction,
+    expm1: { ...numberFunction, since: 2015 },
+    floor: numberFunction,
+    fround: { ...numberFunction, since: 2015 },
+    hypot: { ...numberFunction2, since: 2015 },
+    imul: { ...numberFunction2, since: 2015 },
+    log: numberFunction,
+    log10: { ...numberFunction, since: 2015 },
+    log1p: { ...numberFunction, since: 2015 },
+    log2: { ...numberFunction, since: 2015 },
+    max: numberFunction2,
+    min: numberFunction2,
+    pow: numberFunction2,
+    random: func({}, 'number'),
+    round: numberFunction,
+    sign: { ...numberFunction, since: 2015 },
+    sin: numberFunction,
+    sinh: { ...numberFunction, since: 2015 },
+    sqrt: numberFunction,
+    tan: numberFunction,
+    tanh: { ...numberFunction, since: 2015 },
+    trunc: { ...numberFunction, since: 2015 }
+  }),
+  Number: ctor({ value: undefined }, 'object', {
+    EPSILON: { ...constant(Number.EPSILON), since: 2015 },
+    MAX_SAFE_INTEGER: { ...constant(Number.MAX_SAFE_INTEGER), since: 2015 },
+    MAX_VALUE: constant(Number.MAX_VALUE),
+    MIN_SAFE_INTEGER: { ...constant(Number.MIN_SAFE_INTEGER), since: 2015 },
+    MIN_VALUE: constant(Number.MIN_VALUE),
+    NaN: constant(NaN),
+    NEGATIVE_INFINITY: constant(-Infinity),
+    POSITIVE_INFINITY: constant(Infinity),
+    isFinite: func({ value: undefined }, 'boolean', 2015),
+    isInteger: func({ value: undefined }, 'boolean', 2015),
+    isNaN: func({ value: undefined }, 'boolean', 2015),
+    isSafeInteger: func({ value: undefined }, 'boolean', 2015),
+    parseFloat: func({ string: 'string' }, 'number', 2015),
+    parseInt: func({ string: 'string', radix: 'number' }, 'number', 2015)
+  }, undefined, 'number'),
+  Object: ctor({ value: undefined }, 'object', {
+    assign: func({ target: 'object', source: undefined }, 'object', 2015),
+    create: func({ proto: ['object', 'null'], properties: 'object' }, 'object'),
+    defineProperties: func({ o: 'object', properties: 'object' }, 'object'),
+    defineProperty: func({ o: 'object', key: undefined, descriptor: 'object' }, 'object'),
+    entries: func({ o: undefined }, arrayOf('array'), 2017),
+    freeze: func({ o: undefined }),
+    fromEntries: func({ iterable: undefined }, 'object', 2019),
+    getOwnPropertyDescriptor: func({ o: undefined, key: undefined }, ['object', 'undefined']),
+    getOwnPropertyNames: func({ o: undefined }, arrayOf('string')),
+    getOwnPropertySymbols: func({ o: undefined }, arrayOf('symbol'), 2015),
+    getPrototypeOf: func({ o: undefined }, ['object', 'null']),
+    is: func({ a: undefined, b: undefined }, 'boolean', 2015),
+    isExtensible: func({ o: undefined }, 'boolean'),
+    isFrozen: func({ o: undefined }, 'boolean'),
+    isSealed: func({ o: undefined }, 'boolean'),
+    keys: func({ o: undefined }, arrayOf('string')),
+    preventExtensions: func({ o: undefined }),
+    seal: func({ o: undefined }),
+    setPrototypeOf: func({ o: undefined, proto: ['object', 'null'] }, undefined, 2015),
+    values: func({ o: undefined }, 'array', 2017)
+  }),
+  Promise: generic('Promise', { executor: 'function' }, {
+    all: func({ iterable: undefined }, refOf('Promise', ['array'])),
+    allSettled: func({ iterable: undefined }, refOf('Promise', ['array']), 2020),
+    race: func({ iterable: undefined }, refOf('Promise')),
+    reject: func({ reason: undefined }, refOf('Promise')),
+    resolve: func({ value: undefined }, refOf('Promise'))
+  }, 2015),
+  Proxy: ctor({ target: 'object', handler: 'object' }, 'object', {
+    revocable: func({ target: 'object', handler: 'object' }, 'object')
+  }, 2015),
+  RangeError: errorCtor,
+  ReferenceError: errorCtor,
+  Reflect: object({
+    apply: func({ target: 'function', thisArgument: undefined, argumentsList: 'array' }),
+    construct: func({ target: 'function', argumentsList: 'array' }, 'object'),
+    defineProperty: func({ target: 'object', key: undefined, descriptor: 'object' }, 'boolean'),
+    deleteProperty: func({ target: 'object', key: undefined }, 'boolean'),
+    get: func({ target: 'object', key: undefined }),
+    getOwnPropertyDescriptor: func({ target: 'object', key: undefined }, ['object', 'undefined']),
+    getPrototypeOf: func({ target: 'object' }, ['object', 'null']),
+    has: func({ target: 'object', key: undefined }, 'boolean'),
+    isExtensible: func({ target: 'object' }, 'boolean'),
+    ownKeys: func({ target: 'object' }, 'array'),
+    preventExtensions: func({ target: 'object' }, 'boolean'),
+    set: func({ target: 'object', key: undefined, value: undefined }, 'boolean'),
+    setPrototypeOf: func({ target: 'object', proto: ['object', 'null'] }, 'boolean')
+  }, 2015),
+  RegExp: ctor({ pattern: 'string', flags: 'string' }, 'object'),
+  Set: generic('Set', { iterable: undefined }, {}, 2015),
+  String: ctor({ value: undefined }, 'object', {
+    fromCharCode: func({ code: 'number' }, 'string'),
+    fromCodePoint: func({ codePoint: 'number' }, 'string', 2015),
+    raw: func({ template: 'object' }, 'string', 2015)
+  }, undefined, 'string'),
+  Symbol: ctor({ description: 'string' }, 'symbol', {
+    asyncIterator: { type: 'symbol', since: 2018 },
+    for: func({ key: 'string' }, 'symbol'),
+    hasInstance: { type: 'symbol' },
+    iterator: { type: 'symbol' },
+    keyFor: func({ symbol: 'symbol' }, ['string', 'undefined']),
+    toPrimitive: { type: 'symbol' },
+    toStringTag: { type: 'symbol' }
+  }, 2015),
+  SyntaxError: errorCtor,
+  TypeError: errorCtor,
+  Uint8Array: typedArrayCtor,
+  Uint8ClampedArray: typedArrayCtor,
+  Uint16Array: typedArrayCtor,
+  Uint32Array: typedArrayCtor,
+  URIError: errorCtor,
+  WeakMap: generic('WeakMap', { iterable: undefined }, {}, 2015),
+  WeakSet: generic('WeakSet', { iterable: undefined }, {}, 2015)
+};
+
+const timerFunctions = {
+  clearInterval: func({ id: undefined }, 'void'),
+  clearTimeout: func({ id: undefined }, 'void'),
+  setInterval: func({ callback: 'function', delay: 'number' }),
+  setTimeout: func({ callback: 'function', delay: 'number' }),
+  queueMicrotask: func({ callback: 'function' }, 'void')
+};
+
+const logFunction = func({ data: undefined }, 'void');
+
+// globals common to Node.js and browsers
+const hostGlobals = {
+  ...timerFunctions,
+  console: object({
+    assert: func({ condition: undefined, data: undefined }, 'void'),
+    debug: logFunction,
+    dir: logFunction,
+    error: logFunction,
+    info: logFunction,
+    log: logFunction,
+    table: logFunction,
+    trace: logFunction,
+    warn: logFunction
+  }),
+  TextDecoder: ctor({ encoding: 'string' }, 'object'),
+  TextEncoder: ctor({}, 'object'),
+  URL: ctor({ url: 'string', base: 'string' }, 'object'),
+  URLSearchParams: ctor({ init: undefined }, 'object')
+};
+
+// globals of Node.js, including the module-scoped variables of CommonJS modules
+const nodeGlobals = {
+  ...hostGlobals,
+  __dirname: { type: 'string' },
+  __filename: { type: 'string' },
+  Buffer: ctor({}, 'object', {
+    alloc: func({ size: 'number' }, 'object'),
+    byteLength: func({ string: undefined, encoding: 'string' }, 'number'),
+    concat: func({ list: 'array', totalLength: 'number' }, 'object'),
+    from: func({ value: undefined, encoding: 'string' }, 'object'),
+    isBuffer: func({ value: undefined }, 'boolean')
+  }),
+  clearImmediate: func({ id: undefined }, 'void'),
+  exports: { type: 'object' },
+  global: object({}),
+  module: object({
+    exports: { type: 'object' }
+  }),
+  process: object({
+    argv: { type: arrayOf('string') },
+    cwd: func({}, 'string'),
+    env: { type: 'object' },
+    exit: func({ code: 'number' }, 'void'),
+    nextTick: func({ callback: 'function' }, 'void'),
+    platform: { type: 'string' },
+    version: { type: 'string' }
+  }),
+  require: func({ id: 'string' }),
+  setImmediate: func({ callback: 'function' })
+};
+
+// globals of web browsers
+const browserGlobals = {
+  ...hostGlobals,
+  alert: func({ message: 'string' }, 'void'),
+  cancelAnimationFrame: func({ id: 'number' }, 'void'),
+  confirm: func({ message: 'string' }, 'boolean'),
+  document: object({}),
+  fetch: func({ input: undefined, init: 'object' }, refOf('Promise', ['object'])),
+  history: object({}),
+  localStorage: object({}),
+  location: object({}),
+  navigator: object({}),
+  prompt: func({ message: 'string', defaultValue: 'string' }, ['string', 'null']),
+  requestAnimationFrame: func({ callback: 'function' }, 'number'),
+  self: object({}),
+  sessionStorage: object({}),
+  window: object({})
+};
+
+const hostProfiles = {
+  node: nodeGlobals,
+  browser: browserGlobals
+};
+
+// the latest ECMAScript edition described, used when none is specified
+const latestEdition = 2020;
+
+/**
+ * Creates an object mapping the names of the built-in globals of the given
+ * profiles to their analyses, suitable as the members of a root scope.
+ *
+ * Profiles name an ECMAScript edition (`es5` or `es2015` through `es2020`),
+ * which includes the standard globals introduced by that edition or earlier,
+ * or a host environment (`node` or `browser`). ES2020 is the latest edition
+ * described: it is assumed if no edition is given, and later editions, such
+ * as `es2021`, are rejected as unknown profiles. Globals have the types of their values, and
+ * namespaces and constructors have the types of their static members.
+ * Non-writable constants, such as `Math.PI`, have constant values, as do
+ * functions registered as pure, so that calls to them can be evaluated.
+ *
+ * @param {string[]} profiles the names of the profiles
+ * @returns {Object} an object mapping global names to analyses
+ */
+export function createGlobals(profiles) {
+  let edition;
+  const hosts = [];
+  for (const profile of profiles) {
+    const match = /^es(5|201[5-9]|2020)$/.exec(profile);
+    if (match) {
+      edition = Math.max(edition || 0, match[1] === '5' ? 2009 : Number(match[1]));
+    } else if (Object.prototype.hasOwnProperty.call(hostProfiles, profile)) {
+      hosts.push(hostProfiles[profile]);
+    } else {
+      throw new Error(`Unknown global profile '${profile}'`);
+    }
+  }
+  const members = createMembers(ecmaScriptGlobals, '', edition || latestEdition);
+  for (const host of hosts) {
+    Object.assign(members, createMembers(host, '', Infinity));
+  }
+  for (const name of Object.keys(members)) {
+    globalProperties.add(members[name]);
+  }
+  return members;
+}
+
+// analyses of globals created by `createGlobals`
+const globalProperties = new WeakSet();
+
+/**
+ * Returns whether the given analysis is that of a built-in global created by
+ * `createGlobals`, which is a property of the global object that declarations
+ * in scripts may redeclare.
+ *
+ * @param {Object} info an analysis
+ * @returns {boolean} true if and only if the analysis is of a built-in global
+ */
+export function isGlobalProperty(info) {
+  return globalProperties.has(info);
+}
+
+// creates new analyses for the described members available in the given edition
+function createMembers(descriptions, prefix, edition) {
+  const members = {};
+  for (const name of Object.keys(descriptions)) {
+    const desc = descriptions[name];
+    if (!desc.since || desc.since <= edition) {
+      members[name] = createGlobal(desc, name, prefix + name, edition);
+    }
+  }
+  return members;
+}
+
+function createGlobal(desc, name, qname, edition) {
+  const info = {
+    name
+  };
+  if ('value' in desc) {
+    info.type = kindOf(desc.value);
+    info.value = desc.value;
+    info.constant = true;
+  } else if (desc.type) {
+    info.type = desc.type;
+    const impl = getPureFunction(qname);
+    if (impl) {
+      // pure functions have their implementation as their value
+      info.value = impl;
+    }
+  }
+  if (desc.members) {
+    info.members = createMembers(desc.members, qname + '.', edition);
+  }
+  if (desc.instance) {
+    info.instance = {
+      type: desc.instance,
+      members: {}
+    };
+  }
+  return info;
+}
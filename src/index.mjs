@@ -1,5 +1,9 @@
 'use strict';
 
 export { analyze } from './analyze';
+export { readDeclarations, toDeclarations } from './declarations';
 export { format } from './format';
+export { analyzeProject } from './project';
+export { registerPureFunction } from './pure';
+export { jsonSchemaToType, typeToJsonSchema } from './schema';
 export { Scope } from './scope';
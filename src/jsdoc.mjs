@@ -0,0 +1,585 @@
+/**
+ * JSDoc comment module.
+ * @module jsdoc
+ * @private
+ */
+
+import { arrayOf, isGenericType, literalOf, objectOf, refOf, union } from './types';
+
+/**
+ * Reads the JSDoc comments among the given comments provided by the parser and
+ * associates each with the outermost node following it. Type expressions are
+ * mapped to types, with names defined by `@typedef` and `@callback` tags in
+ * any of the comments resolved to the types they define.
+ *
+ * Documentation of declarations applies to the functions they declare, so the
+ * comment preceding `export const f = () => {}` also documents the arrow
+ * function. Each documented node is mapped to an object with the following
+ * properties, present only if documented:
+ *
+ * - `type`: the type given by a `@type`, `@const`, or `@constant` tag, or
+ *     for parameters by a preceding JSDoc comment consisting only of a type
+ *     expression, such as `number`
+ * - `params`: an array with the `name` and `type` of each parameter given by
+ *     `@param` tags, with the types of nested properties (such as
+ *     `options.name`) included in the type of their parameter
+ * - `returns`: the type given by a `@returns` or `@return` tag
+ *
+ * @param {Node} ast an ESTree AST
+ * @param {Object[]} comments comments with `type`, `value`, `start`, and `end`
+ *     properties, as collected by the `onComment` option of Acorn
+ * @returns {Map<Node, Object>} a map from nodes to their documentation
+ */
+export function readJSDoc(ast, comments) {
+  const blocks = comments
+    .filter(comment => comment.type === 'Block' && comment.value.startsWith('*'))
+    .sort((a, b) => getStart(a) - getStart(b))
+    .map(comment => ({
+      end: getEnd(comment),
+      text: comment.value,
+      tags: parseTags(comment.value)
+    }));
+
+  // type definitions apply to all comments, regardless of position
+  const typedefs = new Map();
+  const resolve = createResolver(typedefs);
+  for (const { tags } of blocks) {
+    addTypedef(tags, typedefs, resolve);
+  }
+
+  const docs = new Map();
+  const nodes = getNodesByStart(ast);
+  let index = 0;
+  for (const { end, text, tags } of blocks) {
+    while (index < nodes.length && getStart(nodes[index]) < end) {
+      ++index;
+    }
+    const doc = index < nodes.length &&
+      (tags.length > 0 ? createDoc(tags, resolve) : createInlineDoc(text, nodes[index], resolve));
+    if (doc) {
+      attachDoc(nodes[index], doc, docs);
+    }
+  }
+  return docs;
+}
+
+function getStart(node) {
+  return node.start !== undefined ? node.start : node.range[0];
+}
+
+function getEnd(node) {
+  return node.end !== undefined ? node.end : node.range[1];
+}
+
+// returns all nodes of the AST ordered by their starting position, with
+// enclosing nodes before the nodes they contain
+function getNodesByStart(ast) {
+  const nodes = [];
+  (function collect(node) {
+    nodes.push(node);
+    for (const key of Object.keys(node)) {
+      const value = node[key];
+      for (const child of Array.isArray(value) ? value : [value]) {
+        if (child && typeof child.type === 'string' && key !== 'loc') {
+          collect(child);
+        }
+      }
+    }
+  })(ast);
+  // sorting is stable, so enclosing nodes remain first
+  return nodes.sort((a, b) => getStart(a) - getStart(b));
+}
+
+// associates documentation with a node and any nodes it declares that are not
+// documented themselves
+function attachDoc(node, doc, docs) {
+  docs.set(node, doc);
+  for (const target of getDeclaredNodes(node)) {
+    if (target && !docs.has(target)) {
+      attachDoc(target, doc, docs);
+    }
+  }
+}
+
+function getDeclaredNodes(node) {
+  switch (node.type) {
+    case 'ExportNamedDeclaration':
+    case 'ExportDefaultDeclaration':
+      return [node.declaration];
+    case 'VariableDeclaration':
+      return node.declarations.map(decl => decl.init);
+    case 'ExpressionStatement':
+      return [node.expression];
+    case 'AssignmentExpression':
+      return [node.right];
+    case 'Property':
+    case 'MethodDefinition':
+    case 'PropertyDefinition':
+      return [node.value];
+    default:
+      return [];
+  }
+}
+
+// tags followed by a name, such as `@param {string} name`
+const namedTags = ['param', 'arg', 'argument', 'property', 'prop', 'typedef', 'callback'];
+
+// parses the text of a JSDoc comment into an array of tags, each with the
+// `tag` name and optional `type` expression, `name`, and `optional` flag
+function parseTags(text) {
+  const tags = [];
+  let current;
+  // the first asterisk follows the comment opener, and others begin lines
+  for (const line of text.slice(1).split('\n')) {
+    const content = line.replace(/^\s*\*?/, '');
+    const match = /^\s*@(\w+)(.*)$/.exec(content);
+    if (match) {
+      current = {
+        tag: match[1],
+        text: match[2]
+      };
+      tags.push(current);
+    } else if (current) {
+      current.text += '\n' + content;
+    }
+  }
+  return tags.map(parseTag);
+}
+
+function parseTag({ tag, text }) {
+  const result = {
+    tag
+  };
+  text = text.trim();
+  if (text.startsWith('{')) {
+    const end = findClosingBrace(text);
+    if (end > 0) {
+      result.type = text.slice(1, end).trim();
+      text = text.slice(end + 1).trim();
+    }
+  }
+  if (namedTags.includes(tag)) {
+    // optional names are bracketed, with an optional default value
+    const match = /^\[\s*([^\]=\s]+)[^\]]*\]|^([^\s[\]]+)/.exec(text);
+    if (match) {
+      result.name = match[1] || match[2];
+      result.optional = !!match[1];
+    }
+  }
+  return result;
+}
+
+// returns the index of the brace closing the one at the start of the text, or
+// -1 if it is not closed
+function findClosingBrace(text) {
+  let depth = 0;
+  for (let i = 0; i < text.length; ++i) {
+    if (text[i] === '{') {
+      ++depth;
+    } else if (text[i] === '}' && --depth === 0) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+// returns the documentation described by the tags of a comment, or
+// `undefined` if the comment defines a type or has no relevant tags
+function createDoc(tags, resolve) {
+  if (tags.some(t => t.tag === 'typedef' || t.tag === 'callback')) {
+    return;
+  }
+  const doc = {};
+  const params = [];
+  for (const tag of tags) {
+    switch (tag.tag) {
+      case 'type':
+      case 'const':
+      case 'constant': {
+        const parsed = tag.type && parseType(tag.type, resolve);
+        if (parsed) {
+          // optional types, such as `number=`, include `undefined`
+          doc.type = parsed.optional ? union(parsed.type, 'undefined') : parsed.type;
+        }
+        break;
+      }
+      case 'param':
+      case 'arg':
+      case 'argument':
+        if (tag.name) {
+          params.push(getEntry(tag, resolve));
+        }
+        break;
+      case 'returns':
+      case 'return': {
+        const parsed = tag.type && parseType(tag.type, resolve);
+        if (parsed) {
+          doc.returns = parsed.type;
+        }
+        break;
+      }
+    }
+  }
+  if (params.length > 0) {
+    doc.params = params.filter(p => !p.name.includes('.')).map(p => ({
+      name: p.name,
+      type: getEntryType(p, params)
+    }));
+  }
+  return Object.keys(doc).length > 0 ? doc : undefined;
+}
+
+// types of parameter nodes, which may follow inline type expressions
+const paramTypes = ['Identifier', 'AssignmentPattern', 'RestElement', 'ObjectPattern', 'ArrayPattern'];
+
+// returns the documentation of a parameter given by a comment without tags
+// consisting of a type expression, such as `/** number */ a`, if any
+function createInlineDoc(text, node, resolve) {
+  const parsed = paramTypes.includes(node.type) && parseType(text.slice(1).trim(), resolve);
+  if (parsed) {
+    return {
+      type: parsed.optional ? union(parsed.type, 'undefined') : parsed.type
+    };
+  }
+}
+
+// returns a parameter or property tag as an entry with its `name`, `optional`
+// flag, and base `type`, if known
+function getEntry(tag, resolve) {
+  const parsed = tag.type && parseType(tag.type, resolve);
+  return {
+    name: tag.name,
+    optional: tag.optional || (!!parsed && parsed.optional),
+    type: parsed ? parsed.type : undefined
+  };
+}
+
+// returns the type of an entry, including any nested properties and
+// `undefined` if it is optional
+function getEntryType(entry, entries) {
+  const type = getShapeType(entry.type, entry.name + '.', entries);
+  return type && entry.optional ? union(type, 'undefined') : type;
+}
+
+// returns an object type with the properties of the entries named with the
+// given prefix, if there are any and the base type is an object
+function getShapeType(baseType, prefix, entries) {
+  const nested = entries.filter(e => e.name.startsWith(prefix) && !e.name.slice(prefix.length).includes('.'));
+  if (nested.length === 0 || (baseType && baseType !== 'object')) {
+    return baseType;
+  }
+  const properties = {};
+  const optional = [];
+  for (const entry of nested) {
+    const key = entry.name.slice(prefix.length);
+    properties[key] = getShapeType(entry.type, entry.name + '.', entries) || 'any';
+    if (entry.optional) {
+      optional.push(key);
+    }
+  }
+  return objectOf(properties, optional);
+}
+
+// records the type defined by a `@typedef` or `@callback` tag, which is
+// resolved when first referenced
+function addTypedef(tags, typedefs, resolve) {
+  const def = tags.find(t => (t.tag === 'typedef' || t.tag === 'callback') && t.name);
+  if (!def) {
+    return;
+  }
+  typedefs.set(def.name, () => {
+    if (def.tag === 'callback') {
+      const doc = createDoc(tags.filter(t => t !== def), resolve) || {};
+      const type = {
+        kind: 'function',
+        params: (doc.params || []).map(p => p.type ? p : {
+          name: p.name
+        })
+      };
+      if (doc.returns) {
+        type.returns = doc.returns;
+      }
+      return type;
+    }
+    const parsed = def.type && parseType(def.type, resolve);
+    const properties = tags.filter(t => (t.tag === 'property' || t.tag === 'prop') && t.name)
+      .map(t => getEntry(t, resolve));
+    return getShapeType(parsed ? parsed.type : 'object', '', properties) || 'any';
+  });
+}
+
+// built-in names in type expressions, mapped to type kinds
+const builtinKinds = {
+  any: 'any',
+  array: 'array',
+  Array: 'array',
+  bigint: 'bigint',
+  BigInt: 'bigint',
+  boolean: 'boolean',
+  Boolean: 'boolean',
+  function: 'function',
+  Function: 'function',
+  mixed: 'any',
+  null: 'null',
+  number: 'number',
+  Number: 'number',
+  object: 'object',
+  Object: 'object',
+  string: 'string',
+  String: 'string',
+  symbol: 'symbol',
+  Symbol: 'symbol',
+  undefined: 'undefined',
+  void: 'void'
+};
+
+// returns a function that resolves a type name with optional type arguments
+function createResolver(typedefs) {
+  const resolved = new Map();
+  return function resolve(name, args) {
+    if (name === 'true' || name === 'false') {
+      return literalOf(name === 'true');
+    }
+    if (Object.prototype.hasOwnProperty.call(builtinKinds, name)) {
+      const kind = builtinKinds[name];
+      if (kind === 'array') {
+        return arrayOf(args && args[0]);
+      }
+      if (kind === 'object' && args) {
+        // `Object<K, V>` describes objects used as maps
+        return objectOf({}, undefined, args[args.length - 1]);
+      }
+      return kind;
+    }
+    // names may be qualified by a namespace, such as `module:types~Type`
+    const localName = name.replace(/^.*[~.]/, '');
+    if (typedefs.has(localName)) {
+      if (!resolved.has(localName)) {
+        // references to a type while it is being resolved are unknown
+        resolved.set(localName, 'any');
+        resolved.set(localName, typedefs.get(localName)());
+      }
+      return resolved.get(localName);
+    }
+    if (args || isGenericType(name)) {
+      return refOf(name, args);
+    }
+    // other names, such as those of classes, are not yet described
+    return 'any';
+  };
+}
+
+// thrown when a type expression cannot be parsed
+const invalidType = {};
+
+const tokenPattern = /\s*(\.\.\.|[()[\]{}<>|,:=?!*.]|'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"|-?\d+(?:\.\d+)?|(?:module:)?[\w$][\w$~#/-]*)/y;
+
+function tokenize(text) {
+  const tokens = [];
+  tokenPattern.lastIndex = 0;
+  while (tokenPattern.lastIndex < text.length) {
+    const start = tokenPattern.lastIndex;
+    const match = tokenPattern.exec(text);
+    if (!match) {
+      // only trailing whitespace remains if the rest of the text is blank
+      return text.slice(start).trim() ? undefined : tokens;
+    }
+    tokens.push(match[1]);
+  }
+  return tokens;
+}
+
+function isName(token) {
+  return !!token && /^(?:module:)?[A-Za-z_$]/.test(token);
+}
+
+function isString(token) {
+  return !!token && /^['"]/.test(token);
+}
+
+function unquote(token) {
+  return token.slice(1, -1).replace(/\\(.)/g, '$1');
+}
+
+// parses a JSDoc type expression, returning its `type` and whether it is
+// `optional` (with a `=` suffix) or `rest` (with a `...` prefix), or
+// `undefined` if it cannot be parsed
+function parseType(text, resolve) {
+  const tokens = tokenize(text);
+  if (!tokens) {
+    return;
+  }
+  let pos = 0;
+
+  function accept(token) {
+    if (tokens[pos] === token) {
+      ++pos;
+      return true;
+    }
+    return false;
+  }
+
+  function expect(token) {
+    if (!accept(token)) {
+      throw invalidType;
+    }
+  }
+
+  function atEnd() {
+    return pos >= tokens.length || [')', ',', '>', '|', '=', ']', '}'].includes(tokens[pos]);
+  }
+
+  function parseUnion() {
+    let type = parsePrefix();
+    while (accept('|')) {
+      type = union(type, parsePrefix());
+    }
+    return type;
+  }
+
+  function parsePrefix() {
+    if (accept('?')) {
+      // `?` alone is the unknown type, and otherwise makes a type nullable
+      return atEnd() ? 'any' : union(parsePrefix(), 'null');
+    }
+    if (accept('!')) {
+      // non-nullable types are the default
+      return parsePrefix();
+    }
+    let type = parsePrimary();
+    for (;;) {
+      if (accept('[')) {
+        expect(']');
+        type = arrayOf(type);
+      } else if (accept('?')) {
+        type = union(type, 'null');
+      } else if (!accept('!')) {
+        return type;
+      }
+    }
+  }
+
+  function parsePrimary() {
+    const token = tokens[pos++];
+    if (token === '(') {
+      const type = parseUnion();
+      expect(')');
+      return type;
+    }
+    if (token === '*') {
+      return 'any';
+    }
+    if (token === '{') {
+      return parseRecord();
+    }
+    if (isString(token)) {
+      return literalOf(unquote(token));
+    }
+    if (/^-?\d/.test(token)) {
+      return literalOf(Number(token));
+    }
+    if (!isName(token)) {
+      throw invalidType;
+    }
+    if (token === 'function' && accept('(')) {
+      return parseFunction();
+    }
+    let name = token;
+    while (tokens[pos] === '.' && isName(tokens[pos + 1])) {
+      name += '.' + tokens[pos + 1];
+      pos += 2;
+    }
+    if (tokens[pos] === '.' && tokens[pos + 1] === '<') {
+      // type arguments may be preceded by a dot, as in `Array.<string>`
+      ++pos;
+    }
+    let args;
+    if (accept('<')) {
+      args = [parseUnion()];
+      while (accept(',')) {
+        args.push(parseUnion());
+      }
+      expect('>');
+    }
+    return resolve(name, args);
+  }
+
+  function parseFunction() {
+    const params = [];
+    if (!accept(')')) {
+      do {
+        if ((tokens[pos] === 'this' || tokens[pos] === 'new') && tokens[pos + 1] === ':') {
+          // the types of `this` and of constructed objects are not described
+          pos += 2;
+          parseUnion();
+          continue;
+        }
+        const rest = accept('...');
+        let type = rest && atEnd() ? 'any' : parseUnion();
+        if (accept('=')) {
+          type = union(type, 'undefined');
+        }
+        params.push({
+          type: rest ? arrayOf(type) : type
+        });
+      } while (accept(','));
+      expect(')');
+    }
+    const type = {
+      kind: 'function',
+      params
+    };
+    if (accept(':')) {
+      type.returns = parseUnion();
+    }
+    return type;
+  }
+
+  function parseRecord() {
+    const properties = {};
+    const optional = [];
+    if (!accept('}')) {
+      do {
+        const key = tokens[pos++];
+        if (!isName(key) && !isString(key)) {
+          throw invalidType;
+        }
+        const name = isString(key) ? unquote(key) : key;
+        // optional keys are marked by `?`, as in TypeScript, or by `=`
+        let isOptional = accept('?');
+        let type = 'any';
+        if (accept(':')) {
+          type = parseUnion();
+          isOptional = accept('=') || isOptional;
+        }
+        if (isOptional) {
+          optional.push(name);
+        }
+        properties[name] = type;
+      } while (accept(','));
+      expect('}');
+    }
+    return objectOf(properties, optional);
+  }
+
+  try {
+    const rest = accept('...');
+    let type = rest && atEnd() ? 'any' : parseUnion();
+    const optional = accept('=');
+    if (pos < tokens.length) {
+      return;
+    }
+    if (rest) {
+      type = arrayOf(type);
+    }
+    return {
+      type,
+      optional,
+      rest
+    };
+  } catch (e) {
+    if (e !== invalidType) {
+      throw e;
+    }
+  }
+}
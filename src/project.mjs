@@ -0,0 +1,84 @@
+/**
+ * Cross-module analysis module.
+ * @module project
+ * @private
+ */
+
+import { analyze } from './analyze';
+import { Scope } from './scope';
+
+/**
+ * Analyze an ES module and all modules it imports, directly or indirectly.
+ * Each module is loaded, parsed, and analyzed at most once, and imported
+ * bindings are linked to the analyses of the bindings exported by the imported
+ * module, so constant values and types flow across module boundaries.
+ * Imports within a cycle of modules that is still being analyzed are left
+ * unlinked.
+ *
+ * The following options are required:
+ *
+ * - `resolve(specifier, importerId)`: returns the module ID for an import
+ *     specifier appearing in the given module, or `null` or `undefined` for
+ *     modules that should not be analyzed (such as external packages)
+ * - `load(id)`: returns the source code of the module with the given ID
+ * - `parse(source, id)`: returns the ESTree `Program` for the given module
+ *     source (with a `sourceType` of `module`)
+ *
+ * The `rootScope` option optionally specifies the global scope shared by all
+ * modules. The other options of `analyze`, such as `tuples` and
+ * `onDiagnostic`, apply to the analysis of each module, except that:
+ *
+ * - `comments(id)` is a function returning the comments of the module with the
+ *     given ID, which is called after the module is parsed, so that `parse`
+ *     may collect them
+ * - diagnostics passed to `onDiagnostic` also have the ID of the module in
+ *     which they were found as `id`
+ *
+ * @param {string} entry the module ID of the entry module
+ * @param {Object} options functions to resolve, load, and parse modules, and
+ *     analysis options
+ * @returns {Object} an object containing the module-level analysis of the
+ *     entry module as `entry` and an object mapping module IDs to module-level
+ *     analyses as `modules`
+ * @alias analyzeProject
+ */
+export function analyzeProject(entry, options) {
+  const {
+    resolve,
+    load,
+    parse,
+    rootScope = new Scope(),
+    comments,
+    onDiagnostic,
+    ...analysisOptions
+  } = options;
+
+  // module IDs map to `null` while the module is being analyzed
+  const modules = {};
+
+  function analyzeModule(id) {
+    if (id in modules) {
+      return modules[id] || undefined;
+    }
+    modules[id] = null;
+    const ast = parse(load(id), id);
+    const analysis = analyze(ast, rootScope, {
+      ...analysisOptions,
+      comments: comments && comments(id),
+      onDiagnostic: onDiagnostic && (diagnostic => onDiagnostic({ ...diagnostic, id })),
+      importModule(specifier) {
+        const importedId = resolve(specifier, id);
+        if (importedId != null) {
+          return analyzeModule(importedId);
+        }
+      }
+    });
+    analysis.id = id;
+    return modules[id] = analysis;
+  }
+
+  return {
+    entry: analyzeModule(entry),
+    modules
+  };
+}
@@ -0,0 +1,152 @@
+/**
+ * Pure function registry module.
+ * @module pure
+ */
+
+// maps qualified names to implementations
+const pureFunctions = new Map();
+
+// implementations of all registered functions, for lookup by identity
+const pureImplementations = new Set();
+
+/**
+ * Registers a pure function, which the analyzer will evaluate when called
+ * with constant arguments. A pure function must not have side effects and must
+ * return the same result whenever it is called with the same arguments.
+ *
+ * Global functions and static methods are registered by their qualified name
+ * (such as `Math.max` or `slugify`) and are called with an undefined `this`.
+ * Methods are registered by their qualified prototype name (such as
+ * `String.prototype.slice`) and are evaluated when called on a constant value
+ * whose property value is the registered implementation.
+ *
+ * @param {string} name the qualified name of the function
+ * @param {function} [impl] the implementation of the function, which defaults
+ *     to the function of the same name in the global object
+ * @returns {function} `impl`
+ * @alias registerPureFunction
+ */
+export function registerPureFunction(name, impl = getGlobal(name)) {
+  if (typeof impl !== 'function') {
+    throw new Error(`No implementation for pure function '${name}'`);
+  }
+  pureFunctions.set(name, impl);
+  pureImplementations.add(impl);
+  return impl;
+}
+
+/**
+ * Returns the implementation of the registered pure function with the given
+ * qualified name, or `undefined` if none is registered.
+ *
+ * @param {string} name the qualified name of the function
+ * @returns {(function|undefined)} the function implementation or `undefined`
+ */
+export function getPureFunction(name) {
+  return pureFunctions.get(name);
+}
+
+/**
+ * Returns whether the given function is the implementation of a registered
+ * pure function.
+ *
+ * @param {*} impl a function implementation
+ * @returns {boolean} true if and only if `impl` is registered as pure
+ */
+export function isPureFunction(impl) {
+  return pureImplementations.has(impl);
+}
+
+// predicates on the `this` value and arguments of registered functions that
+// must hold for a call to be evaluated
+const callChecks = new Map();
+
+/**
+ * Returns whether a call to the implementation of a registered pure function
+ * with the given `this` value and arguments may be evaluated. Calls to
+ * built-in functions whose results would be too large to compute safely, such
+ * as `'a'.repeat(1e9)`, are not evaluated.
+ *
+ * @param {function} impl a function implementation
+ * @param {*} thisValue the `this` value of the call
+ * @param {Array} args the arguments of the call
+ * @returns {boolean} true if and only if the call may be evaluated
+ */
+export function canEvaluatePure(impl, thisValue, args) {
+  const check = callChecks.get(impl);
+  return !check || check(thisValue, args);
+}
+
+function getGlobal(name) {
+  let value = global;
+  for (const part of name.split('.')) {
+    if (value == null) {
+      break;
+    }
+    value = value[part];
+  }
+  return value;
+}
+
+// built-in functions registered by default, omitting those unsupported by
+// the running version of JavaScript
+const builtins = {
+  '': [
+    'decodeURI', 'decodeURIComponent', 'encodeURI', 'encodeURIComponent',
+    'isFinite', 'isNaN', 'parseFloat', 'parseInt', 'BigInt', 'Boolean', 'Number', 'String'
+  ],
+  'Array': ['isArray', 'of'],
+  'Array.prototype': [
+    'concat', 'every', 'filter', 'find', 'findIndex', 'flat', 'flatMap', 'includes',
+    'indexOf', 'join', 'lastIndexOf', 'map', 'reduce', 'reduceRight', 'slice', 'some',
+    'toString'
+  ],
+  'BigInt': ['asIntN', 'asUintN'],
+  'BigInt.prototype': ['toString', 'valueOf'],
+  'Boolean.prototype': ['toString', 'valueOf'],
+  'JSON': ['parse', 'stringify'],
+  'Math': [
+    'abs', 'acos', 'acosh', 'asin', 'asinh', 'atan', 'atan2', 'atanh', 'cbrt', 'ceil',
+    'clz32', 'cos', 'cosh', 'exp', 'expm1', 'floor', 'fround', 'hypot', 'imul', 'log',
+    'log10', 'log1p', 'log2', 'max', 'min', 'pow', 'round', 'sign', 'sin', 'sinh',
+    'sqrt', 'tan', 'tanh', 'trunc'
+  ],
+  'Number': ['isFinite', 'isInteger', 'isNaN', 'isSafeInteger', 'parseFloat', 'parseInt'],
+  'Number.prototype': ['toExponential', 'toFixed', 'toPrecision', 'toString', 'valueOf'],
+  'Object': ['entries', 'keys', 'values'],
+  'String': ['fromCharCode', 'fromCodePoint'],
+  'String.prototype': [
+    'charAt', 'charCodeAt', 'codePointAt', 'concat', 'endsWith', 'includes', 'indexOf',
+    'lastIndexOf', 'normalize', 'padEnd', 'padStart', 'repeat', 'slice', 'split',
+    'startsWith', 'substr', 'substring', 'toLowerCase', 'toString', 'toUpperCase',
+    'trim', 'trimEnd', 'trimStart', 'valueOf'
+  ]
+};
+
+for (const prefix of Object.keys(builtins)) {
+  for (const name of builtins[prefix]) {
+    const qname = prefix ? `${prefix}.${name}` : name;
+    if (typeof getGlobal(qname) === 'function') {
+      registerPureFunction(qname);
+    }
+  }
+}
+
+// maximum length of strings produced by evaluating built-in functions, so
+// that analyzing code such as `''.padStart(1e9)` does not exhaust memory
+const maxStringLength = 1 << 20;
+
+// functions returning the length of the strings produced by built-in functions
+const resultLengths = {
+  'String.prototype.padEnd': (s, [length]) => length,
+  'String.prototype.padStart': (s, [length]) => length,
+  'String.prototype.repeat': (s, [count]) => String(s).length * count
+};
+
+for (const name of Object.keys(resultLengths)) {
+  const impl = getPureFunction(name);
+  if (impl) {
+    // NaN lengths are treated as zero by the built-in functions
+    callChecks.set(impl, (thisValue, args) => !(resultLengths[name](thisValue, args) > maxStringLength));
+  }
+}
@@ -0,0 +1,298 @@
+/**
+ * Numeric range module.
+ * @module ranges
+ * @private
+ */
+
+/**
+ * Closed interval of numbers, which may be unbounded, approximating the
+ * possible values of a number. Ranges do not track `NaN`, so a number
+ * computed from infinite values may also be `NaN`.
+ *
+ * @typedef Range
+ * @type {Object}
+ * @property {number} min the lower bound, or `-Infinity`
+ * @property {number} max the upper bound, or `Infinity`
+ * @property {boolean} [integer] whether the values are integers
+ * @alias Range
+ */
+
+/**
+ * Returns the range from `min` to `max`.
+ *
+ * @param {number} min the lower bound
+ * @param {number} max the upper bound
+ * @param {boolean} [integer=false] whether the values are integers
+ * @returns {Range} the range
+ */
+export function rangeOf(min, max, integer = false) {
+  const range = {
+    min,
+    max
+  };
+  if (integer) {
+    range.integer = true;
+  }
+  return range;
+}
+
+/**
+ * Returns the range containing only the given number, or `undefined` for `NaN`.
+ *
+ * @param {number} value a number
+ * @returns {(Range|undefined)} the range of the value
+ */
+export function valueRange(value) {
+  if (!Number.isNaN(value)) {
+    return rangeOf(value, value, Number.isInteger(value));
+  }
+}
+
+/**
+ * Returns whether the range contains no value.
+ *
+ * @param {Range} range a range
+ * @returns {boolean} true if and only if the range is empty
+ */
+export function isEmptyRange(range) {
+  return range.min > range.max;
+}
+
+/**
+ * Returns whether the ranges are equal.
+ *
+ * @param {Range} a a range
+ * @param {Range} b another range
+ * @returns {boolean} true if and only if the ranges are equal
+ */
+export function rangesEqual(a, b) {
+  return a.min === b.min && a.max === b.max && !a.integer === !b.integer;
+}
+
+/**
+ * Returns the smallest range containing both ranges.
+ *
+ * @param {Range} a a range
+ * @param {Range} b another range
+ * @returns {Range} the joined range
+ */
+export function joinRanges(a, b) {
+  return rangeOf(Math.min(a.min, b.min), Math.max(a.max, b.max), a.integer && b.integer);
+}
+
+/**
+ * Widens a range to include another range, replacing any bound that changes
+ * with infinity, so that repeatedly widening the range of a variable assigned
+ * in a loop terminates.
+ *
+ * @param {Range} range the prior range
+ * @param {Range} next the range to include
+ * @returns {Range} the widened range
+ */
+export function widenRange(range, next) {
+  return rangeOf(next.min < range.min ? -Infinity : range.min, next.max > range.max ? Infinity : range.max,
+    range.integer && next.integer);
+}
+
+/**
+ * Returns the range of the values in both ranges, which is empty if the ranges
+ * do not overlap.
+ *
+ * @param {Range} a a range
+ * @param {Range} b another range
+ * @returns {Range} the intersected range
+ */
+export function intersectRanges(a, b) {
+  const integer = a.integer || b.integer;
+  // the bounds of integer ranges are integers
+  const min = Math.max(a.min, b.min);
+  const max = Math.min(a.max, b.max);
+  return rangeOf(integer ? Math.ceil(min) : min, integer ? Math.floor(max) : max, integer);
+}
+
+/**
+ * Returns whether the range contains zero.
+ *
+ * @param {Range} range a range
+ * @returns {boolean} true if and only if zero is in the range
+ */
+export function containsZero(range) {
+  return range.min <= 0 && range.max >= 0;
+}
+
+/**
+ * Formats a range as a string, such as `[0, 9]`, or as its single value.
+ *
+ * @param {Range} range a range
+ * @returns {string} the formatted range
+ */
+export function formatRange(range) {
+  return range.min === range.max ? String(range.min) : `[${range.min}, ${range.max}]`;
+}
+
+// returns the range of the given bounds, or `undefined` if a bound is `NaN`,
+// such as for `Infinity - Infinity`
+function boundedRange(bounds, integer) {
+  if (!bounds.some(Number.isNaN)) {
+    return rangeOf(Math.min(...bounds), Math.max(...bounds), integer);
+  }
+}
+
+/**
+ * Returns the range of the results of applying an arithmetic operator to
+ * numbers in the given ranges, or `undefined` if it is unknown. The operators
+ * `+`, `-`, `*`, `/`, and `%` are supported.
+ *
+ * @param {string} operator the arithmetic operator
+ * @param {Range} a the range of the left operand
+ * @param {Range} b the range of the right operand
+ * @returns {(Range|undefined)} the range of the result
+ */
+export function evaluateRange(operator, a, b) {
+  const integer = a.integer && b.integer;
+  switch (operator) {
+    case '+':
+      return boundedRange([a.min + b.min, a.max + b.max], integer);
+    case '-':
+      return boundedRange([a.min - b.max, a.max - b.min], integer);
+    case '*':
+      return boundedRange(productBounds(a, b), integer);
+    case '/':
+      // division by a range containing zero has an unbounded result
+      if (!containsZero(b)) {
+        return boundedRange([a.min / b.min, a.min / b.max, a.max / b.min, a.max / b.max], false);
+      }
+      break;
+    case '%':
+      return remainderRange(a, b);
+  }
+}
+
+function productBounds(a, b) {
+  const bounds = [];
+  for (const x of [a.min, a.max]) {
+    for (const y of [b.min, b.max]) {
+      // zero times infinity is zero for the bounds of a range
+      bounds.push(x === 0 || y === 0 ? 0 : x * y);
+    }
+  }
+  return bounds;
+}
+
+// the remainder has the sign of the dividend and a magnitude less than both
+// the magnitude of the dividend and that of the divisor
+function remainderRange(a, b) {
+  if (b.min === 0 && b.max === 0) {
+    return;
+  }
+  const divisor = Math.max(Math.abs(b.min), Math.abs(b.max));
+  const integer = a.integer && b.integer;
+  const limit = integer && divisor !== Infinity ? divisor - 1 : divisor;
+  const min = a.min >= 0 ? 0 : Math.max(a.min, -limit);
+  const max = a.max <= 0 ? 0 : Math.min(a.max, limit);
+  return rangeOf(min, max, integer);
+}
+
+/**
+ * Returns the range of the negation of numbers in the given range.
+ *
+ * @param {Range} range a range
+ * @returns {Range} the negated range
+ */
+export function negateRange(range) {
+  return rangeOf(-range.max, -range.min, range.integer);
+}
+
+/**
+ * Returns the result of comparing all numbers in the left range with all
+ * numbers in the right range using a relational or equality operator, or
+ * `undefined` if the result depends on the numbers.
+ *
+ * @param {string} operator the comparison operator
+ * @param {Range} a the range of the left operand
+ * @param {Range} b the range of the right operand
+ * @returns {(boolean|undefined)} the result of the comparison, if known
+ */
+export function compareRanges(operator, a, b) {
+  switch (operator) {
+    case '<':
+      return a.max < b.min ? true : a.min >= b.max ? false : undefined;
+    case '<=':
+      return a.max <= b.min ? true : a.min > b.max ? false : undefined;
+    case '>':
+      return compareRanges('<', b, a);
+    case '>=':
+      return compareRanges('<=', b, a);
+    case '==':
+    case '===':
+      return a.max < b.min || a.min > b.max ? false : undefined;
+    case '!=':
+    case '!==':
+      return a.max < b.min || a.min > b.max ? true : undefined;
+  }
+}
+
+/**
+ * Returns the range of numbers in the given range for which a comparison
+ * with some number in another range has the given result.
+ *
+ * @param {Range} range the range of the left operand
+ * @param {string} operator the comparison operator
+ * @param {Range} other the range of the right operand
+ * @param {boolean} result the result of the comparison
+ * @returns {Range} the narrowed range of the left operand
+ */
+export function narrowRange(range, operator, other, result) {
+  if (!result) {
+    const negated = negatedOperators[operator];
+    if (!negated) {
+      // `a !== b` may be false for any number in range
+      return operator === '!=' || operator === '!==' ? intersectRanges(range, other) : range;
+    }
+    return narrowRange(range, negated, other, true);
+  }
+  // strict bounds exclude the bound itself only for integers
+  const step = range.integer && other.integer ? 1 : 0;
+  switch (operator) {
+    case '<':
+      return intersectRanges(range, rangeOf(-Infinity, other.max - step));
+    case '<=':
+      return intersectRanges(range, rangeOf(-Infinity, other.max));
+    case '>':
+      return intersectRanges(range, rangeOf(other.min + step, Infinity));
+    case '>=':
+      return intersectRanges(range, rangeOf(other.min, Infinity));
+    case '==':
+    case '===':
+      return intersectRanges(range, other);
+    default:
+      return range;
+  }
+}
+
+const negatedOperators = {
+  '<': '>=',
+  '<=': '>',
+  '>': '<=',
+  '>=': '<',
+  '==': '!=',
+  '===': '!=='
+};
+
+/**
+ * Returns the operator with its operands swapped, such that `a op b` is
+ * equivalent to `b swapped(op) a`.
+ *
+ * @param {string} operator a comparison operator
+ * @returns {string} the operator for swapped operands
+ */
+export function swapOperator(operator) {
+  return swappedOperators[operator] || operator;
+}
+
+const swappedOperators = {
+  '<': '>',
+  '<=': '>=',
+  '>': '<',
+  '>=': '<='
+};
@@ -0,0 +1,431 @@
+/**
+ * JSON Schema conversion module.
+ * @module schema
+ * @private
+ */
+
+import {
+  arrayOf,
+  defineType,
+  getKind,
+  getUnionTypes,
+  intersection,
+  isLiteral,
+  isTypeName,
+  isUnion,
+  literalOf,
+  objectOf,
+  refOf,
+  resolveType,
+  tupleOf,
+  typeEquals,
+  union
+} from './types';
+
+// JSON Schema types of the kinds of types describing JSON values
+const jsonTypes = ['null', 'boolean', 'number', 'string'];
+
+// schema matching no values, for types without JSON values
+const nothing = {
+  not: {}
+};
+
+/**
+ * Converts a type into a JSON Schema (draft 2020-12) describing the JSON
+ * values of the type. Primitive types become `type` constraints, literal types
+ * become `const` or `enum` constraints, unions become `anyOf` constraints (or a
+ * `type` array for unions of primitive types), arrays use `items`, tuples use
+ * `prefixItems`, and object types use `properties`, `required`, and
+ * `additionalProperties` (for index types). Properties whose types include
+ * `undefined` are not required. References to named types become references
+ * to definitions in `$defs`, so recursive types are supported. The `NaN` and
+ * infinite number literals, which have no JSON values, become `number` types.
+ *
+ * Unknown types and `any` are converted to the empty schema, which matches any
+ * value, while types without JSON values (such as `undefined`, functions, and
+ * symbols) are converted to a schema matching no values.
+ *
+ * The following options are supported:
+ *
+ * - `draft` (string): the JSON Schema draft of the result, either `2020-12`
+ *     (the default) or `07`, which describes tuples with an array of schemas
+ *     as `items` and `additionalItems`, and puts definitions in `definitions`
+ *
+ * @param {(Type|undefined)} type a type
+ * @param {Object} [options] conversion options
+ * @returns {Object} a JSON Schema
+ * @alias typeToJsonSchema
+ */
+export function typeToJsonSchema(type, options = {}) {
+  const {
+    draft = '2020-12'
+  } = options;
+  if (!drafts.includes(draft)) {
+    throw new Error(`Unsupported JSON Schema draft '${draft}'`);
+  }
+  const writer = {
+    draft,
+    // keyword of the definitions of named types
+    defsKeyword: draft === '07' ? 'definitions' : '$defs',
+    defs: {}
+  };
+  const schema = toSchema(type, writer);
+  if (Object.keys(writer.defs).length > 0) {
+    schema[writer.defsKeyword] = writer.defs;
+  }
+  return schema;
+}
+
+// supported drafts of JSON Schema
+const drafts = ['2020-12', '07'];
+
+function toSchema(type, writer) {
+  if (isUnion(type)) {
+    return unionToSchema(getUnionTypes(type), writer);
+  }
+  if (isLiteral(type)) {
+    // `JSON.stringify` writes `NaN` and infinite numbers as `null`
+    return typeof type.literal !== 'number' || Number.isFinite(type.literal) ? {
+      const: type.literal
+    } : {
+      type: 'number'
+    };
+  }
+  const kind = getKind(type);
+  switch (kind) {
+    case undefined:
+    case 'any':
+      return {};
+    case 'null':
+    case 'boolean':
+    case 'number':
+    case 'string':
+      return {
+        type: kind
+      };
+    case 'array':
+      return type.elements ? {
+        type: 'array',
+        items: toSchema(type.elements, writer)
+      } : {
+        type: 'array'
+      };
+    case 'tuple':
+      return tupleToSchema(type, writer);
+    case 'object':
+      return objectToSchema(type, writer);
+    case 'ref':
+      if (!type.args && resolveType(type) !== type) {
+        const { defs } = writer;
+        if (!defs[type.name]) {
+          // the definition is added before converting the named type, so
+          // references within it are not converted again
+          defs[type.name] = {};
+          Object.assign(defs[type.name], toSchema(resolveType(type), writer));
+        }
+        return {
+          $ref: `#/${writer.defsKeyword}/${type.name}`
+        };
+      }
+      // other generic types, such as promises, are not JSON values
+      return { ...nothing
+      };
+    default:
+      return { ...nothing
+      };
+  }
+}
+
+function unionToSchema(types, writer) {
+  // alternatives without JSON values are omitted
+  const schemas = types.map(t => toSchema(t, writer)).filter(schema => !isNothing(schema));
+  if (schemas.length === 0) {
+    return { ...nothing
+    };
+  }
+  if (schemas.length === 1) {
+    return schemas[0];
+  }
+  if (schemas.some(schema => Object.keys(schema).length === 0)) {
+    // any value
+    return {};
+  }
+  if (schemas.every(schema => 'const' in schema)) {
+    return {
+      enum: schemas.map(schema => schema.const)
+    };
+  }
+  if (schemas.every(schema => Object.keys(schema).length === 1 && jsonTypes.includes(schema.type))) {
+    return {
+      type: schemas.map(schema => schema.type)
+    };
+  }
+  return {
+    anyOf: schemas
+  };
+}
+
+function isNothing(schema) {
+  return !!schema.not && Object.keys(schema.not).length === 0;
+}
+
+function tupleToSchema(type, writer) {
+  const schema = {
+    type: 'array'
+  };
+  const rest = type.rest ? toSchema(type.rest, writer) : false;
+  if (type.elements.length > 0) {
+    const items = type.elements.map(t => toSchema(t, writer));
+    schema.minItems = type.elements.length;
+    if (writer.draft === '07') {
+      // tuples are described by an array of schemas before draft 2020-12
+      schema.items = items;
+      schema.additionalItems = rest;
+      return schema;
+    }
+    schema.prefixItems = items;
+  }
+  schema.items = rest;
+  return schema;
+}
+
+function objectToSchema(type, writer) {
+  const schema = {
+    type: 'object'
+  };
+  if (type.properties) {
+    const properties = {};
+    const required = [];
+    for (const name of Object.keys(type.properties)) {
+      const propType = type.properties[name];
+      const propSchema = toSchema(propType, writer);
+      if (isNothing(propSchema)) {
+        // properties without JSON values are omitted by `JSON.stringify`
+        continue;
+      }
+      properties[name] = propSchema;
+      const optional = (type.optional && type.optional.includes(name)) ||
+        getUnionTypes(propType).some(t => ['undefined', 'void'].includes(getKind(t)));
+      if (!optional) {
+        required.push(name);
+      }
+    }
+    schema.properties = properties;
+    if (required.length > 0) {
+      schema.required = required;
+    }
+  }
+  if (type.index) {
+    schema.additionalProperties = toSchema(type.index, writer);
+  }
+  return schema;
+}
+
+/**
+ * Converts a JSON Schema into the type of the values it describes. The `type`,
+ * `const`, `enum`, `anyOf`, `oneOf`, `allOf`, `items` (including tuples in
+ * the form of earlier drafts, with `additionalItems`), `prefixItems`,
+ * `properties`, `required`, and `additionalProperties` keywords are supported,
+ * as well as the `nullable` keyword of OpenAPI. References to definitions in
+ * `$defs` or `definitions` of the schema, and to the schema itself by `#`,
+ * are expanded, and recursive definitions are defined as named types with
+ * `defineType`. The name of the type is that of the definition (or the
+ * `title` of the schema, or `Root`), followed by a number if the name is
+ * already used by a different type. Properties required by any subschema of
+ * `allOf` are required. Other keywords, such as validation keywords for
+ * numbers and strings, do not affect the type.
+ *
+ * @param {(Object|boolean)} schema a JSON Schema
+ * @returns {(Type|undefined)} the type of the values matching the schema
+ * @alias jsonSchemaToType
+ */
+export function jsonSchemaToType(schema) {
+  return new SchemaReader(schema).readRef('#');
+}
+
+class SchemaReader {
+  constructor(root) {
+    this.root = root;
+    // definitions being converted, mapped to the names of their types if
+    // referenced recursively
+    this.converting = new Map();
+    this.converted = new Map();
+    this.typeNames = new Set();
+  }
+
+  read(schema) {
+    if (schema === true) {
+      return 'any';
+    }
+    if (schema === false) {
+      return [];
+    }
+    let type = 'any';
+    if (schema.$ref) {
+      type = this.readRef(schema.$ref);
+    }
+    if ('const' in schema) {
+      type = intersection(type, valueToType(schema.const));
+    }
+    if (schema.enum) {
+      type = intersection(type, schema.enum.map(valueToType).reduce(unionOf, []));
+    }
+    if (schema.type) {
+      const kinds = Array.isArray(schema.type) ? schema.type : [schema.type];
+      type = intersection(type, kinds.map(kind => this.readTypeKeyword(kind, schema)).reduce(unionOf, []));
+    } else if (schema.items || schema.prefixItems) {
+      type = intersection(type, this.readArray(schema));
+    } else if (schema.properties || schema.additionalProperties) {
+      type = intersection(type, this.readObject(schema));
+    }
+    for (const keyword of ['anyOf', 'oneOf']) {
+      if (schema[keyword]) {
+        type = intersection(type, schema[keyword].map(s => this.read(s)).reduce(unionOf, []));
+      }
+    }
+    if (schema.allOf) {
+      type = schema.allOf.map(s => this.read(s)).reduce(intersection, type);
+      // properties may be required by a subschema other than the one
+      // describing them, such as `{ required: ['a'] }`
+      const required = [schema, ...schema.allOf].reduce((names, s) => names.concat(s.required || []), []);
+      type = requireProperties(type, required);
+    }
+    if (schema.nullable) {
+      type = union(type, 'null');
+    }
+    return type;
+  }
+
+  readTypeKeyword(kind, schema) {
+    switch (kind) {
+      case 'integer':
+        return 'number';
+      case 'array':
+        return this.readArray(schema);
+      case 'object':
+        return this.readObject(schema);
+      default:
+        if (!jsonTypes.includes(kind)) {
+          throw new Error(`Unknown JSON Schema type '${kind}'`);
+        }
+        return kind;
+    }
+  }
+
+  readArray(schema) {
+    // tuples are described by `prefixItems`, or by an array of schemas as
+    // `items` before draft 2020-12
+    const tupleItems = schema.prefixItems || (Array.isArray(schema.items) ? schema.items : undefined);
+    const rest = schema.prefixItems ? schema.items : schema.additionalItems;
+    if (tupleItems) {
+      const elements = tupleItems.map(s => this.read(s));
+      return tupleOf(elements, rest === false ? undefined : this.read(rest === undefined ? true : rest));
+    }
+    return arrayOf(schema.items !== undefined ? this.read(schema.items) : 'any');
+  }
+
+  readObject(schema) {
+    if (!schema.properties && (schema.additionalProperties === undefined || schema.additionalProperties === true)) {
+      return 'object';
+    }
+    const properties = {};
+    const required = schema.required || [];
+    const optional = [];
+    for (const name of Object.keys(schema.properties || {})) {
+      properties[name] = this.read(schema.properties[name]);
+      if (!required.includes(name)) {
+        optional.push(name);
+      }
+    }
+    const index = schema.additionalProperties !== undefined && schema.additionalProperties !== false ?
+      this.read(schema.additionalProperties) : undefined;
+    return objectOf(properties, optional, index);
+  }
+
+  // returns the type of the definition with the given reference, or a
+  // reference to a named type for recursive references
+  readRef(ref) {
+    let name;
+    let schema;
+    if (ref === '#') {
+      name = typeof this.root.title === 'string' && this.root.title || 'Root';
+      schema = this.root;
+    } else {
+      const match = /^#\/(\$defs|definitions)\/([^/]+)$/.exec(ref);
+      const defs = match && this.root[match[1]];
+      name = match && match[2].replace(/~1/g, '/').replace(/~0/g, '~');
+      if (!defs || !Object.prototype.hasOwnProperty.call(defs, name)) {
+        throw new Error(`Unresolved JSON Schema reference '${ref}'`);
+      }
+      schema = defs[name];
+    }
+    if (this.converted.has(ref)) {
+      return this.converted.get(ref);
+    }
+    if (this.converting.has(ref)) {
+      // recursive references are references to a named type
+      if (!this.converting.get(ref)) {
+        this.converting.set(ref, this.getTypeName(name));
+      }
+      return refOf(this.converting.get(ref));
+    }
+    this.converting.set(ref, undefined);
+    let type = this.read(schema);
+    const typeName = this.converting.get(ref);
+    if (typeName) {
+      defineType(typeName, type);
+      // a type of the same name that is equal, such as the type from which
+      // the schema was created, is used instead
+      type = refOf(typeName !== name && typeEquals(refOf(typeName), refOf(name)) ? name : typeName);
+    }
+    this.converting.delete(ref);
+    this.converted.set(ref, type);
+    return type;
+  }
+
+  // returns a name for the type of a recursive definition that is not used
+  // by another type
+  getTypeName(name) {
+    let typeName = name;
+    for (let i = 2; isTypeName(typeName) || this.typeNames.has(typeName); i++) {
+      typeName = name + i;
+    }
+    this.typeNames.add(typeName);
+    return typeName;
+  }
+}
+
+// returns the given type with the given properties of its object types
+// required rather than optional
+function requireProperties(type, names) {
+  if (isUnion(type)) {
+    return getUnionTypes(type).map(t => requireProperties(t, names)).reduce(unionOf, []);
+  }
+  if (getKind(type) === 'object' && type.optional && type.optional.some(name => names.includes(name))) {
+    return objectOf(type.properties, type.optional.filter(name => !names.includes(name)), type.index);
+  }
+  return type;
+}
+
+// returns the union of two types, for reducing arrays of types
+function unionOf(a, b) {
+  return union(a, b);
+}
+
+// returns the type of a JSON value
+function valueToType(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return tupleOf(value.map(valueToType));
+  }
+  if (typeof value === 'object') {
+    const properties = {};
+    for (const key of Object.keys(value)) {
+      properties[key] = valueToType(value[key]);
+    }
+    return objectOf(properties);
+  }
+  return literalOf(value);
+}
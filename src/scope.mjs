@@ -4,6 +4,8 @@
  * @private
  */
 
+import { createGlobals } from './globals';
+
 /**
  * Represents a JavaScript variable scope.
  * @alias Scope
@@ -24,6 +26,7 @@ export class Scope {
     this.thisRef = thisRef;
     this.topLevel = topLevel;
     this.members = members;
+    this.thisBound = false;
   }
 
   /**
@@ -37,6 +40,22 @@ export class Scope {
     return new Scope(undefined, false, null, false, members);
   }
 
+  /**
+   * Creates a root scope containing the built-in globals of the given profiles,
+   * which name an ECMAScript edition (`es5` or `es2015` through `es2020`) and
+   * optionally host environments (`node` or `browser`). ES2020 is the newest
+   * edition supported: it is assumed if none is given, and later editions are
+   * rejected as unknown profiles. For example,
+   * `Scope.withGlobals('es2020', 'node')` defines `Math.PI` as a constant and
+   * `JSON.parse` as a function of a string.
+   * 
+   * @param {...string} profiles the names of the global profiles
+   * @returns {Scope} a new scope
+   */
+  static withGlobals(...profiles) {
+    return new Scope(undefined, false, null, true, createGlobals(profiles));
+  }
+
   /**
    * Creates a nested scope that inherits the static `this` reference and strict mode
    * of this scope. The nested scope is initially not marked as top-level.
@@ -44,7 +63,9 @@ export class Scope {
    * @returns {Scope} the nested scope
    */
   createNested() {
-    return new Scope(this.thisRef, this.strict, this, false);
+    const scope = new Scope(this.thisRef, this.strict, this, false);
+    scope.thisBound = this.thisBound;
+    return scope;
   }
 
   /**
@@ -126,16 +147,29 @@ export class Scope {
     return this;
   }
 
+  /**
+   * Binds the static `this` reference of this scope and the scopes nested
+   * within it, regardless of strict mode, such as for the body of a class.
+   * 
+   * @param {*} thisRef static `this` reference for this scope
+   * @returns {Scope} `this`
+   */
+  bindThis(thisRef) {
+    this.thisRef = thisRef;
+    this.thisBound = true;
+    return this;
+  }
+
   /**
    * Returns the static `this` reference supplied when this scope was created,
-   * as long as this scope is the root scope or is not in strict mode;
-   * otherwise, `undefined` is returned.
+   * as long as this scope is the root scope, is not in strict mode, or has a
+   * bound `this` reference; otherwise, `undefined` is returned.
    * 
    * @returns {*} the static `this` reference or `undefined` if this scope is
-   *     strict and non-root
+   *     strict, non-root, and unbound
    */
   getThis() {
-    if (this.parent === null || !this.strict) {
+    if (this.parent === null || !this.strict || this.thisBound) {
       return this.thisRef;
     }
   }
@@ -148,7 +182,17 @@ export class Scope {
    * @returns {*} the member data or `undefined` if none
    */
   getOwnMember(name) {
-    return this.members[name];
+    return this.hasOwnMember(name) ? this.members[name] : undefined;
+  }
+
+  /**
+   * Returns whether this scope has a member with the given name.
+   * 
+   * @param {string} name the name of the member
+   * @returns {boolean} true if and only if the member exists in this scope
+   */
+  hasOwnMember(name) {
+    return Object.prototype.hasOwnProperty.call(this.members, name);
   }
 
   /**
@@ -168,7 +212,7 @@ export class Scope {
    * @returns {*} `value`
    */
   addOwnMember(name, value = {}) {
-    if (name in this.members) {
+    if (this.hasOwnMember(name)) {
       throw new Error(`'${name}' already defined`);
     }
     return this.members[name] = value;
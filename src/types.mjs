@@ -12,10 +12,14 @@
  * 
  * Restrictions:
  * 
- * - A type must not contain circular references (e.g. an array of itself)
+ * - A type must not contain circular references (e.g. an array of itself).
+ *     Recursive types, such as linked lists or trees, are described by
+ *     references to named types defined with {@link defineType}.
  * - A union type must not directly contain another union type. Indirectly
  *     containing a union, such as a union including an array with union
  *     elements, is valid.
+ * - A named type must not directly contain a reference to itself, such as a
+ *     union including the named type as an alternative.
  * 
  * @typedef {(string|TypeObject|Type[])} Type
  * @alias Type
@@ -34,12 +38,15 @@ export const TypeKind = {
   'null': 'null',
   'boolean': 'boolean',
   'number': 'number',
+  'bigint': 'bigint',
   'string': 'string',
   'symbol': 'symbol',
   'object': 'object',
   'function': 'function',
   // meta-types
   'array': 'array',
+  'tuple': 'tuple',
+  'ref': 'ref',
   'union': 'union',
   'any': 'any',
   'void': 'void'
@@ -52,10 +59,26 @@ Object.freeze(TypeKind);
  * @typedef TypeObject
  * @type {Object}
  * @property {TypeKind} kind the fundamental type
+ * @property {(string|number|boolean)} [literal] for `string`, `number`, and
+ *     `boolean` types, the only value of the type (optional)
  * @property {Type} [returns] for `function` types, the return type of the function (optional)
  * @property {Parameter[]} [params] for `function` types, the parameters of the function (optional)
- * @property {Type} [elements] for `array` types, the type of the elements (optional)
+ * @property {(Type|Type[])} [elements] for `array` types, the type of the
+ *     elements (optional); for `tuple` types, the types of the elements at each
+ *     position (required)
+ * @property {Type} [rest] for `tuple` types, the type of any elements following
+ *     those listed in `elements` (optional)
+ * @property {string} [name] for `ref` types, the name of the generic type, such
+ *     as `Promise`, or of the named type defined by `defineType` (required)
+ * @property {Type[]} [args] for `ref` types, the type arguments of the generic
+ *     type (optional, with each defaulting to any type)
  * @property {Type[]} [anyOf] for `union` types, the types of the alternatives (required)
+ * @property {Object<string, Type>} [properties] for `object` types, an object
+ *     mapping the names of known properties to their types (optional)
+ * @property {string[]} [optional] for `object` types, the names of the
+ *     properties that may be absent (optional)
+ * @property {Type} [index] for `object` types, the type of any properties not
+ *     listed in `properties` (optional)
  * @alias TypeObject
  */
 
@@ -67,6 +90,10 @@ Object.freeze(TypeKind);
  * @type {Object}
  * @property {string} [name] the name of the parameter, if known
  * @property {Type} [type] the type of the parameter, if known
+ * @property {boolean} [optional] whether the parameter may be omitted, such
+ *     as a parameter with a default value
+ * @property {boolean} [rest] whether the parameter is a rest parameter, whose
+ *     type is that of the array of the remaining arguments
  * @alias Parameter
  */
 
@@ -82,6 +109,297 @@ export function arrayOf(elements) {
   }
 }
 
+/**
+ * Variance of a type parameter of a generic type, which determines how the
+ * assignability of type arguments affects the assignability of references.
+ * 
+ * @readonly
+ * @enum {string}
+ * @alias Variance
+ */
+export const Variance = {
+  // `G<S>` is assignable to `G<T>` if `S` is assignable to `T`
+  'out': 'out',
+  // `G<S>` is assignable to `G<T>` if `T` is assignable to `S`
+  'in': 'in',
+  // `G<S>` is assignable to `G<T>` if `S` and `T` are assignable to each other
+  'inout': 'inout'
+};
+Object.freeze(Variance);
+
+// maps the names of known generic types to the variances of their type parameters
+const genericTypes = new Map();
+
+/**
+ * Registers a generic type with the variances of its type parameters.
+ * References to unregistered generic types have invariant type parameters.
+ * 
+ * @param {string} name the name of the generic type
+ * @param {Variance[]} variances the variance of each type parameter
+ * @alias registerGenericType
+ */
+export function registerGenericType(name, variances) {
+  genericTypes.set(name, variances);
+}
+
+/**
+ * Returns whether a generic type with the given name is registered.
+ * 
+ * @param {string} name the name of a generic type
+ * @returns {boolean} true if and only if `name` is a registered generic type
+ */
+export function isGenericType(name) {
+  return genericTypes.has(name);
+}
+
+// built-in generic types; mutable collections are invariant
+registerGenericType('Promise', ['out']);
+registerGenericType('Iterable', ['out']);
+registerGenericType('Iterator', ['out']);
+registerGenericType('AsyncIterable', ['out']);
+registerGenericType('Map', ['inout', 'inout']);
+registerGenericType('Set', ['inout']);
+registerGenericType('WeakMap', ['inout', 'inout']);
+registerGenericType('WeakSet', ['inout']);
+
+// maps the names of named types to the types they denote
+const namedTypes = new Map();
+
+/**
+ * Defines a named type, which is denoted by references without type arguments
+ * to its name, such as `refOf('Node')` or `{ kind: 'ref', name: 'Node' }`.
+ * Since the type can contain references to itself, named types describe
+ * recursive types such as linked lists, trees, and JSON values. References to
+ * named types are formatted as their names and kept by `toCanonical` and
+ * `toShorthand`, while `isAssignable` and the other type operations expand
+ * them to the types they denote. Defining a name again replaces its type.
+ * 
+ * @param {string} name the name of the type
+ * @param {Type} type the type denoted by the name
+ * @throws {Error} if the name is that of a registered generic type or a type kind
+ * @alias defineType
+ */
+export function defineType(name, type) {
+  if (genericTypes.has(name) || Object.prototype.hasOwnProperty.call(TypeKind, name)) {
+    throw new Error(`Type name '${name}' is already used`);
+  }
+  namedTypes.set(name, type);
+}
+
+/**
+ * Returns whether a name is used by a type kind, a registered generic type,
+ * or a named type.
+ * 
+ * @param {string} name a type name
+ * @returns {boolean} true if and only if `name` denotes a type
+ */
+export function isTypeName(name) {
+  return genericTypes.has(name) || namedTypes.has(name) || Object.prototype.hasOwnProperty.call(TypeKind, name);
+}
+
+/**
+ * Returns the type denoted by a reference to a named type, following any
+ * references to other named types, or the given type if it is not a
+ * reference to a named type.
+ * 
+ * @param {(Type|undefined)} type a type
+ * @returns {(Type|undefined)} the type denoted by the named type reference
+ */
+export function resolveType(type) {
+  const seen = new Set();
+  while (isNamedRef(type) && !seen.has(type.name)) {
+    seen.add(type.name);
+    type = namedTypes.get(type.name);
+  }
+  // references to named types that only denote each other have no values
+  return isNamedRef(type) ? [] : type;
+}
+
+// returns whether a type is a reference to a named type
+function isNamedRef(type) {
+  return getKind(type) === 'ref' && !type.args && namedTypes.has(type.name);
+}
+
+/**
+ * Returns a reference to a generic type with the given type arguments.
+ * 
+ * @param {string} name the name of the generic type
+ * @param {Type[]} [args] the type arguments
+ * @returns {TypeObject} a generic type reference
+ */
+export function refOf(name, args) {
+  const type = {
+    kind: 'ref',
+    name
+  };
+  if (args) {
+    type.args = args;
+  }
+  return type;
+}
+
+/**
+ * Returns whether the given type is a reference to the generic type with the
+ * given name.
+ * 
+ * @param {(Type|undefined)} type a type
+ * @param {string} name the name of a generic type
+ * @returns {boolean} true if and only if the type is a reference to `name`
+ */
+export function isRef(type, name) {
+  return getKind(type) === 'ref' && type.name === name;
+}
+
+/**
+ * Returns a tuple type with the given element types for each position and an
+ * optional type for any further elements.
+ * 
+ * @param {Type[]} elements the types of the elements at each position
+ * @param {Type} [rest] the type of any elements after those in `elements`
+ * @returns {TypeObject} a tuple type
+ */
+export function tupleOf(elements, rest) {
+  const type = {
+    kind: 'tuple',
+    elements
+  };
+  if (rest) {
+    type.rest = rest;
+  }
+  return type;
+}
+
+/**
+ * Returns the type of the element at the given index of an array or tuple type,
+ * or of any element if no index is given, or `undefined` if it is unknown.
+ * Elements past the end of a tuple without a rest type are `undefined`.
+ * 
+ * @param {(Type|undefined)} type an array or tuple type, or a union of such types
+ * @param {number} [index] the index of the element
+ * @returns {(Type|undefined)} the type of the element
+ */
+export function getElementType(type, index) {
+  let result;
+  for (const alt of getUnionTypes(resolveType(type))) {
+    let elemType;
+    switch (getKind(alt)) {
+      case 'array':
+        elemType = alt.elements;
+        break;
+      case 'tuple':
+        if (index === undefined) {
+          elemType = [...alt.elements, alt.rest].reduce((a, b) => a && b ? union(a, b) : a || b, undefined);
+        } else {
+          elemType = index < alt.elements.length ? alt.elements[index] : alt.rest || 'undefined';
+        }
+    }
+    if (!elemType) {
+      return;
+    }
+    result = result ? union(result, elemType) : elemType;
+  }
+  return result;
+}
+
+/**
+ * Returns the type of the values produced by iterating a value of the given
+ * type, as by a `for`-`of` loop, or `undefined` if it is unknown. Strings
+ * produce strings, arrays and tuples produce their elements, references to
+ * `Array`, `Set`, `Iterable`, and similar generic types produce their first
+ * type argument, and references to `Map` produce key-value tuples.
+ * 
+ * @param {(Type|undefined)} type an iterable type, or a union of such types
+ * @returns {(Type|undefined)} the type of the iterated values
+ */
+export function getIteratedType(type) {
+  let result;
+  for (const alt of getUnionTypes(resolveType(type))) {
+    let elemType;
+    switch (getKind(alt)) {
+      case 'string':
+        elemType = 'string';
+        break;
+      case 'array':
+      case 'tuple':
+        elemType = getElementType(alt);
+        break;
+      case 'ref':
+        if (alt.args && iterableRefs.includes(alt.name)) {
+          elemType = alt.args[0];
+        } else if (alt.args && (alt.name === 'Map' || alt.name === 'ReadonlyMap')) {
+          elemType = tupleOf(alt.args.slice(0, 2));
+        }
+    }
+    if (!elemType) {
+      return;
+    }
+    result = result ? union(result, elemType) : elemType;
+  }
+  return result;
+}
+
+// generic types whose first type argument is the type of their iterated values
+const iterableRefs = [
+  'Array',
+  'Generator',
+  'Iterable',
+  'IterableIterator',
+  'Iterator',
+  'ReadonlyArray',
+  'ReadonlySet',
+  'Set'
+];
+
+/**
+ * Returns a literal type, whose only value is the given string, number, or
+ * boolean. For any other value, the type kind of the value is returned.
+ * 
+ * @param {*} value the value of the type
+ * @returns {Type} a literal type
+ */
+export function literalOf(value) {
+  const kind = kindOf(value);
+  return literalKinds.includes(kind) ? {
+    kind,
+    literal: value
+  } : kind;
+}
+
+// kinds of types that can be literal types
+const literalKinds = ['string', 'number', 'boolean'];
+
+/**
+ * Returns whether the given type is a literal type.
+ * 
+ * @param {(Type|undefined)} type a type
+ * @returns {boolean} true if and only if the type has a single `literal` value
+ */
+export function isLiteral(type) {
+  return !!type && typeof type === 'object' && 'literal' in type;
+}
+
+/**
+ * Returns a type representing an object with the given properties.
+ * 
+ * @param {Object<string, Type>} properties an object mapping property names to types
+ * @param {string[]} [optional] the names of the properties that may be absent
+ * @param {Type} [index] the type of any other properties
+ * @returns {TypeObject} an object type
+ */
+export function objectOf(properties, optional, index) {
+  const type = {
+    kind: 'object',
+    properties
+  };
+  if (optional && optional.length > 0) {
+    type.optional = optional;
+  }
+  if (index) {
+    type.index = index;
+  }
+  return type;
+}
+
 /**
  * Returns the type kind of the given value.
  * 
@@ -111,31 +429,37 @@ export function getKind(type) {
  * @returns {boolean} true if an only if the type has the given kind
  */
 export function hasKind(type, kind) {
+  type = resolveType(type);
   return Array.isArray(type) && type !== 'union' ?
-    type.some(t => getKind(t) === kind) : getKind(type) === kind;
+    type.some(t => getKind(resolveType(t)) === kind) : getKind(type) === kind;
 }
 
 /**
- * Returns whether the given type is always falsy (`undefined` or `null`).
+ * Returns whether the given type is always falsy (`undefined`, `null`, or a
+ * falsy literal type).
  * 
  * @param {(Type|undefined)} type a type
  * @returns {boolean} true if and only if the given type is always falsy
  */
 export function isFalsy(type) {
+  type = resolveType(type);
   return Array.isArray(type) ?
-    type.length > 0 && type.every(isFalsy) : ['undefined', 'null', 'void'].includes(getKind(type));
+    type.length > 0 && type.every(isFalsy) : isLiteral(type) ? !type.literal :
+    ['undefined', 'null', 'void'].includes(getKind(type));
 }
 
 /**
  * Returns whether the given type is always truthy (`symbol`, `object`,
- * `function`, or `array`).
+ * `function`, `array`, `tuple`, `ref`, or a truthy literal type).
  * 
  * @param {(Type|undefined)} type a type
  * @returns {boolean} true if and only if the given type is always truthy
  */
 export function isTruthy(type) {
+  type = resolveType(type);
   return Array.isArray(type) ?
-    type.length > 0 && type.every(isTruthy) : ['symbol', 'object', 'function', 'array'].includes(getKind(type));
+    type.length > 0 && type.every(isTruthy) : isLiteral(type) ? !!type.literal :
+    ['symbol', 'object', 'function', 'array', 'tuple', 'ref'].includes(getKind(type));
 }
 
 /**
@@ -170,6 +494,13 @@ export function getUnionTypes(type) {
  * @returns {boolean} true if and only if source is assignable to target
  */
 export function isAssignable(target, source) {
+  // references to named types are expanded, assuming that a pair of types
+  // already being compared is assignable, so recursive types are compared
+  // co-inductively
+  if (isNamedRef(target) || isNamedRef(source)) {
+    return compareNamedTypes(assignments, target, source, isAssignable);
+  }
+
   // unions are handled recursively, with source unions followed by target unions:
   // [a, b, c] <- [b, c]
   //   [a, b, c] <- b
@@ -200,11 +531,17 @@ export function isAssignable(target, source) {
     case 'null':
     case 'boolean':
     case 'number':
+    case 'bigint':
     case 'string':
     case 'symbol':
-      return sourceKind === targetKind;
+      // literal types are assignable to their base kind
+      return sourceKind === targetKind &&
+        (!isLiteral(target) || (isLiteral(source) && Object.is(source.literal, target.literal)));
     case 'object':
-      return sourceKind === targetKind || sourceKind === 'array';
+      if (!isShape(target)) {
+        return ['object', 'array', 'tuple', 'ref'].includes(sourceKind);
+      }
+      return sourceKind === targetKind && isShape(source) && isShapeAssignable(target, source);
     case 'function':
       return sourceKind === targetKind &&
         isAssignable(target.returns, source.returns) &&
@@ -212,12 +549,126 @@ export function isAssignable(target, source) {
         target.params.length === source.params.length &&
         source.params.every((p, i) => isAssignable(p.type, target.params[i].type));
     case 'array':
+      if (sourceKind === 'tuple') {
+        // any tuple is an array, but its elements must be assignable to a specified element type
+        return !target.elements || [...source.elements, ...(source.rest ? [source.rest] : [])]
+          .every(t => isAssignable(target.elements, t));
+      }
       return sourceKind === targetKind && isAssignable(target.elements, source.elements);
+    case 'tuple':
+      if (sourceKind === 'array') {
+        // an array of unknown length is only assignable to a tuple with only a rest type
+        return target.elements.length === 0 && !!target.rest && isAssignable(target.rest, source.elements);
+      }
+      return sourceKind === targetKind && isTupleAssignable(target, source);
+    case 'ref':
+      if (target.name === 'Iterable' && ['array', 'tuple', 'string'].includes(sourceKind)) {
+        // arrays and strings are iterable
+        return !target.args || isAssignable(target.args[0], sourceKind === 'string' ? 'string' : getElementType(source));
+      }
+      return sourceKind === targetKind && target.name === source.name && isRefAssignable(target, source);
     case 'any':
       return true;
   }
 }
 
+// pairs of types being compared by `isAssignable` and `typeEquals`, which are
+// assumed to be assignable or equal while comparing their expansions
+const assignments = [];
+const equalities = [];
+
+// compares two types, at least one of which is a reference to a named type,
+// by comparing the types they denote, unless the same types are already being
+// compared, in which case the comparison is assumed to hold
+function compareNamedTypes(comparisons, a, b, compare) {
+  if ((isNamedRef(a) && isNamedRef(b) && a.name === b.name) ||
+    comparisons.some(([x, y]) => isSameType(x, a) && isSameType(y, b))) {
+    return true;
+  }
+  comparisons.push([a, b]);
+  try {
+    return compare(resolveType(a), resolveType(b));
+  } finally {
+    comparisons.pop();
+  }
+}
+
+// returns whether two types are the same object or references to the same
+// named type
+function isSameType(a, b) {
+  return a === b || (isNamedRef(a) && isNamedRef(b) && a.name === b.name);
+}
+
+// returns whether the type arguments of the source reference are assignable
+// to those of the target reference, according to their variance
+function isRefAssignable(target, source) {
+  if (!target.args) {
+    return true;
+  }
+  if (!source.args || source.args.length !== target.args.length) {
+    return false;
+  }
+  const variances = genericTypes.get(target.name) || [];
+  return target.args.every((t, i) => {
+    const s = source.args[i];
+    switch (variances[i]) {
+      case 'out':
+        return isAssignable(t, s);
+      case 'in':
+        return isAssignable(s, t);
+      default:
+        return isAssignable(t, s) && isAssignable(s, t);
+    }
+  });
+}
+
+// returns whether every element of the source tuple is assignable to the
+// element of the target tuple at the same position
+function isTupleAssignable(target, source) {
+  const length = Math.max(target.elements.length, source.elements.length);
+  for (let i = 0; i < length; ++i) {
+    const targetElem = i < target.elements.length ? target.elements[i] : target.rest;
+    const sourceElem = i < source.elements.length ? source.elements[i] : source.rest;
+    if (!targetElem || !sourceElem || !isAssignable(targetElem, sourceElem)) {
+      return false;
+    }
+  }
+  return !source.rest || (!!target.rest && isAssignable(target.rest, source.rest));
+}
+
+// returns whether an object type describes its properties
+function isShape(type) {
+  return !!type.properties || !!type.index;
+}
+
+function isOptional(type, name) {
+  return !!type.optional && type.optional.includes(name);
+}
+
+// returns whether the source object type has at least the properties of the
+// target object type, with assignable types
+function isShapeAssignable(target, source) {
+  const targetProps = target.properties || {};
+  const sourceProps = source.properties || {};
+  for (const name of Object.keys(targetProps)) {
+    if (Object.prototype.hasOwnProperty.call(sourceProps, name)) {
+      if (!isAssignable(targetProps[name], sourceProps[name]) ||
+        (isOptional(source, name) && !isOptional(target, name))) {
+        return false;
+      }
+    } else if (!isOptional(target, name) || (source.index && !isAssignable(targetProps[name], source.index))) {
+      return false;
+    }
+  }
+  if (target.index) {
+    return Object.keys(sourceProps).every(name =>
+        Object.prototype.hasOwnProperty.call(targetProps, name) ||
+        isAssignable(target.index, sourceProps[name])) &&
+      (!source.index || isAssignable(target.index, source.index));
+  }
+  return true;
+}
+
 /**
  * Returns whether the source type is not assignable to the target type.
  * 
@@ -232,12 +683,45 @@ export function isNotAssignable(target, source) {
 /**
  * Returns a reduced union type `a | b` for the types `a` and `b`.
  * If either type is undefined, the result is undefined.
+ * If `maxLiterals` is specified and the union would contain more than that
+ * many literal types of the same kind, they are widened to their kind, such
+ * as `string` for `'a' | 'b' | 'c'` with a `maxLiterals` of 2. The union of
+ * the literal types `true` and `false` is always widened to `boolean`.
  * 
  * @param {(Type|undefined)} a a type
  * @param {(Type|undefined)} b another type
+ * @param {number} [maxLiterals] the maximum number of literal types of each
+ *     kind in the union
  * @returns {(Type|undefined)} the reduced union type `a | b`
  */
-export function union(a, b) {
+export function union(a, b, maxLiterals = Infinity) {
+  return widenLiterals(unionOf(a, b), maxLiterals);
+}
+
+// replaces literal types of kinds exceeding the maximum number of literals
+// with their kind, as well as `true | false` with `boolean`
+function widenLiterals(type, maxLiterals) {
+  const types = getUnionTypes(type);
+  const counts = {};
+  for (const t of types) {
+    if (isLiteral(t)) {
+      counts[t.kind] = (counts[t.kind] || 0) + 1;
+    }
+  }
+  const widened = Object.keys(counts).filter(kind =>
+    counts[kind] > maxLiterals || (kind === 'boolean' && counts[kind] === 2));
+  if (widened.length === 0) {
+    return type;
+  }
+  let result;
+  for (const t of types) {
+    const alt = isLiteral(t) && widened.includes(t.kind) ? t.kind : t;
+    result = result ? unionOf(result, alt) : alt;
+  }
+  return result;
+}
+
+function unionOf(a, b) {
   if (a && b) {
     if (isAssignable(a, b)) {
       return a;
@@ -245,47 +729,345 @@ export function union(a, b) {
     if (isAssignable(b, a)) {
       return b;
     }
+    // add each alternative of `b` unless it is a subtype of an alternative of
+    // `a`, replacing any alternatives of `a` that are subtypes of it
+    let types = getUnionTypes(a);
+    for (const alt of getUnionTypes(b)) {
+      if (!types.some(t => isAssignable(t, alt))) {
+        types = types.filter(t => !isAssignable(alt, t)).concat([alt]);
+      }
+    }
+    return types.length !== 1 ? types : types[0];
+  }
+}
 
-    if (isUnion(a)) {
-      if (isUnion(b)) {
-        // start with all elements of `a`, adding unrelated elements of `b` and
-        // replacing elements of `a` with elements of `b` when the former are
-        // subtypes of the latter
-        const aTypes = getUnionTypes(a);
-        const members = new Set(aTypes);
-        // compare pairwise assignability of elements of `a` and `b`
-        for (const be of getUnionTypes(b)) {
-          for (const ae of aTypes) {
-            if (isAssignable(be, ae)) {
-              if (isAssignable(ae, be)) {
-                // equivalent: ignore `be`
-              } else {
-                // `be` is supertype of `ae`: replace `ae` with `be`
-                members.delete(ae);
-                members.add(be);
-              }
-            } else if (isAssignable(ae, be)) {
-              // `ae` is supertype of `be`: ignore `be`
-            } else {
-              // unrelated types: add `be`
-              members.add(be);
-            }
-          }
-        }
-        return members.size !== 1 ? Array.from(members) : members.values().next();
-      } else {
-        return [...getUnionTypes(a), b];
+/**
+ * Returns the intersection type `a & b` of the types `a` and `b`, which
+ * describes the values of both types. If either type is undefined, the other
+ * type is returned. Unions are intersected alternative by alternative, object
+ * types have the properties of both types, with the intersection of the types
+ * of common properties, and the elements of array and tuple types are
+ * intersected. Types that have no values in common, such as different
+ * primitive types or literal types, have the empty union as intersection.
+ * Since a function type describes a single signature, the intersection of
+ * unrelated function types is the `function` type.
+ * 
+ * @param {(Type|undefined)} a a type
+ * @param {(Type|undefined)} b another type
+ * @returns {(Type|undefined)} the intersection type `a & b`
+ */
+export function intersection(a, b) {
+  if (!a || getKind(a) === 'any') {
+    return b;
+  }
+  if (!b || getKind(b) === 'any') {
+    return a;
+  }
+  if (isNamedRef(a) || isNamedRef(b)) {
+    // the intersection of recursive types being intersected is approximated by
+    // the first type
+    if (intersections.some(([x, y]) => isSameType(x, a) && isSameType(y, b))) {
+      return a;
+    }
+    intersections.push([a, b]);
+    try {
+      return isAssignable(b, a) ? a : isAssignable(a, b) ? b : intersection(resolveType(a), resolveType(b));
+    } finally {
+      intersections.pop();
+    }
+  }
+  if (isUnion(a) || isUnion(b)) {
+    let result = [];
+    for (const at of getUnionTypes(a)) {
+      for (const bt of getUnionTypes(b)) {
+        result = union(result, intersection(at, bt));
       }
-    } else if (isUnion(b)) {
-      return [a, ...getUnionTypes(b)];
     }
+    return result;
+  }
+  const aKind = getKind(a);
+  const bKind = getKind(b);
+  if (aKind === 'object' && bKind === 'object' && isShape(a) && isShape(b)) {
+    // optional properties of either type are kept even if they are not
+    // needed for assignability
+    return intersectShapes(a, b);
+  }
+  if (isAssignable(a, b)) {
+    return b;
+  }
+  if (isAssignable(b, a)) {
+    return a;
+  }
+  if (aKind === 'array' && bKind === 'tuple') {
+    return intersectTupleArray(b, a);
+  }
+  if (aKind === 'tuple' && bKind === 'array') {
+    return intersectTupleArray(a, b);
+  }
+  if (aKind !== bKind) {
+    return [];
+  }
+  switch (aKind) {
+    case 'function':
+      return 'function';
+    case 'array':
+      return arrayOf(intersection(a.elements, b.elements));
+    case 'tuple':
+      return intersectTuples(a, b);
+    case 'ref':
+      return intersectRefs(a, b);
+    case 'object':
+      return intersectShapes(a, b);
+    default:
+      // different literals of the same kind
+      return [];
+  }
+}
+
+// pairs of types being intersected that include references to named types
+const intersections = [];
 
-    return [a, b];
+// returns whether a type is the empty union, which has no values
+function isEmpty(type) {
+  return isUnion(type) && getUnionTypes(type).length === 0;
+}
+
+// returns the tuple type of the tuples with elements of both types, or the
+// empty union if any element type has no values
+function intersectTuples(a, b) {
+  // the elements of the longer tuple must be allowed by the rest of the shorter
+  const shorter = a.elements.length < b.elements.length ? a : b;
+  if (a.elements.length !== b.elements.length && !shorter.rest) {
+    return [];
   }
+  const length = Math.max(a.elements.length, b.elements.length);
+  const elements = [];
+  for (let i = 0; i < length; ++i) {
+    const element = intersection(getElementType(a, i), getElementType(b, i));
+    if (isEmpty(element)) {
+      return [];
+    }
+    elements.push(element);
+  }
+  return tupleOf(elements, a.rest && b.rest ? intersection(a.rest, b.rest) : undefined);
+}
+
+function intersectTupleArray(tuple, array) {
+  return intersectTuples(tuple, tupleOf([], array.elements || 'any'));
+}
+
+function intersectRefs(a, b) {
+  if (a.name !== b.name || (a.args && b.args && a.args.length !== b.args.length)) {
+    return [];
+  }
+  if (!a.args || !b.args) {
+    return a.args ? a : b;
+  }
+  const variances = genericTypes.get(a.name) || [];
+  const args = a.args.map((t, i) => {
+    const u = b.args[i];
+    switch (variances[i]) {
+      case 'out':
+        return intersection(t, u);
+      case 'in':
+        return union(t, u);
+      default:
+        // invariant type arguments must be equivalent
+        return isAssignable(t, u) && isAssignable(u, t) ? t : [];
+    }
+  });
+  return args.some(isEmpty) ? [] : refOf(a.name, args);
+}
+
+// returns the object type with the properties of both object types, or the
+// empty union if a property required by both types has no values
+function intersectShapes(a, b) {
+  const aProps = a.properties || {};
+  const bProps = b.properties || {};
+  const properties = {};
+  const optional = [];
+  for (const name of new Set(Object.keys(aProps).concat(Object.keys(bProps)))) {
+    const inA = Object.prototype.hasOwnProperty.call(aProps, name);
+    const inB = Object.prototype.hasOwnProperty.call(bProps, name);
+    const type = intersection(inA ? aProps[name] : a.index, inB ? bProps[name] : b.index);
+    const isOptionalProp = (!inA || isOptional(a, name)) && (!inB || isOptional(b, name));
+    if (isEmpty(type) && !isOptionalProp) {
+      return [];
+    }
+    properties[name] = type;
+    if (isOptionalProp) {
+      optional.push(name);
+    }
+  }
+  const index = a.index && b.index ? intersection(a.index, b.index) : undefined;
+  return objectOf(properties, optional, index);
+}
+
+/**
+ * Returns the type `a` excluding the values of type `b`, such as `string` for
+ * `string | null | undefined` excluding `null | undefined`. Alternatives of
+ * `a` assignable to `b` are removed, and `boolean` is narrowed to a literal
+ * type if `b` includes the other literal. If `a` is undefined, the result is
+ * undefined, and if no alternative remains, the result is an empty union.
+ * Other alternatives are kept, since types such as `number` excluding `0`
+ * cannot be described.
+ * 
+ * @param {(Type|undefined)} a a type
+ * @param {(Type|undefined)} b the type of the values to exclude
+ * @returns {(Type|undefined)} the type `a` excluding `b`
+ */
+export function exclude(a, b) {
+  if (!a || !b) {
+    return a;
+  }
+  return narrow(a, alt => {
+    if (isAssignable(b, alt)) {
+      return false;
+    }
+    if (getKind(alt) === 'boolean') {
+      // `boolean` is the union of its literal types
+      const literals = [literalOf(true), literalOf(false)].filter(t => !isAssignable(b, t));
+      return literals.length === 2 || literals[0] || false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Returns whether the given types are structurally equal, describing the same
+ * values in the same way. Shorthand and canonical forms of a type are equal,
+ * the order of union alternatives and object properties is ignored, and the
+ * names of function parameters are ignored. References to named types are
+ * equal to the types they denote. Unlike mutual assignability, an undefined
+ * type is only equal to an undefined type, and `any` is only equal to `any`.
+ * 
+ * @param {(Type|undefined)} a a type
+ * @param {(Type|undefined)} b another type
+ * @returns {boolean} true if and only if the types are equal
+ */
+export function typeEquals(a, b) {
+  if (!a || !b) {
+    return !a && !b;
+  }
+  if (isNamedRef(a) || isNamedRef(b)) {
+    return compareNamedTypes(equalities, a, b, typeEquals);
+  }
+  if (isUnion(a) || isUnion(b)) {
+    const aTypes = flattenUnion(a);
+    const bTypes = flattenUnion(b);
+    return aTypes.every(t => bTypes.some(u => typeEquals(t, u))) &&
+      bTypes.every(u => aTypes.some(t => typeEquals(t, u)));
+  }
+  const kind = getKind(a);
+  if (kind !== getKind(b) || isLiteral(a) !== isLiteral(b)) {
+    return false;
+  }
+  if (isLiteral(a)) {
+    return Object.is(a.literal, b.literal);
+  }
+  switch (kind) {
+    case 'function':
+      return typeEquals(a.returns, b.returns) && (!a.params || !b.params ? !a.params === !b.params :
+        a.params.length === b.params.length && a.params.every((p, i) => typeEquals(p.type, b.params[i].type)));
+    case 'array':
+      return typeEquals(a.elements, b.elements);
+    case 'tuple':
+      return a.elements.length === b.elements.length && typeEquals(a.rest, b.rest) &&
+        a.elements.every((t, i) => typeEquals(t, b.elements[i]));
+    case 'ref':
+      return a.name === b.name && (!a.args || !b.args ? !a.args === !b.args :
+        a.args.length === b.args.length && a.args.every((t, i) => typeEquals(t, b.args[i])));
+    case 'object':
+      return areShapesEqual(a, b);
+    default:
+      return true;
+  }
+}
+
+// returns the alternatives of a type, including those of nested unions
+function flattenUnion(type) {
+  return isUnion(type) ? [].concat(...getUnionTypes(type).map(flattenUnion)) : [type];
+}
+
+function areShapesEqual(a, b) {
+  const aProps = a.properties || {};
+  const bProps = b.properties || {};
+  const names = Object.keys(aProps);
+  return names.length === Object.keys(bProps).length &&
+    names.every(name => Object.prototype.hasOwnProperty.call(bProps, name) &&
+      typeEquals(aProps[name], bProps[name]) && isOptional(a, name) === isOptional(b, name)) &&
+    typeEquals(a.index, b.index) && !a.properties === !b.properties;
+}
+
+/**
+ * Narrows a type to the alternatives that satisfy a predicate, such as the
+ * condition of a type guard. The predicate is called for each alternative of
+ * the type, or with `any` if the type is undefined, and returns `true` to keep
+ * the alternative, `false` to exclude it, or a more specific type to replace
+ * it with (such as `string` for `any` after a `typeof` check).
+ * If no alternative satisfies the predicate, the result is an empty union.
+ * 
+ * @param {(Type|undefined)} type a type
+ * @param {function(Type): (boolean|Type)} predicate a function returning
+ *     whether an alternative satisfies the condition, or its narrowed type
+ * @returns {(Type|undefined)} the narrowed type, which is the given type if
+ *     all alternatives are kept
+ */
+export function narrow(type, predicate) {
+  let result;
+  let changed = false;
+  for (const alt of getUnionTypes(resolveType(type) || 'any')) {
+    const narrowed = predicate(alt);
+    if (narrowed !== true) {
+      changed = true;
+    }
+    if (narrowed) {
+      // add alternatives individually to keep the result a flat union
+      for (const t of getUnionTypes(narrowed === true ? alt : narrowed)) {
+        result = result ? union(result, t) : t;
+      }
+    }
+  }
+  return !changed ? type : result || [];
+}
+
+/**
+ * Returns the given type with its unions normalized, recursively for nested
+ * types. Nested unions are flattened, alternatives that are subtypes of other
+ * alternatives (including duplicates) are removed, `true | false` becomes
+ * `boolean`, and unions with a single alternative become that alternative.
+ * A union with an unknown alternative is unknown, as with `union`.
+ * 
+ * @param {(Type|undefined)} type a type
+ * @returns {(Type|undefined)} the simplified type
+ */
+export function simplify(type) {
+  if (isUnion(type)) {
+    let result = [];
+    for (const alt of getUnionTypes(type)) {
+      result = union(result, simplify(alt));
+    }
+    return result;
+  }
+  if (!type || typeof type !== 'object') {
+    return type;
+  }
+  const result = transformNested(type, simplify);
+  if (type.kind === 'function' && type.params) {
+    const params = type.params.map(param => param.type ? { ...param,
+      type: simplify(param.type)
+    } : param);
+    if (params.some((param, i) => param.type !== type.params[i].type)) {
+      return { ...result,
+        params
+      };
+    }
+  }
+  return result;
 }
 
 // precedence levels:
-// - 0: top-level
+// - 0: top-level or delimited
 // - 1: union
 // - 2: function return
 // - 3: array
@@ -301,12 +1083,21 @@ export function union(a, b) {
  * - Unions (precedence 1): infix operator `|`
  * - Function return type (precedence 2): prefix operator `:`
  * - Arrays (with element type, precedence 3): postfix operator `[]`
+ * - Tuple elements (precedence 0): separated by `,` and surrounded by brackets,
+ *     with the rest type as an array prefixed by `...`
+ * - Type arguments (precedence 0): separated by `,` and surrounded by angle
+ *     brackets following the name of the generic type, as in `Promise<number>`
+ * - Object properties (precedence 0): `name: type` or `name?: type` for
+ *     optional properties, and `[key: string]: type` for the index type,
+ *     separated by `,` and surrounded by braces
  * 
  * For example, `(function(:string | null): (number | string))[]` denotes an array
  * of functions accepting a string or null argument and returning a number or string.
  * On the other hand, `function(:string | null): number | string[]` denotes either
  * 1) a function accepting a string or null argument and returning a number or
- * 2) a string array.
+ * 2) a string array. The object type `{ a: number, b?: string }` denotes an
+ * object with a number property `a` and an optional string property `b`.
+ * The empty union, which has no values, is formatted as `never`.
  * 
  * @param {(Type|undefined)} type a type
  * @returns {string} a string representation the type
@@ -314,7 +1105,10 @@ export function union(a, b) {
 export function formatType(type, contextPrecedence = 0) {
   let result;
   let precedence;
-  if (isUnion(type)) {
+  if (isUnion(type) && getUnionTypes(type).length === 0) {
+    // the empty union has no values
+    return 'never';
+  } else if (isUnion(type)) {
     result = getUnionTypes(type).map(alt => formatType(alt, precedence = 1)).join(' | ');
   } else {
     const kind = getKind(type);
@@ -323,6 +1117,13 @@ export function formatType(type, contextPrecedence = 0) {
       case undefined:
         result = 'unknown';
         break;
+      case 'string':
+      case 'number':
+      case 'boolean':
+        if (isLiteral(type)) {
+          result = formatLiteral(type.literal);
+        }
+        break;
       case 'function':
         if (type.params) {
           result += `(${type.params.map(formatParam).join(', ')})`;
@@ -335,6 +1136,20 @@ export function formatType(type, contextPrecedence = 0) {
         if (type.elements) {
           return formatType(type.elements, precedence = 3) + '[]';
         }
+        break;
+      case 'ref':
+        return type.args ? `${type.name}<${type.args.map(t => formatType(t)).join(', ')}>` : type.name;
+      case 'tuple': {
+        const elements = type.elements.map(t => formatType(t));
+        if (type.rest) {
+          elements.push('...' + formatType(arrayOf(type.rest)));
+        }
+        return `[${elements.join(', ')}]`;
+      }
+      case 'object':
+        if (isShape(type)) {
+          return formatShape(type);
+        }
     }
   }
   if (precedence < contextPrecedence) {
@@ -343,12 +1158,307 @@ export function formatType(type, contextPrecedence = 0) {
   return result;
 }
 
+function formatLiteral(value) {
+  return typeof value === 'string' ?
+    `'${value.replace(/[\\']/g, '\\$&').replace(/\n/g, '\\n')}'` : String(value);
+}
+
+function formatShape(type) {
+  const props = type.properties || {};
+  const entries = Object.keys(props).map(name =>
+    `${formatPropertyName(name)}${isOptional(type, name) ? '?' : ''}: ${formatType(props[name])}`);
+  if (type.index) {
+    entries.push(`[key: string]: ${formatType(type.index)}`);
+  }
+  return entries.length > 0 ? `{ ${entries.join(', ')} }` : '{}';
+}
+
+function formatPropertyName(name) {
+  return /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+}
+
 function formatParam(param) {
   const paramType = formatType(param.type);
   return (param.name && param.type) ? (param.name + ': ' + paramType) :
     param.type ? (':' + paramType) : (param.name || '_');
 }
 
+/**
+ * Parses a type from its string representation, as returned by `formatType`.
+ * The grammar and operator precedence are those described for `formatType`,
+ * with `unknown` denoting an unknown (undefined) type, `never` or an empty
+ * string denoting the empty union, `_` denoting a function
+ * parameter with neither a name nor a type, and any name other than a type
+ * kind denoting a reference to a generic type. String literals may be quoted
+ * with either single or double quotes, and whitespace between tokens is
+ * ignored. Unions are not reduced, so formatting the parsed type returns the
+ * original string (up to whitespace and quoting).
+ * 
+ * @param {string} text the string representation of a type
+ * @param {boolean} [canonical=false] whether to return a canonical type
+ *     rather than a shorthand type
+ * @returns {(Type|undefined)} the parsed type
+ * @throws {SyntaxError} if the string is not a valid type, with the offset of
+ *     the offending character in the string as the `pos` property of the error
+ */
+export function parseType(text, canonical = false) {
+  const parser = {
+    text,
+    pos: 0
+  };
+  skipSpaces(parser);
+  // the empty union is formatted as an empty string
+  const type = parser.pos === text.length ? [] : parseUnion(parser);
+  if (parser.pos < text.length) {
+    throw typeSyntaxError(parser, `Unexpected '${text[parser.pos]}'`);
+  }
+  return canonical ? toCanonical(type) : type;
+}
+
+function typeSyntaxError(parser, message) {
+  const error = new SyntaxError(`${message} at position ${parser.pos} in type '${parser.text}'`);
+  error.pos = parser.pos;
+  return error;
+}
+
+function skipSpaces(parser) {
+  while (/\s/.test(parser.text.charAt(parser.pos))) {
+    ++parser.pos;
+  }
+}
+
+function peekToken(parser, token) {
+  return parser.text.startsWith(token, parser.pos);
+}
+
+function acceptToken(parser, token) {
+  if (peekToken(parser, token)) {
+    parser.pos += token.length;
+    skipSpaces(parser);
+    return true;
+  }
+  return false;
+}
+
+function expectToken(parser, token) {
+  if (!acceptToken(parser, token)) {
+    throw typeSyntaxError(parser, parser.pos < parser.text.length ?
+      `Expected '${token}' but found '${parser.text[parser.pos]}'` : `Expected '${token}' but found end of type`);
+  }
+}
+
+function parseName(parser) {
+  const match = /^[A-Za-z_$][\w$.]*/.exec(parser.text.slice(parser.pos));
+  if (!match) {
+    throw typeSyntaxError(parser, parser.pos < parser.text.length ?
+      `Unexpected '${parser.text[parser.pos]}'` : 'Unexpected end of type');
+  }
+  parser.pos += match[0].length;
+  skipSpaces(parser);
+  return match[0];
+}
+
+// parses the alternatives of a union (precedence 1)
+function parseUnion(parser) {
+  const types = [];
+  do {
+    // parenthesized unions are flattened into the enclosing union
+    const type = parsePostfix(parser);
+    types.push(...(isUnion(type) ? getUnionTypes(type) : [type]));
+  } while (acceptToken(parser, '|'));
+  return types.length === 1 ? types[0] : types;
+}
+
+// parses a type followed by any number of array operators (precedence 3),
+// which is the precedence of function return types
+function parsePostfix(parser) {
+  let type = parsePrimary(parser);
+  while (acceptToken(parser, '[]')) {
+    type = arrayOf(type);
+  }
+  return type;
+}
+
+// kinds of types that can be denoted by their names
+const namedKinds = Object.keys(TypeKind).filter(kind => !['tuple', 'ref', 'union'].includes(kind));
+
+function parsePrimary(parser) {
+  if (acceptToken(parser, '(')) {
+    const type = parseUnion(parser);
+    expectToken(parser, ')');
+    return type;
+  }
+  if (acceptToken(parser, '[')) {
+    return parseTuple(parser);
+  }
+  if (acceptToken(parser, '{')) {
+    return parseShape(parser);
+  }
+  const quote = parser.text[parser.pos];
+  if (quote === '\'' || quote === '"') {
+    return literalOf(parseString(parser));
+  }
+  const number = /^-?(\d+(\.\d*)?([eE][+-]?\d+)?|\.\d+([eE][+-]?\d+)?|Infinity)|^NaN/.exec(parser.text.slice(parser.pos));
+  if (number) {
+    parser.pos += number[0].length;
+    skipSpaces(parser);
+    return literalOf(Number(number[0]));
+  }
+  const start = parser.pos;
+  const name = parseName(parser);
+  if (name === 'true' || name === 'false') {
+    return literalOf(name === 'true');
+  }
+  if (name === 'unknown') {
+    return undefined;
+  }
+  if (name === 'never') {
+    return [];
+  }
+  if (name === 'function') {
+    return parseFunction(parser);
+  }
+  if (namedKinds.includes(name)) {
+    return name;
+  }
+  if (['tuple', 'ref', 'union'].includes(name)) {
+    parser.pos = start;
+    throw typeSyntaxError(parser, `Unexpected '${name}'`);
+  }
+  if (acceptToken(parser, '<')) {
+    const args = [];
+    do {
+      args.push(parseUnion(parser));
+    } while (acceptToken(parser, ','));
+    expectToken(parser, '>');
+    return refOf(name, args);
+  }
+  return refOf(name);
+}
+
+// parses the optional parameters and return type following `function`
+function parseFunction(parser) {
+  const type = {
+    kind: 'function'
+  };
+  if (acceptToken(parser, '(')) {
+    type.params = [];
+    if (!acceptToken(parser, ')')) {
+      do {
+        type.params.push(parseParam(parser));
+      } while (acceptToken(parser, ','));
+      expectToken(parser, ')');
+    }
+  }
+  if (acceptToken(parser, ':')) {
+    type.returns = parsePostfix(parser);
+  }
+  return type.params || type.returns ? type : 'function';
+}
+
+function parseParam(parser) {
+  const param = {};
+  if (!acceptToken(parser, ':')) {
+    const name = parseName(parser);
+    if (name !== '_') {
+      param.name = name;
+    }
+    if (!acceptToken(parser, ':')) {
+      return param;
+    }
+  }
+  const type = parseUnion(parser);
+  if (type) {
+    param.type = type;
+  }
+  return param;
+}
+
+function parseTuple(parser) {
+  const elements = [];
+  let rest;
+  if (!acceptToken(parser, ']')) {
+    do {
+      if (acceptToken(parser, '...')) {
+        const restStart = parser.pos;
+        const restType = parsePostfix(parser);
+        if (getKind(restType) !== 'array') {
+          parser.pos = restStart;
+          throw typeSyntaxError(parser, 'Expected array type for rest elements');
+        }
+        rest = restType.elements;
+        break;
+      }
+      elements.push(parseUnion(parser));
+    } while (acceptToken(parser, ','));
+    expectToken(parser, ']');
+  }
+  return tupleOf(elements, rest);
+}
+
+function parseShape(parser) {
+  const properties = {};
+  const optional = [];
+  let index;
+  if (!acceptToken(parser, '}')) {
+    do {
+      if (acceptToken(parser, '[')) {
+        if (parseName(parser) !== 'key') {
+          throw typeSyntaxError(parser, `Expected 'key'`);
+        }
+        expectToken(parser, ':');
+        expectToken(parser, 'string');
+        expectToken(parser, ']');
+        expectToken(parser, ':');
+        index = parseUnion(parser);
+        continue;
+      }
+      const quote = parser.text[parser.pos];
+      const name = quote === '\'' || quote === '"' ? parseString(parser) : parseName(parser);
+      if (acceptToken(parser, '?')) {
+        optional.push(name);
+      }
+      expectToken(parser, ':');
+      properties[name] = parseUnion(parser);
+    } while (acceptToken(parser, ','));
+    expectToken(parser, '}');
+  }
+  return objectOf(properties, optional, index);
+}
+
+// escape sequences of string literals other than escaped characters
+const escapes = {
+  b: '\b',
+  f: '\f',
+  n: '\n',
+  r: '\r',
+  t: '\t'
+};
+
+function parseString(parser) {
+  const quote = parser.text[parser.pos];
+  let value = '';
+  for (let pos = parser.pos + 1; pos < parser.text.length; ++pos) {
+    let c = parser.text[pos];
+    if (c === quote) {
+      parser.pos = pos + 1;
+      skipSpaces(parser);
+      return value;
+    }
+    if (c === '\\') {
+      c = parser.text[++pos];
+      if (c === 'u') {
+        c = String.fromCharCode(parseInt(parser.text.substr(pos + 1, 4), 16));
+        pos += 4;
+      } else if (escapes[c]) {
+        c = escapes[c];
+      }
+    }
+    value += c;
+  }
+  throw typeSyntaxError(parser, 'Unterminated string');
+}
+
 /**
  * Returns the given type in canonical form.
  * 
@@ -377,6 +1487,8 @@ export function toCanonical(type) {
  * 
  * - `function` with no `returns` or `params` becomes the string `function`
  * - `array` with no `elements` becomes the string `array`
+ * - `object` with no `properties` or `index` becomes the string `object`
+ * - other types without a `literal` value become the string of their kind
  * - `union` becomes an array of types
  * 
  * @param {(Type|undefined)} type a type
@@ -395,10 +1507,19 @@ export function toShorthand(type) {
           return type.kind;
         }
         return transformArray(type, toShorthand);
+      case 'tuple':
+        return transformTuple(type, toShorthand);
+      case 'ref':
+        return transformRef(type, toShorthand);
+      case 'object':
+        if (!isShape(type)) {
+          return type.kind;
+        }
+        return transformObject(type, toShorthand);
       case 'union':
         return mapIfChanged(type.anyOf, toShorthand);
       default:
-        return type.kind;
+        return isLiteral(type) ? type : type.kind;
     }
   }
   if (Array.isArray(type)) {
@@ -413,6 +1534,12 @@ function transformNested(type, fn) {
       return transformFunction(type, fn);
     case 'array':
       return transformArray(type, fn);
+    case 'tuple':
+      return transformTuple(type, fn);
+    case 'ref':
+      return transformRef(type, fn);
+    case 'object':
+      return transformObject(type, fn);
     case 'union':
       return transformUnion(type, fn);
     default:
@@ -449,6 +1576,61 @@ function transformArray(type, fn) {
   return type;
 }
 
+function transformTuple(type, fn) {
+  const elements = mapIfChanged(type.elements, fn);
+  const rest = type.rest && fn(type.rest);
+  if (elements !== type.elements || rest !== type.rest) {
+    const result = { ...type,
+      elements
+    };
+    if (rest !== type.rest) {
+      result.rest = rest;
+    }
+    return result;
+  }
+  return type;
+}
+
+function transformRef(type, fn) {
+  if (type.args) {
+    const args = mapIfChanged(type.args, fn);
+    if (args !== type.args) {
+      return { ...type,
+        args
+      };
+    }
+  }
+  return type;
+}
+
+function transformObject(type, fn) {
+  let properties = type.properties;
+  if (properties) {
+    const names = Object.keys(properties);
+    const propTypes = names.map(name => properties[name]);
+    const newTypes = mapIfChanged(propTypes, fn);
+    if (newTypes !== propTypes) {
+      properties = {};
+      names.forEach((name, i) => {
+        properties[name] = newTypes[i];
+      });
+    }
+  }
+  const index = type.index && fn(type.index);
+  if (properties !== type.properties || index !== type.index) {
+    const result = { ...type
+    };
+    if (properties !== type.properties) {
+      result.properties = properties;
+    }
+    if (index !== type.index) {
+      result.index = index;
+    }
+    return result;
+  }
+  return type;
+}
+
 function transformUnion(type, fn) {
   if (type.anyOf) {
     const anyOf = mapIfChanged(type.anyOf, fn);
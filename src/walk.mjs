@@ -37,10 +37,14 @@ export function walk(ast, state, visitors, override) {
     if (beforeResult !== false) {
       // sometimes overrides have their own walker, sometimes not
       const walker = (override && walkers[override]) || walkers[type];
-      if (!walker) {
+      if (walker) {
+        walker(node, state, visit);
+      } else if (visitors.Unhandled) {
+        // callers may skip unknown node types instead of failing
+        visitors.Unhandled(node, state);
+      } else {
         throw new Error(`Unhandled AST node type '${type}'`);
       }
-      walker(node, state, visit);
 
       // invoke after-visitors from most specific to least
       visitorTypes.reverse();
@@ -128,8 +132,12 @@ walkers.ExportSpecifier = (node, state, visit) => {
 };
 walkers.ExportDefaultDeclaration = (node, state, visit) =>
   visit(node.declaration, state);
-walkers.ExportAllDeclaration = (node, state, visit) =>
+walkers.ExportAllDeclaration = (node, state, visit) => {
+  if (node.exported) {
+    visit(node.exported, state);
+  }
   visit(node.source, state);
+};
 
 // variables
 
@@ -190,6 +198,18 @@ walkers.MethodDefinition =
     visit(node.key, state, !node.computed ? Pattern : undefined);
     visit(node.value, state);
   }
+walkers.PropertyDefinition = (node, state, visit) => {
+  visit(node.key, state, !node.computed ? Pattern : undefined);
+  if (node.value) {
+    visit(node.value, state);
+  }
+};
+walkers.StaticBlock = (node, state, visit) => {
+  for (const stmt of node.body) {
+    visit(stmt, state);
+  }
+};
+walkers.PrivateIdentifier = ignore;
 
 // statements
 
@@ -322,7 +342,9 @@ groups.ArrayExpression =
   groups.MetaProperty =
   groups.TemplateLiteral =
   groups.TaggedTemplateExpression =
-  groups.ParenthesizedExpression = [Expression];
+  groups.ParenthesizedExpression =
+  groups.ChainExpression =
+  groups.ImportExpression = [Expression];
 
 walkers.ArrayExpression = (node, state, visit) => {
   for (const element of node.elements) {
@@ -369,6 +391,14 @@ walkers.CallExpression =
       }
     }
   };
+walkers.ChainExpression = (node, state, visit) =>
+  visit(node.expression, state);
+walkers.ImportExpression = (node, state, visit) => {
+  visit(node.source, state);
+  if (node.options) {
+    visit(node.options, state);
+  }
+};
 walkers.SequenceExpression = (node, state, visit) => {
   for (const expr of node.expressions) {
     visit(expr, state);
@@ -0,0 +1,278 @@
+import { expect } from 'chai';
+
+import { analyze, readDeclarations, Scope, toDeclarations } from '../src/index.mjs';
+import { formatType } from '../src/types.mjs';
+
+const acorn = require('acorn');
+
+function analyzeModule(source, options) {
+  return analyze(acorn.parse(source, {
+    ecmaVersion: 2022,
+    sourceType: 'module'
+  }), new Scope(), options);
+}
+
+// returns an object mapping the exported names to their formatted types
+function exportedTypes({ exports }) {
+  const types = {};
+  for (const name of Object.keys(exports)) {
+    types[name] = formatType(exports[name].type);
+  }
+  return types;
+}
+
+describe('toDeclarations', function () {
+  it('declares exported constants and functions', function () {
+    const analysis = analyzeModule(`export const limit = 10, name = 'x';
+export let point = { x: 1, y: 'a' };
+export function scale(factor = 2) { return factor * limit; }
+export const check = flag => !flag;
+export default async function () { return [1, 2]; }`);
+    expect(toDeclarations(analysis)).to.equal(`export declare const limit: 10;
+export declare const name: "x";
+export declare const point: { x: number; y: string; };
+export declare function scale(factor?: number): number;
+export declare function check(flag: any): boolean;
+declare function _default(): Promise<number[]>;
+export default _default;
+`);
+  });
+  it('declares exported classes', function () {
+    const analysis = analyzeModule(`class Base { constructor(id) { this.id = '#' + id; } }
+export class Item extends Base {
+  #secret = 1;
+  count = 0;
+  static create() { return 'item'; }
+  get size() { return this.count; }
+  label(prefix) { return this.id + prefix; }
+}`);
+    expect(toDeclarations(analysis)).to.equal(`export declare class Item {
+  constructor(id: any);
+  static create(): string;
+  id: string;
+  count: number;
+  get size(): number;
+  label(prefix: any): string;
+}
+`);
+  });
+  it('re-exports imported bindings and modules', function () {
+    const analysis = analyzeModule(`export { a, b as c } from './a.js';
+export * as ns from './ns.js';
+export * from './all.js';`);
+    expect(toDeclarations(analysis)).to.equal(`export { a } from "./a.js";
+export { b as c } from "./a.js";
+export * as ns from "./ns.js";
+export * from "./all.js";
+`);
+  });
+  it('formats unions, arrays, and function types', function () {
+    const analysis = analyzeModule(`export function pick(flag) { return flag ? () => 1 : ['none']; }
+export const pair = [x => x, 1];
+export const nothing = void 0;`);
+    expect(toDeclarations(analysis)).to.equal(`export declare function pick(flag: any): (() => number) | string[];
+export declare const pair: (((x: any) => any) | number)[];
+export declare const nothing: undefined;
+`);
+  });
+  it('widens literal types of variables, properties, and elements', function () {
+    const analysis = analyzeModule(`export const ratio = 1 / 0, flag = Math.random() > 0.5 ? 1 : 2;
+export let mode = Math.random() > 0.5 ? 'a' : 'b';
+export let o = { 'a-b': 1, nested: { s: 'x', n: [2] } };
+export default { k: [1, 2] };`);
+    expect(toDeclarations(analysis)).to.equal(`export declare const ratio: number;
+export declare const flag: 1 | 2;
+export declare const mode: string;
+export declare const o: { "a-b": number; nested: { s: string; n: number[]; }; };
+declare const _default: { k: number[]; };
+export default _default;
+`);
+  });
+  it('declares optional and rest parameters', function () {
+    const analysis = analyzeModule(`export function h(a, b = 2, ...c) { return a; }
+export const k = (x = 'a') => x;`);
+    expect(toDeclarations(analysis)).to.equal(`export declare function h(a: any, b?: number, ...c: any[]): any;
+export declare function k(x?: string): any;
+`);
+    const declarations = readDeclarations('export declare function h(a?: number, ...c: string[]): void;');
+    expect(toDeclarations(declarations)).to.equal('export declare function h(a?: number, ...c: string[]): void;\n');
+  });
+});
+
+describe('readDeclarations', function () {
+  it('reads exported variables, functions, and type aliases', function () {
+    const declarations = readDeclarations(`import { Other } from 'other';
+/** the maximum */
+export declare const MAX: 10;
+export declare let names: string[] | null;
+export type Handler = (event: string, ...args: any[]) => void;
+export declare const handler: Handler;
+export declare const other: Other;
+export declare function parse<T>(text: string, reviver?: (key: string) => T): T;
+export declare const tuple: [number, string?, ...boolean[]];
+export declare const map: Map<string, number>;
+export declare const table: Record<string, { id: number }>;
+export declare function isName(value: unknown): value is string;`);
+    expect(exportedTypes(declarations)).to.eql({
+      MAX: '10',
+      names: 'string[] | null',
+      handler: 'function(event: string, args: any[]): void',
+      other: 'any',
+      parse: 'function(text: string, reviver: function(key: string): any | undefined): any',
+      tuple: '[number, string | undefined, ...boolean[]]',
+      map: 'Map<string, number>',
+      table: '{ [key: string]: { id: number } }',
+      isName: 'function(value: any): boolean'
+    });
+    expect(declarations.exports.MAX.constant).to.be.true;
+    expect(Object.keys(declarations.types)).to.eql(['Handler']);
+  });
+  it('reads bigint literals and anonymous default exports', function () {
+    expect(exportedTypes(readDeclarations(`export declare const n: 1n, m: -0x1fn, k: -1_000;
+export default function (a: number): void;`))).to.eql({
+      n: 'bigint',
+      m: 'bigint',
+      k: '-1000',
+      default: 'function(a: number): void'
+    });
+    expect(exportedTypes(readDeclarations('export default class { x: number; }'))).to.eql({
+      default: 'function()'
+    });
+  });
+  it('merges function overloads', function () {
+    const declarations = readDeclarations(`export function get(key: string): string;
+export function get(key: string, fallback: number): string | number;`);
+    expect(exportedTypes(declarations).get)
+      .to.equal('function(key: string, fallback: undefined | number): (string | number)');
+  });
+  it('reads interfaces', function () {
+    const declarations = readDeclarations(`interface Named { readonly name: string; }
+interface Point extends Named {
+  x: number;
+  y?: number;
+  move(dx: number): Point;
+  [key: string]: unknown;
+}
+interface Point { z: number }
+interface Callback { (error: Error | null): void }
+export declare const origin: Point;
+export declare const done: Callback;`);
+    expect(exportedTypes(declarations)).to.eql({
+      origin: '{ name: string, x: number, y?: number, move: function(dx: number): any, z: number, [key: string]: any }',
+      done: 'function(error: object | null): void'
+    });
+  });
+  it('reads classes, enums, and namespaces', function () {
+    const declarations = readDeclarations(`export declare class Counter<T> extends Base {
+  constructor(start?: number);
+  static readonly zero: Counter<any>;
+  count: number;
+  private secret;
+  get value(): T;
+  increment(by: number): this;
+}
+interface Base { id: string }
+export declare enum Color { Red, Green = 5, Blue, Named = 'named' }
+export declare namespace util {
+  const version: string;
+  function noop(): void;
+}`);
+    const { Counter, Color, util } = declarations.exports;
+    expect(formatType(Counter.type)).to.equal('function(start: number | undefined)');
+    expect(Counter.members).to.have.keys('zero', 'prototype');
+    expect(Counter.members.prototype.members).to.have.keys('value', 'increment');
+    expect(Counter.instance.members).to.have.keys('count', 'value', 'increment');
+    expect(formatType(Counter.instance.type))
+      .to.equal('{ id: string, count: number, value: any, increment: function(by: number): object }');
+    expect(Counter.instance.members.value.getter).to.be.an('object');
+    expect(Object.keys(Color.members).map(key => Color.members[key].value)).to.eql([0, 5, 6, 'named']);
+    expect(exportedTypes({
+      exports: util.members
+    })).to.eql({
+      version: 'string',
+      noop: 'function(): void'
+    });
+  });
+  it('reads global and ambient module declarations', function () {
+    const declarations = readDeclarations(`declare var VERSION: string;
+declare function log(message: string): void;
+declare module 'lib' {
+  export function run(): Promise<void>;
+  export * from 'lib/extra';
+}
+declare module 'shorthand';`);
+    expect(exportedTypes({
+      exports: declarations.globals
+    })).to.eql({
+      VERSION: 'string',
+      log: 'function(message: string): void'
+    });
+    expect(declarations.exports).to.eql({});
+    expect(exportedTypes(declarations.modules.lib)).to.eql({
+      run: 'function(): Promise<void>'
+    });
+    expect(declarations.modules.lib.reexports).to.eql(['lib/extra']);
+    expect(declarations.modules.shorthand.exports).to.eql({});
+  });
+  it('reads export lists and CommonJS exports', function () {
+    const lists = readDeclarations(`declare const a: number;
+declare function b(): string;
+export { a, b as c };
+export { d } from './d';
+export * from './e';`);
+    expect(exportedTypes(lists)).to.eql({
+      a: 'number',
+      c: 'function(): string',
+      d: 'unknown'
+    });
+    expect(lists.exports.d.import).to.eql({
+      source: './d',
+      name: 'd'
+    });
+    expect(lists.reexports).to.eql(['./e']);
+    const commonjs = readDeclarations(`declare function lib(): void;
+declare namespace lib { const version: string; }
+export = lib;`);
+    expect(exportedTypes(commonjs)).to.eql({
+      default: 'function(): void',
+      version: 'string'
+    });
+  });
+  it('seeds the analysis of importing modules', function () {
+    const declarations = readDeclarations(`export declare function format(value: number, digits?: number): string;
+export declare const DEFAULT_DIGITS: 2;`);
+    const analysis = analyzeModule(`import { format, DEFAULT_DIGITS } from 'formatter';
+export const text = format(1.5, DEFAULT_DIGITS);
+export const digits = DEFAULT_DIGITS;`, {
+      importModule: () => declarations
+    });
+    expect(exportedTypes(analysis)).to.eql({
+      text: 'string',
+      digits: '2'
+    });
+  });
+  it('skips members with computed keys', function () {
+    const declarations = readDeclarations(`export interface Tokens {
+  [Symbol.iterator](): Iterator<string>;
+  [key: string]: number;
+  size: number;
+}
+export declare const tokens: Tokens;`);
+    expect(exportedTypes(declarations)).to.eql({
+      tokens: '{ size: number, [key: string]: number }'
+    });
+  });
+  it('reads emitted declarations', function () {
+    const analysis = analyzeModule(`export const limit = 10;
+export function scale(factor = 2) { return factor * limit; }
+export class Item { constructor() { this.count = 0; } next() { return this.count + 1; } }`);
+    const declarations = readDeclarations(toDeclarations(analysis));
+    expect(exportedTypes(declarations)).to.eql({
+      limit: '10',
+      scale: 'function(factor: number | undefined): number',
+      Item: 'function()'
+    });
+    expect(formatType(declarations.exports.Item.instance.type))
+      .to.equal('{ count: number, next: function(): number }');
+  });
+});
@@ -70,6 +70,45 @@ export const e1 = 1;
 export default 1 + 2;
 `;
     const ast = acorn.parse(input, {
+      ecmaVersion: 2018,
+      sourceType: 'module'
+    });
+    let output = '';
+    format(ast, {
+      write: s => output += s
+    });
+    expect(output).to.equal(input);
+  });
+  it('round-trips modern syntax', function () {
+    const input = `const a = obj?.b?.[c]?.(d) ?? 1n;
+const n = 1_000_000;
+x ||= 1;
+y &&= 2;
+z ??= (a || b) ?? c;
+(a?.b).c;
+class C {
+  #x = 1;
+  static y;
+  [name] = 2;
+  static {
+    init();
+  }
+  get #z() {
+    return this.#x;
+  }
+  has(o) {
+    return #x in o;
+  }
+}
+const m = await import('m');
+export * as ns from 'm2';
+console.log(import.meta.url);
+for await (const v of items) {}
+for (let i = 0; i < n; i++) {}
+for (const k in obj) {}
+`;
+    const ast = acorn.parse(input, {
+      ecmaVersion: 2022,
       sourceType: 'module'
     });
     let output = '';
@@ -0,0 +1,66 @@
+import { expect } from 'chai';
+
+import { createGlobals, isGlobalProperty } from '../src/globals.mjs';
+
+describe('globals', function () {
+  it('includes the globals of the latest edition by default', function () {
+    const globals = createGlobals([]);
+    expect(globals).to.include.keys('Math', 'JSON', 'Promise', 'BigInt', 'globalThis');
+    expect(globals).to.not.have.property('console');
+  });
+  it('includes only the globals of the given edition', function () {
+    const globals = createGlobals(['es5']);
+    expect(globals).to.include.keys('Math', 'JSON', 'Object');
+    expect(globals).to.not.have.keys('Promise', 'Map', 'BigInt');
+    expect(globals.Math.members).to.not.have.property('trunc');
+    expect(createGlobals(['es2015']).Math.members).to.have.property('trunc');
+  });
+  it('includes the globals of host environments', function () {
+    const node = createGlobals(['es2020', 'node']);
+    expect(node).to.include.keys('console', 'process', 'require', 'Buffer');
+    expect(node).to.not.have.property('window');
+    const browser = createGlobals(['browser']);
+    expect(browser).to.include.keys('console', 'window', 'document', 'Promise');
+    expect(browser).to.not.have.property('process');
+  });
+  it('rejects unknown profiles', function () {
+    expect(() => createGlobals(['es3'])).to.throw(`Unknown global profile 'es3'`);
+    expect(() => createGlobals(['es2021'])).to.throw(`Unknown global profile 'es2021'`);
+    expect(() => createGlobals(['es2009'])).to.throw(`Unknown global profile 'es2009'`);
+  });
+  it('describes constants and functions', function () {
+    const { Math: math, JSON: json, undefined: undef } = createGlobals(['es2020']);
+    expect(math.members.PI).to.eql({
+      name: 'PI',
+      type: 'number',
+      value: Math.PI,
+      constant: true
+    });
+    expect(math.members.max.value).to.equal(Math.max);
+    expect(math.members.random).to.not.have.property('value');
+    expect(json.members.parse.type).to.eql({
+      kind: 'function',
+      params: [{
+        name: 'text',
+        type: 'string'
+      }, {
+        name: 'reviver',
+        type: 'function'
+      }],
+      returns: 'any'
+    });
+    expect(undef).to.include({
+      type: 'undefined',
+      value: undefined
+    });
+  });
+  it('marks globals as properties of the global object', function () {
+    const globals = createGlobals(['node']);
+    expect(isGlobalProperty(globals.JSON)).to.be.true;
+    expect(isGlobalProperty(globals.process)).to.be.true;
+    expect(isGlobalProperty(globals.Math.members.PI)).to.be.false;
+  });
+  it('creates new analyses for each call', function () {
+    expect(createGlobals([]).Math).to.not.equal(createGlobals([]).Math);
+  });
+});
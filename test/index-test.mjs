@@ -1,19 +1,33 @@
 import { expect } from 'chai';
 
-import { analyze, Scope } from '../src/index.mjs';
+import { analyze, registerPureFunction, Scope } from '../src/index.mjs';
+import { formatType } from '../src/types.mjs';
 
 const acorn = require('acorn');
 
+function parse(source, options) {
+  return acorn.parse(source, {
+    ecmaVersion: 2022,
+    ...options
+  });
+}
+
+function parseExpression(source) {
+  return acorn.parseExpressionAt(source, 0, {
+    ecmaVersion: 2022
+  });
+}
+
 describe('analyze', function () {
   it('produces demo results', function () {
-    let expr = acorn.parseExpressionAt(`'1 + 2 * 3 = ' + (1 + 2 * 3)`);
+    let expr = parseExpression(`'1 + 2 * 3 = ' + (1 + 2 * 3)`);
     let analysis = analyze(expr);
     expect(analysis).to.eql({
       "type": "string",
       "value": "1 + 2 * 3 = 7"
     });
 
-    expr = acorn.parseExpressionAt(`obj && obj.nested && obj.nested.prop`);
+    expr = parseExpression(`obj && obj.nested && obj.nested.prop`);
     let scope = new Scope();
     analysis = analyze(expr, scope);
     expect(scope.members).to.eql({
@@ -35,19 +49,19 @@ describe('analyze', function () {
     });
   });
   it('evaluates constant expressions', function () {
-    const expr = acorn.parseExpressionAt(`({ a: 1 + 2 * 3 - 'hello'.length })["a"] ^ [1, 2, 3][2] + 'yes'`);
+    const expr = parseExpression(`({ a: 1 + 2 * 3 - 'hello'.length })["a"] ^ [1, 2, 3][2] + 'yes'`);
     const analysis = analyze(expr);
     expect(analysis.type).to.equal('number');
     expect(analysis.value).to.equal(2);
   });
   it('evaluates template literals', function () {
-    const expr = acorn.parseExpressionAt('`a${1 + 2}b${"c" || "d"}${null && "e"}f${1 ? 2 : 3}`');
+    const expr = parseExpression('`a${1 + 2}b${"c" || "d"}${null && "e"}f${1 ? 2 : 3}`');
     const analysis = analyze(expr);
     expect(analysis.type).to.equal('string');
     expect(analysis.value).to.equal('a3bcnullf2');
   });
   it('adds names to scope', function () {
-    const expr = acorn.parseExpressionAt("it.stuff && `${it.stuff.things.join()}` || 'nothing'");
+    const expr = parseExpression("it.stuff && `${it.stuff.things.join()}` || 'nothing'");
     const scope = new Scope();
     analyze(expr, scope);
     expect(scope.resolve('it')).to.have.property('type', 'object');
@@ -56,34 +70,40 @@ describe('analyze', function () {
     expect(scope.resolve('it.stuff.things.join')).to.not.be.null;
   });
   it('returns union type for array expression element type', function () {
-    const expr = acorn.parseExpressionAt('[1, "b", true]');
+    const expr = parseExpression('[1, "b", true]');
     const analysis = analyze(expr);
     expect(analysis.type.kind).to.equal('array');
     expect(analysis.type.elements).to.have.members(['number', 'string', 'boolean']);
     expect(analysis.value).to.eql([1, 'b', true]);
   });
   it('short circuits ||', function () {
-    const expr = acorn.parseExpressionAt('(x => 42) || []');
+    const expr = parseExpression('(x => 42) || []');
     const analysis = analyze(expr);
-    expect(analysis.type).to.equal('function');
+    expect(analysis.type).to.eql({
+      kind: 'function',
+      params: [{
+        name: 'x'
+      }],
+      returns: 'number'
+    });
   });
   it('short circuits &&', function () {
-    const expr = acorn.parseExpressionAt('null && x');
+    const expr = parseExpression('null && x');
     const analysis = analyze(expr);
     expect(analysis.type).to.equal('null');
   });
   it('returns union type for logical expression', function () {
-    const expr = acorn.parseExpressionAt('!x || []');
+    const expr = parseExpression('!x || []');
     const analysis = analyze(expr);
     expect(analysis.type).to.have.members(['array', 'boolean']);
   });
   it('returns union type for conditional expression', function () {
-    const expr = acorn.parseExpressionAt('x > 100 ? x - 100 : "too small"');
+    const expr = parseExpression('x > 100 ? x - 100 : "too small"');
     const analysis = analyze(expr);
     expect(analysis.type).to.have.members(['number', 'string']);
   });
   it('supports array unions', function () {
-    const expr = acorn.parseExpressionAt('x ? [1, 2, null] : [3, "four"]');
+    const expr = parseExpression('x ? [1, 2, null] : [3, "four"]');
     const analysis = analyze(expr);
     expect(analysis.type).to.eql([{
         "kind": "array",
@@ -102,7 +122,7 @@ describe('analyze', function () {
     ]);
   });
   it('supports array destructuring', function () {
-    const expr = acorn.parseExpressionAt('([a, b, c] = [1, 2, 3])');
+    const expr = parseExpression('([a, b, c] = [1, 2, 3])');
     const scope = new Scope();
     const analysis = analyze(expr, scope);
     expect(analysis.type).to.eql({
@@ -113,7 +133,7 @@ describe('analyze', function () {
     expect(scope.members).to.have.keys('a', 'b', 'c');
   });
   it('supports object destructuring', function () {
-    const expr = acorn.parseExpressionAt('({ a, b, c } = { a: 1, b: 2, c: 3 })');
+    const expr = parseExpression('({ a, b, c } = { a: 1, b: 2, c: 3 })');
     const scope = new Scope();
     const analysis = analyze(expr, scope);
     expect(analysis.type).to.equal('object');
@@ -124,4 +144,1054 @@ describe('analyze', function () {
     });
     expect(scope.members).to.have.keys('a', 'b', 'c');
   });
+  it('binds imports in module scope', function () {
+    const ast = parse(`import a, { b as c } from 'm1';
+import * as ns from 'm2';`, {
+      sourceType: 'module'
+    });
+    const scope = new Scope();
+    const analysis = analyze(ast, scope);
+    expect(scope.members).to.be.empty;
+    expect(analysis.imports).to.eql({
+      a: {
+        name: 'a',
+        constant: true,
+        import: {
+          source: 'm1',
+          name: 'default'
+        }
+      },
+      c: {
+        name: 'c',
+        constant: true,
+        import: {
+          source: 'm1',
+          name: 'b'
+        }
+      },
+      ns: {
+        name: 'ns',
+        constant: true,
+        type: 'object',
+        import: {
+          source: 'm2',
+          name: '*'
+        }
+      }
+    });
+  });
+  it('lists module exports with their types', function () {
+    const ast = parse(`export { x as y, f };
+export const x = 'a' + 1, z = [];
+function f() {}
+export class C {}
+export { q } from 'm1';
+export * from 'm2';
+export default x === 'a1';`, {
+      sourceType: 'module'
+    });
+    const analysis = analyze(ast);
+    expect(analysis.exports).to.have.keys('y', 'f', 'x', 'z', 'C', 'q', 'default');
+    expect(analysis.exports.x).to.equal(analysis.exports.y);
+    expect(analysis.exports.x).to.include({
+      type: 'string',
+      value: 'a1'
+    });
+    expect(analysis.exports.f.type).to.eql({
+      kind: 'function',
+      params: [],
+      returns: 'undefined'
+    });
+    expect(analysis.exports.C.type).to.eql({
+      kind: 'function',
+      params: []
+    });
+    expect(analysis.exports.q).to.eql({
+      import: {
+        source: 'm1',
+        name: 'q'
+      }
+    });
+    expect(analysis.exports.default).to.eql({
+      type: 'boolean',
+      value: true
+    });
+    expect(analysis.reexports).to.eql(['m2']);
+  });
+  it('analyzes anonymous default exports', function () {
+    const ast = parse(`export default function () {}`, {
+      sourceType: 'module'
+    });
+    const analysis = analyze(ast);
+    expect(analysis.exports.default).to.have.nested.property('type.kind', 'function');
+  });
+  it('evaluates pure built-in functions', function () {
+    const expr = parseExpression(`'abc'.toUpperCase() + Math.max(1, 2)`);
+    const analysis = analyze(expr);
+    expect(analysis).to.eql({
+      type: 'string',
+      value: 'ABC2'
+    });
+  });
+  it('evaluates pure built-in functions with constant arguments', function () {
+    const expr = parseExpression(`[
+  'x'.padStart(3, '-').slice(1),
+  Number.parseInt('42px'),
+  JSON.stringify({ a: [1, null] }),
+  Object.keys({ a: 1, b: 2 }).join(),
+  [1, 2, 3].map(x => x * 2).join('+'),
+  [1, 2, 3].filter(function (x) { return x % 2; })
+]`);
+    const analysis = analyze(expr);
+    expect(analysis.value).to.eql(['-x', 42, '{"a":[1,null]}', 'a,b', '2+4+6', [1, 3]]);
+    expect(analyze(parseExpression(`'a'.repeat(1e9)`))).to.be.undefined;
+    expect(analyze(parseExpression(`''.padStart(1e9)`))).to.be.undefined;
+  });
+  it('does not evaluate impure or shadowed functions', function () {
+    const ast = parse(`var r = Math.random();
+var m = (function (Math) { return Math.max(1, 2); })({ max: 0 });
+var n = Math.max(1, x);
+var o = [1, 2].map(x => x + y);`);
+    const scope = new Scope();
+    analyze(ast, scope);
+    expect(scope.members.r).to.not.have.property('value');
+    expect(scope.members.m).to.not.have.property('value');
+    expect(scope.members.n).to.not.have.property('value');
+    expect(scope.members.o).to.not.have.property('value');
+  });
+  it('evaluates registered pure functions', function () {
+    registerPureFunction('test.slugify', s => s.toLowerCase().replace(/\W+/g, '-'));
+    const expr = parseExpression(`test.slugify('Hello World')`);
+    const analysis = analyze(expr);
+    expect(analysis.value).to.equal('hello-world');
+  });
+  it('infers function signatures', function () {
+    const ast = parse(`function f(a, b = 1, [c], ...d) {
+  if (a) {
+    return 'a';
+  }
+  return b > 0 ? 'b' : null;
+}
+const g = function () {
+  if (x) {
+    return 1;
+  }
+};
+const h = async () => 42;
+const i = () => {
+  throw new Error();
+};`);
+    const scope = new Scope();
+    analyze(ast, scope);
+    expect(formatType(scope.members.f.type)).to.equal('function(a, b: number, :array, d: array): (string | null)');
+    expect(formatType(scope.members.g.type)).to.equal('function(): (number | undefined)');
+    expect(formatType(scope.members.h.type)).to.equal('function(): Promise<number>');
+    expect(formatType(scope.members.i.type)).to.equal('function()');
+  });
+  it('returns the return type of calls', function () {
+    const ast = parse(`function f(x) {
+  return 'x' + x;
+}
+var s = f(y);`);
+    const scope = new Scope();
+    analyze(ast, scope);
+    expect(scope.members.s).to.include({
+      type: 'string'
+    });
+  });
+  it('evaluates calls to user-defined functions', function () {
+    const ast = parse(`function sq(x) { return x * x }
+function fact(n) {
+  if (n <= 1) {
+    return 1;
+  }
+  return n * fact(n - 1);
+}
+const h = (a, b = 2, ...c) => a + b + c.length;
+var r1 = sq(4);
+var r2 = fact(5);
+var r3 = h(1);
+var r4 = h(1, 1, 1, 1);
+var r5 = (function () { return sq(3) > 5 ? 'big' : 'small'; })();`);
+    const scope = new Scope();
+    analyze(ast, scope);
+    expect(scope.members.r1).to.include({
+      type: 'number',
+      value: 16
+    });
+    expect(scope.members.r2.value).to.equal(120);
+    expect(scope.members.r3.value).to.equal(3);
+    expect(scope.members.r4.value).to.equal(4);
+    expect(scope.members.r5.value).to.equal('big');
+  });
+  it('does not evaluate calls with unknown results', function () {
+    const ast = parse(`function f(x) {
+  let y = 1;
+  while (y < x) {
+    y *= 2;
+  }
+  return y;
+}
+function g(x) {
+  if (x > z) {
+    return 1;
+  }
+  return 2;
+}
+function h(x) {
+  throw new Error(x);
+}
+var r1 = f(5);
+var r2 = g(1);
+var r3 = h(1);
+var r4 = g(z);`);
+    const scope = new Scope();
+    analyze(ast, scope);
+    expect(scope.members.r1).to.not.have.property('value');
+    expect(scope.members.r2).to.not.have.property('value');
+    expect(scope.members.r2).to.have.property('type', 'number');
+    expect(scope.members.r3).to.not.have.property('value');
+    expect(scope.members.r4).to.not.have.property('value');
+  });
+  it('limits evaluation of calls', function () {
+    const ast = parse(`function loop(n) { return loop(n + 1); }
+function fib(n) { return n < 2 ? n : fib(n - 1) + fib(n - 2); }
+var r1 = loop(0);
+var r2 = fib(10);
+var r3 = fib(25);`);
+    const scope = new Scope();
+    analyze(ast, scope, {
+      maxCallDepth: 30,
+      maxCallSteps: 5000
+    });
+    expect(scope.members.r1).to.not.have.property('value');
+    expect(scope.members.r2.value).to.equal(55);
+    expect(scope.members.r3).to.not.have.property('value');
+  });
+  it('tracks reassigned variables', function () {
+    const ast = parse(`let x = 1;
+x = 'a';
+var r1 = x + 1;
+let n = 1;
+n += 2;
+n++;
+var r2 = n--;
+var r3 = n;
+const o = { a: 1 };
+o.a = 2;
+var r4 = o.a;`);
+    const scope = new Scope();
+    analyze(ast, scope);
+    expect(scope.members.r1).to.eql({ name: 'r1', type: 'string', value: 'a1' });
+    expect(scope.members.r2.value).to.equal(4);
+    expect(scope.members.r3.value).to.equal(3);
+    expect(scope.members.r4.value).to.equal(2);
+    expect(scope.members.o).to.not.have.property('value');
+  });
+  it('joins variables assigned on alternative paths', function () {
+    const ast = parse(`let x = 1, y = 1, z;
+if (c) {
+  x = 'a';
+  y = 2;
+} else {
+  y = 2;
+  z = 3;
+}
+let w = 1;
+if (c) {
+  w = 'a';
+  throw w;
+}
+let v = 1;
+if (false) {
+  v = 2;
+}
+let u = 1;
+c ? u = null : 0;`);
+    const scope = new Scope();
+    analyze(ast, scope);
+    const { x, y, z, w, v, u } = scope.members;
+    expect(x.type).to.eql(['string', 'number']);
+    expect(x).to.not.have.property('value');
+    expect(y).to.include({ type: 'number', value: 2 });
+    expect(z.type).to.eql(['undefined', 'number']);
+    expect(w).to.include({ type: 'number', value: 1 });
+    expect(v).to.include({ type: 'number', value: 1 });
+    expect(u.type).to.eql(['null', 'number']);
+  });
+  it('widens variables assigned in loops and closures', function () {
+    const ast = parse(`let i = 0, j = 0;
+while (c) {
+  i++;
+}
+let n = 0;
+const inc = () => { n += 1; };
+var r1 = n;
+n = 5;
+inc();
+var r2 = n;
+unknown();
+var r3 = n;`);
+    const scope = new Scope();
+    analyze(ast, scope);
+    const { i, j, r1, r2, r3 } = scope.members;
+    expect(i).to.not.have.property('value');
+    expect(j.value).to.equal(0);
+    expect(r1).to.not.have.property('value');
+    expect(r2.value).to.equal(6);
+    expect(r3).to.not.have.property('value');
+  });
+  it('narrows types in guarded branches', function () {
+    const ast = parse(`let x = c ? 'a' : null;
+var r1 = x != null ? x : 1;
+var r2 = x || 2;
+var r3 = typeof x === 'string' ? x : false;
+function f(a) {
+  if (typeof a === 'number') {
+    return a;
+  }
+  return Array.isArray(a) ? a : a instanceof Foo ? a : 'none';
+}
+if (x === null) {
+  throw new Error();
+}
+var r4 = x;`);
+    const scope = new Scope();
+    analyze(ast, scope);
+    const { r1, r2, r3, r4, f } = scope.members;
+    expect(r1.type).to.eql(['string', 'number']);
+    expect(r2.type).to.eql(['string', 'number']);
+    expect(r3.type).to.eql(['string', 'boolean']);
+    expect(r4.type).to.equal('string');
+    expect(formatType(f.type)).to.equal('function(a): (number | object | string)');
+  });
+  it('reports unreachable code', function () {
+    const ast = parse(`const debug = false;
+if (debug) {
+  log();
+}
+var x = debug ? 1 : 2;
+function f() {
+  return 1;
+  f();
+  function g() {}
+}
+while (true) {
+  break;
+  x++;
+}
+do {
+  x--;
+} while (0);`, { locations: true });
+    const diagnostics = [];
+    analyze(ast, new Scope(), {
+      onDiagnostic: d => diagnostics.push(d)
+    });
+    expect(diagnostics.map(d => [d.code, d.severity, d.message, d.loc.start.line])).to.eql([
+      ['unreachable-branch', 'warning', 'Unreachable branch: condition is always false', 2],
+      ['unreachable-branch', 'warning', 'Unreachable branch: condition is always false', 5],
+      ['unreachable-code', 'warning', 'Unreachable code', 8],
+      ['constant-condition', 'warning', 'Condition is always true', 11],
+      ['unreachable-code', 'warning', 'Unreachable code', 13],
+      ['constant-condition', 'warning', 'Condition is always false', 17]
+    ]);
+    expect(diagnostics[0].node).to.equal(ast.body[1].consequent);
+  });
+  it('reports unsupported syntax and duplicate declarations', function () {
+    const ast = parse(`var a = 1;
+var a;
+let b = 2;
+var c = unknown + 1;
+with (Math) {
+  a = max(1, 2);
+}
+var d = a;`, { locations: true });
+    // simulate syntax unknown to the analyzer
+    ast.body[3].declarations[0].init.left.type = 'UnknownExpression';
+    // the parser rejects duplicate lexical declarations
+    ast.body.push(ast.body[2]);
+    const diagnostics = [];
+    const scope = new Scope();
+    analyze(ast, scope, {
+      onDiagnostic: d => diagnostics.push(d)
+    });
+    expect(diagnostics.map(d => [d.code, d.severity, d.message, d.loc.start.line])).to.eql([
+      ['unsupported-syntax', 'error', 'Unhandled AST node type \'UnknownExpression\'', 4],
+      ['unsupported-syntax', 'error', '\'with\' statement not supported', 5],
+      ['duplicate-declaration', 'error', '\'b\' already defined', 3]
+    ]);
+    expect(scope.members.c).to.eql({ name: 'c' });
+    expect(scope.members.d).to.eql({ name: 'd' });
+    expect(() => analyze(ast)).to.throw('Unhandled AST node type \'UnknownExpression\'');
+  });
+  it('evaluates optional chains and nullish coalescing', function () {
+    const ast = parse(`const o = { a: { b: 1 } }, n = null;
+var r1 = o?.a?.b;
+var r2 = n?.a.b;
+var r3 = n?.();
+var r4 = n ?? 'd';
+var r5 = 0 ?? 'd';
+let x, y = 0, z = 1;
+x ??= 2;
+y ||= 3;
+z &&= 4;
+function g(a) {
+  return typeof a === 'string' ? a ?? 0 : 1;
+}`);
+    const scope = new Scope();
+    analyze(ast, scope);
+    const { r1, r2, r3, r4, r5, x, y, z, g } = scope.members;
+    expect(r1.value).to.equal(1);
+    expect(r2).to.include({ type: 'undefined', value: undefined });
+    expect(r3).to.include({ type: 'undefined', value: undefined });
+    expect(r4.value).to.equal('d');
+    expect(r5.value).to.equal(0);
+    expect(x.value).to.equal(2);
+    expect(y.value).to.equal(3);
+    expect(z.value).to.equal(4);
+    expect(g.type.returns).to.eql(['string', 'number']);
+  });
+  it('evaluates bigint expressions', function () {
+    const ast = parse(`var a = 2n ** 64n;
+var b = -a;
+let c = 1n;
+c++;
+var d = typeof c;
+var e = 1n + 1;`);
+    const scope = new Scope();
+    analyze(ast, scope);
+    const { a, b, c, d, e } = scope.members;
+    expect(a).to.include({ type: 'bigint', value: BigInt('18446744073709551616') });
+    expect(b).to.include({ type: 'bigint', value: -BigInt('18446744073709551616') });
+    expect(c).to.include({ type: 'bigint', value: BigInt(2) });
+    expect(d.value).to.equal('bigint');
+    expect(e.type).to.equal('bigint');
+    expect(e).to.not.have.property('value');
+  });
+  it('analyzes class fields, private members, and static blocks', function () {
+    const ast = parse(`class C {
+  #count = 0;
+  static limit = max(1, 2);
+  static {
+    var local = 1;
+  }
+  inc() {
+    return ++this.#count;
+  }
+  has(o) {
+    return #count in o;
+  }
+}`);
+    const scope = new Scope();
+    analyze(ast, scope);
+    expect(scope.members).to.have.keys('C', 'max');
+    expect(scope.members.C.instance.members).to.have.keys('#count', 'inc', 'has');
+  });
+  it('analyzes dynamic imports and import.meta', function () {
+    const ast = parse(`export const m = await import('./m.js');
+export const p = import('./m.js');
+export const url = import.meta.url;`, { sourceType: 'module' });
+    const diagnostics = [];
+    const analysis = analyze(ast, new Scope(), {
+      onDiagnostic: d => diagnostics.push(d)
+    });
+    expect(analysis.exports.m.type).to.equal('object');
+    expect(formatType(analysis.exports.p.type)).to.equal('Promise<object>');
+    expect(analysis.exports.url).to.include({ name: 'url', constant: true });
+    expect(diagnostics).to.be.empty;
+  });
+  it('analyzes classes into constructor, prototype, and instance members', function () {
+    const ast = parse(`class Shape {
+  sides = 0;
+  constructor(name) {
+    this.name = name;
+    this.kind = 'shape';
+    this.scale = 1;
+  }
+  grow() {
+    this.scale *= 2;
+  }
+  get area() {
+    return 0;
+  }
+  static create(name) {
+    return new Shape(name);
+  }
+  static count = 1;
+}
+class Square extends Shape {
+  sides = 4;
+  describe() {
+    return 'square';
+  }
+}
+const square = new Square('s');
+var r1 = square.kind, r2 = square.sides, r3 = square.area, r4 = square.scale, r5 = Square.count;`);
+    const scope = new Scope();
+    analyze(ast, scope);
+    const { Shape, Square, r1, r2, r3, r4, r5 } = scope.members;
+    expect(Shape.type).to.eql({
+      kind: 'function',
+      params: [{ name: 'name' }]
+    });
+    expect(Shape.members).to.have.keys('prototype', 'create', 'count');
+    expect(Shape.members.prototype.members).to.have.keys('grow', 'area');
+    expect(Shape.members.prototype.members.area).to.include({ type: 'number' });
+    expect(Shape.members.create.type.returns).to.equal('object');
+    expect(Shape.instance.members).to.have.keys('sides', 'name', 'kind', 'scale', 'grow', 'area');
+    expect(Square.superClass).to.equal(Shape);
+    expect(Square.type).to.equal(Shape.type);
+    expect(Square.instance.members).to.have.keys('sides', 'name', 'kind', 'scale', 'grow', 'area', 'describe');
+    expect(r1.value).to.equal('shape');
+    expect(r2.value).to.equal(4);
+    expect(r3.type).to.equal('number');
+    expect(r4).to.not.have.property('value');
+    expect(r5.value).to.equal(1);
+  });
+  it('produces literal union types for choices between constants', function () {
+    const ast = parse(`var method = c ? 'GET' : 'POST';
+var level = c ? 1 : d ? 2 : 3;
+var mixed = c ? 'a' : x;
+var url = method + '/';
+var flag = c ? 'on' : '';
+var state = flag ? flag : 'off';`);
+    const scope = new Scope();
+    analyze(ast, scope);
+    const { method, level, mixed, url, state } = scope.members;
+    expect(formatType(method.type)).to.equal(`'GET' | 'POST'`);
+    expect(formatType(level.type)).to.equal('1 | 2 | 3');
+    expect(mixed).to.not.have.property('type');
+    expect(url.type).to.equal('string');
+    expect(formatType(state.type)).to.equal(`'on' | 'off'`);
+  });
+  it('produces tuple types for array literals when configured', function () {
+    const ast = parse(`const pair = [1, 'a'];
+const [n, s, extra] = pair;
+let x, y;
+[x, y] = [true, null];`);
+    const scope = new Scope();
+    analyze(ast, scope, {
+      tuples: true
+    });
+    const { pair, n, s, extra, x, y } = scope.members;
+    expect(formatType(pair.type)).to.equal('[number, string]');
+    expect(pair.value).to.eql([1, 'a']);
+    expect(n.type).to.equal('number');
+    expect(s.type).to.equal('string');
+    expect(extra.type).to.equal('undefined');
+    expect(x.type).to.equal('boolean');
+    expect(y.type).to.equal('null');
+    const other = new Scope();
+    analyze(parse('var pair = [1, "a"];'), other);
+    expect(formatType(other.members.pair.type)).to.equal('(number | string)[]');
+  });
+  it('propagates destructured values and types', function () {
+    const ast = parse(`const { a, b: { c }, d = 2, e = 3, ...rest } = { a: 1, b: { c: 'x' }, e: void 0, f: 4, g: unknown };
+const [p, , q = 'q', ...others] = [1, 2, void 0, 4, 5];
+const [ch] = 'hey';
+const s = cond ? 'a' : null;
+const { t = 1 } = { t: cond ? 'a' : void 0 };
+let u, v;
+({ u, v = s } = { u: 'u' });`);
+    const scope = new Scope();
+    analyze(ast, scope);
+    const { a, c, d, e, rest, p, q, others, ch, t, u, v } = scope.members;
+    expect(a).to.include({ constant: true, type: 'number', value: 1 });
+    expect(c).to.include({ type: 'string', value: 'x' });
+    expect(d).to.not.have.property('type');
+    expect(e).to.include({ type: 'number', value: 3 });
+    expect(rest.type).to.equal('object');
+    expect(rest.members).to.have.keys('f', 'g');
+    expect(rest.members.f.value).to.equal(4);
+    expect(p.value).to.equal(1);
+    expect(q.value).to.equal('q');
+    expect(others.value).to.eql([4, 5]);
+    expect(others.type).to.eql({ kind: 'array', elements: 'number' });
+    expect(ch.value).to.equal('h');
+    expect(t.type).to.eql(['string', 'number']);
+    expect(u.value).to.equal('u');
+    expect(v.type).to.eql(['string', 'null']);
+  });
+  it('analyzes object literals with spread and computed properties', function () {
+    const ast = parse(`const key = 'k';
+const o1 = { [key]: 1, ...{ j: 2 } };
+const o2 = { a: unknown, [key + 2]: 'v', ...o1 };
+const o3 = { a: 1, ...unknown };`);
+    const scope = new Scope();
+    analyze(ast, scope);
+    const { o1, o2, o3 } = scope.members;
+    expect(o1.value).to.eql({ k: 1, j: 2 });
+    expect(o2.members).to.have.keys('a', 'k2', 'k', 'j');
+    expect(o2.members.k2.value).to.equal('v');
+    expect(o3.members).to.eql({});
+  });
+  it('returns promises from async functions', function () {
+    const ast = parse(`async function f() {
+  return 1;
+}
+const g = async () => f();
+async function h(x) {
+  const a = await g();
+  const b = await 'b';
+  return x ? a : b;
+}`);
+    const scope = new Scope();
+    analyze(ast, scope);
+    expect(formatType(scope.members.f.type)).to.equal('function(): Promise<number>');
+    expect(formatType(scope.members.g.type)).to.equal('function(): Promise<number>');
+    expect(formatType(scope.members.h.type)).to.equal('function(x): Promise<number | string>');
+  });
+  it('analyzes built-in globals', function () {
+    const ast = parse(`const a = Math.max(1, Math.PI);
+const b = JSON.stringify(x);
+const c = Math.random();
+const d = new Map();
+const e = undefined;
+const f = Object.keys(x);
+const g = process.cwd();`);
+    const scope = Scope.withGlobals('es2020', 'node');
+    analyze(ast, scope);
+    const { a, b, c, d, e, f, g } = scope.members;
+    expect(a.value).to.equal(Math.PI);
+    expect(b.type).to.eql(['string', 'undefined']);
+    expect(c.type).to.equal('number');
+    expect(formatType(d.type)).to.equal('Map');
+    expect(e).to.include({
+      type: 'undefined',
+      value: undefined
+    });
+    expect(formatType(f.type)).to.equal('string[]');
+    expect(g.type).to.equal('string');
+  });
+  it('reads declared types from JSDoc comments', function () {
+    const comments = [];
+    const ast = parse(`/**
+ * @typedef {Object} Point
+ * @property {number} x
+ * @property {number} [y]
+ */
+/**
+ * @param {number} a
+ * @param {number} [b]
+ * @param {...string} rest
+ * @returns {string}
+ */
+function f(a, b = 1, ...rest) {
+  var sum = a + b;
+  return sum;
+}
+/** @type {Point} */
+const p = { x: 1 };
+/** @type {Point} */
+const q = { y: 'y' };
+/** @type {?number} */
+let n = null;
+n = unknown();
+n = 'n';
+/** @type {function(string): number} */
+const g = s => s.length;
+class C {
+  /** @type {boolean} */
+  flag = 0;
+}`, { locations: true, onComment: comments });
+    const diagnostics = [];
+    const scope = new Scope();
+    analyze(ast, scope, {
+      comments,
+      onDiagnostic: d => diagnostics.push(d)
+    });
+    const { f, p, n, g } = scope.members;
+    expect(formatType(f.type)).to.equal('function(a: number, b: number | undefined, rest: string[]): string');
+    expect(p.declaredType).to.eql({
+      kind: 'object',
+      properties: {
+        x: 'number',
+        y: 'number'
+      },
+      optional: ['y']
+    });
+    expect(n.declaredType).to.eql(['number', 'null']);
+    expect(formatType(g.type)).to.equal('function(s: string): number');
+    expect(diagnostics.map(d => [d.code, d.message, d.loc.start.line])).to.eql([
+      ['type-mismatch', 'Return type \'number\' is not assignable to declared type \'string\'', 12],
+      ['type-mismatch', 'Type \'{ y: \'y\' }\' is not assignable to declared type \'{ x: number, y?: number }\'', 19],
+      ['type-mismatch', 'Type \'n\' is not assignable to declared type \'number | null\'', 23],
+      ['type-mismatch', 'Type \'0\' is not assignable to declared type \'boolean\'', 28]
+    ]);
+  });
+  it('uses declared types when inferred types are unknown', function () {
+    const comments = [];
+    const ast = parse(`/** @param {string} s */
+function f(s) {
+  var t = s;
+  return t;
+}
+/** @type {number} */
+var x = unknown;
+unknown2();
+var y = x;`, { onComment: comments });
+    const scope = new Scope();
+    analyze(ast, scope, {
+      comments
+    });
+    expect(scope.members.f.type.returns).to.equal('string');
+    expect(scope.members.y.type).to.equal('number');
+  });
+  it('tracks number ranges through arithmetic, guards, and loops', function () {
+    const ast = parse(`let i = 0;
+while (c) {
+  i++;
+}
+var r1 = i;
+var r2 = -i * 2;
+var r3 = i >= 0;
+let total = 0;
+for (let j = 0; j < 10; j++) {
+  total += j / 2;
+}
+var r5 = total;
+var x = c ? 2 : 4;
+var r6 = x < 3 ? x : 0;`);
+    const scope = new Scope();
+    analyze(ast, scope);
+    const { r1, r2, r3, r5, r6 } = scope.members;
+    expect(r1).to.eql({
+      name: 'r1',
+      type: 'number',
+      range: { min: 0, max: Infinity, integer: true }
+    });
+    expect(r2.range).to.eql({ min: -Infinity, max: 0, integer: true });
+    expect(r3.value).to.equal(true);
+    expect(r5.range).to.eql({ min: 0, max: Infinity });
+    expect(r6.range).to.eql({ min: 0, max: 2, integer: true });
+    expect(scope.members.i).to.not.have.property('value');
+  });
+  it('tracks string prefixes and lengths', function () {
+    const ast = parse(`var s = \`id-\${n}\`;
+var r1 = s + '!';
+var r2 = s === 'user-1';
+var r3 = r1.length;
+var r4 = c ? 'item-1' : s;`);
+    const scope = new Scope();
+    analyze(ast, scope);
+    const { s, r1, r2, r3, r4 } = scope.members;
+    expect(s.prefix).to.equal('id-');
+    expect(s.lengthRange).to.eql({ min: 3, max: Infinity, integer: true });
+    expect(r1.prefix).to.equal('id-');
+    expect(r2.value).to.equal(false);
+    expect(r3.range).to.eql({ min: 4, max: Infinity, integer: true });
+    expect(r4.prefix).to.equal('i');
+  });
+  it('reports possible division by zero and indexes out of range', function () {
+    const ast = parse(`const a = [1, 2, 3];
+let n = 10;
+let total = 0;
+while (n > 0) {
+  total += 100 / n;
+  n--;
+}
+var x = total / n;
+var y = 1 % 0;
+for (let i = 0; i < a.length; i++) {
+  total += a[i];
+}
+for (let i = 0; i <= a.length; i++) {
+  total += a[i];
+}
+var z = a[-1] + 'abc'[3];
+function f(d) {
+  return a[d] / d;
+}
+const d = c ? 1 : 3;
+var q = [10 / (d - 2), 10 / (d - 1)];`, { locations: true });
+    const diagnostics = [];
+    analyze(ast, new Scope(), {
+      onDiagnostic: d => diagnostics.push(d)
+    });
+    expect(diagnostics.map(d => [d.code, d.message, d.loc.start.line])).to.eql([
+      ['division-by-zero', 'Division by zero', 8],
+      ['division-by-zero', 'Division by zero', 9],
+      ['index-out-of-range', 'Index [0, 3] may be out of range for length 3', 14],
+      ['index-out-of-range', 'Index -1 is out of range for length 3', 16],
+      ['index-out-of-range', 'Index 3 is out of range for length 3', 16],
+      ['division-by-zero', 'Possible division by zero: divisor is in {0, 2}', 21]
+    ]);
+  });
+  it('analyzes loops until the states of assigned variables are stable', function () {
+    const ast = parse(`let x = null;
+let y = 0;
+let nested = [];
+let s = 'id';
+while (c) {
+  x = y;
+  y = 'a';
+  nested = [nested];
+  s += '-';
+}
+var r1 = x, r2 = y, r3 = nested, r4 = s;`);
+    const scope = new Scope();
+    analyze(ast, scope);
+    const { r1, r2, r3, r4 } = scope.members;
+    expect(formatType(r1.type)).to.equal('null | number | string');
+    expect(formatType(r2.type)).to.equal('number | string');
+    expect(r3).to.not.have.property('type');
+    expect(r4).to.eql({
+      name: 'r4',
+      type: 'string',
+      prefix: 'id',
+      lengthRange: { min: 2, max: Infinity, integer: true }
+    });
+  });
+  it('assigns the keys and values iterated by for-in and for-of loops', function () {
+    const comments = [];
+    const ast = parse(`let key, char, elem, count = 0;
+for (const k in o) {
+  key = k;
+}
+for (const ch of 'abc') {
+  char = ch;
+}
+for (elem of [1, 2, 3]) {
+  count += elem;
+}
+/**
+ * @param {Set<string>} set
+ * @param {Map<string, number>} map
+ */
+function f(set, map) {
+  let a, b;
+  for (const v of set) {
+    a = v;
+  }
+  for (const [, mv] of map) {
+    b = mv;
+  }
+  return [a, b];
+}`, { onComment: comments });
+    const scope = new Scope();
+    analyze(ast, scope, {
+      comments
+    });
+    const { key, char, elem, count, f } = scope.members;
+    expect(key.type).to.eql(['undefined', 'string']);
+    expect(formatType(char.type)).to.equal('undefined | \'a\' | \'b\' | \'c\'');
+    expect(formatType(elem.type)).to.equal('undefined | 1 | 2 | 3');
+    expect(count.range).to.eql({ min: 0, max: Infinity, integer: true });
+    expect(formatType(f.type.returns)).to.equal('(undefined | string | number)[]');
+  });
+  it('reads inline parameter types from JSDoc comments', function () {
+    const comments = [];
+    const ast = parse(`function f(/** number */ a, /** {b?: number} */ o) {
+  return [a, o];
+}`, { onComment: comments });
+    const scope = new Scope();
+    analyze(ast, scope, { comments });
+    expect(formatType(scope.members.f.type)).to.equal('function(a: number, o: { b?: number }): (number | { b?: number })[]');
+  });
+  it('allows redeclaring built-in globals and does not assign constants', function () {
+    const ast = parse(`var JSON;
+let Map = 1;
+var undefined;
+Math.PI = 4;
+NaN = 1;
+var a = Math.PI, b = JSON.stringify(x), c = NaN, d = undefined;`);
+    const diagnostics = [];
+    const scope = Scope.withGlobals('es2020');
+    analyze(ast, scope, {
+      onDiagnostic: d => diagnostics.push(d)
+    });
+    const { a, b, c, d, Map: map } = scope.members;
+    expect(a.value).to.equal(Math.PI);
+    expect(b.type).to.eql(['string', 'undefined']);
+    expect(c.value).to.be.NaN;
+    expect(d).to.include({
+      type: 'undefined',
+      value: undefined
+    });
+    expect(map).to.eql({
+      name: 'Map',
+      type: 'number',
+      value: 1
+    });
+    expect(diagnostics).to.eql([]);
+  });
+  it('joins the states at break and continue statements', function () {
+    const ast = parse(`var a = 0;
+switch (d) { default: if (c) break; a = 1; }
+var b = 0;
+lbl: { if (c) break lbl; b = 'b'; }
+var s = 0;
+switch (d) { case 1: s = 'a'; case 2: s = true; break; case 3: s = null; }
+var f = 0;
+switch (d) { case 1: f = 'a'; break; default: f = true; }
+var x = 0, y = 0;
+while (c) { if (d) { x = 'a'; break; } if (e) { y = 'b'; continue; } y = null; }
+var z = 0;
+outer: for (;;) { while (c) { if (d) { z = 'a'; break outer; } } z = 1; }`);
+    const scope = new Scope();
+    analyze(ast, scope);
+    const { a, b, s, f, x, y, z } = scope.members;
+    expect(a).to.eql({ name: 'a', type: 'number', range: { min: 0, max: 1, integer: true } });
+    expect(b.type).to.eql(['number', 'string']);
+    expect(formatType(s.type)).to.equal('boolean | null | number');
+    expect(formatType(f.type)).to.equal('string | boolean');
+    expect(formatType(x.type)).to.equal('string | number');
+    expect(formatType(y.type)).to.equal('number | string | null');
+    expect(formatType(z.type)).to.equal('string | number');
+  });
+  it('assumes loop tests are false when loops exit', function () {
+    const ast = parse(`var x;
+do { x = 1; } while (c);
+var y = 0;
+do { y = 'a'; } while (false);
+const a = [1, 2, 3];
+for (var i = 0; i < a.length; i++) {}
+var j = 0;
+do { j++; } while (j < 5);
+var z = 0;
+while (true) { if (c) { z = 'a'; break; } }`);
+    const scope = new Scope();
+    analyze(ast, scope);
+    const { x, y, i, j, z } = scope.members;
+    expect(x).to.include({ type: 'number', value: 1 });
+    expect(y).to.include({ type: 'string', value: 'a' });
+    expect(i.range).to.eql({ min: 3, max: 3, integer: true });
+    expect(j.range).to.eql({ min: 5, max: 5, integer: true });
+    expect(z).to.include({ type: 'string', value: 'a' });
+  });
+  it('drops the member values of objects passed to unknown calls', function () {
+    const ast = parse(`var o = { x: 0, n: { y: 'a' } };
+g(o);
+var r = o.x;
+var s = o.n.y;
+var p = { x: 1 };
+p.y = 2;
+g(p);
+var t = p.y;`);
+    const scope = new Scope();
+    analyze(ast, scope);
+    const { r, s, t } = scope.members;
+    expect(r).to.eql({ name: 'r', type: 'number' });
+    expect(s).to.eql({ name: 's' });
+    expect(t).to.eql({ name: 't', type: 'number' });
+  });
+  it('drops the member values of objects passed to evaluated calls', function () {
+    const ast = parse(`function f(o) { o.x = 1; }
+var o = { x: 0 };
+f(o);
+var r = o.x;`);
+    const scope = new Scope();
+    analyze(ast, scope);
+    expect(scope.members.r).to.eql({ name: 'r', type: 'number' });
+  });
+  it('analyzes deeply nested loops in bounded time', function () {
+    // each loop would otherwise be analyzed again for each pass of the loops
+    // that enclose it
+    this.timeout(2000);
+    let source = 'var n = 0;\n';
+    for (let i = 0; i < 12; i++) {
+      source += `for (let i${i} = 0; i${i} < 10; i${i}++) [1, 2].forEach(x => {\n`;
+    }
+    source += 'n++;\n' + '});\n'.repeat(12);
+    const scope = new Scope();
+    analyze(parse(source), scope);
+    expect(scope.members.n).to.eql({ name: 'n' });
+
+    source = 'var n = 0;\n';
+    for (let i = 0; i < 12; i++) {
+      source += `for (let i${i} = 0; i${i} < 10; i${i}++) {\n`;
+    }
+    source += 'n++;\n' + '}\n'.repeat(12);
+    const scope2 = new Scope();
+    analyze(parse(source), scope2);
+    expect(scope2.members.n.range).to.eql({ min: 0, max: Infinity, integer: true });
+  });
+  it('declares hoisted names before the statements that refer to them', function () {
+    const scripts = [
+      'function a() { return b(); } function b() { return 1; } var r = a();',
+      'function a() { return x; } let x = 1;',
+      'x = 1; var x; var r = x;',
+      'var r = f(); if (c) { var y = 2; } function f() { return 1; }',
+      '{ g(); function g() {} let z = 1; }'
+    ];
+    for (const source of scripts) {
+      const scope = new Scope();
+      analyze(parse(source), scope);
+      if (scope.members.r) {
+        expect(scope.members.r).to.include({ type: 'number', value: 1 });
+      }
+    }
+    const scope = new Scope();
+    analyze(parse('u = 1;'), scope);
+    analyze(parse('var u; let v = u;'), scope);
+    expect(scope.members.v).to.include({ type: 'number', value: 1 });
+  });
+  it('hoists declarations in modules', function () {
+    const ast = parse(`export const x = f();
+export const y = g();
+function f() { return 1; }
+export function g() { return h(); }
+function h() { return 2; }`, {
+      sourceType: 'module'
+    });
+    const analysis = analyze(ast);
+    expect(analysis.exports.x).to.include({ type: 'number', value: 1 });
+    expect(analysis.exports.y).to.include({ type: 'number', value: 2 });
+  });
+  it('checks arguments and optional types declared by JSDoc comments', function () {
+    const comments = [];
+    const ast = parse(`/**
+ * @param {number} x
+ * @param {...string} rest
+ */
+function f(x, ...rest) {
+  return x;
+}
+f(1, 'a');
+f('x');
+f(2, 'b', 3);
+f(...[1]);
+/** @type {number=} */
+var o;
+o = undefined;
+o = 's';`, { locations: true, onComment: comments });
+    const diagnostics = [];
+    const scope = new Scope();
+    analyze(ast, scope, {
+      comments,
+      onDiagnostic: d => diagnostics.push(d)
+    });
+    expect(formatType(scope.members.o.declaredType)).to.equal('number | undefined');
+    expect(diagnostics.map(d => [d.code, d.message, d.loc.start.line])).to.eql([
+      ['type-mismatch', 'Type \'x\' is not assignable to declared type \'number\'', 9],
+      ['type-mismatch', 'Type \'3\' is not assignable to declared type \'string\'', 10],
+      ['type-mismatch', 'Type \'s\' is not assignable to declared type \'number | undefined\'', 15]
+    ]);
+  });
+  it('infers the type arguments of sets and maps from constant arguments', function () {
+    const ast = parse(`const s = new Set([1, 2]);
+const m = new Map([['a', 1], ['b', true]]);
+const e = new Set([]);
+let x = 0, y = '', z = 0;
+for (k of new Set([1, 2])) {
+  x = k;
+}
+for (const [key, value] of m) {
+  y = key;
+  z = value;
+}`);
+    const scope = new Scope();
+    analyze(ast, scope);
+    const { s, m, e, x, y, z } = scope.members;
+    expect(formatType(s.type)).to.equal('Set<number>');
+    expect(formatType(m.type)).to.equal('Map<string, number | boolean>');
+    expect(e.type).to.equal('object');
+    expect(x.type).to.equal('number');
+    expect(y.type).to.equal('string');
+    const globalScope = Scope.withGlobals('es2020');
+    analyze(parse('const g = new Set([\'a\']); let h = \'\'; for (const c of g) { h = c; }'), globalScope);
+    expect(formatType(globalScope.members.g.type)).to.equal('Set<string>');
+    expect(formatType(z.type)).to.equal('number | boolean');
+    expect(globalScope.members.h.type).to.equal('string');
+  });
 });
\ No newline at end of file
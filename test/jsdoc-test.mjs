@@ -0,0 +1,124 @@
+import { expect } from 'chai';
+
+import { readJSDoc } from '../src/jsdoc.mjs';
+import { formatType } from '../src/types.mjs';
+
+const acorn = require('acorn');
+
+function readSource(source) {
+  const comments = [];
+  const ast = acorn.parse(source, {
+    ecmaVersion: 2022,
+    onComment: comments
+  });
+  return {
+    ast,
+    docs: readJSDoc(ast, comments)
+  };
+}
+
+// returns the formatted type declared by `@type` for the first statement
+function declaredType(typeExpression, prefix = '') {
+  const { ast, docs } = readSource(`${prefix}/** @type {${typeExpression}} */ x;`);
+  const doc = docs.get(ast.body[ast.body.length - 1]);
+  return doc && formatType(doc.type);
+}
+
+describe('jsdoc', function () {
+  it('maps primitive and built-in type names', function () {
+    expect(declaredType('string')).to.equal('string');
+    expect(declaredType('Number')).to.equal('number');
+    expect(declaredType('*')).to.equal('any');
+    expect(declaredType('?')).to.equal('any');
+    expect(declaredType('Object')).to.equal('object');
+    expect(declaredType('Function')).to.equal('function');
+    expect(declaredType('SomeClass')).to.equal('any');
+  });
+  it('maps nullable types and unions', function () {
+    expect(declaredType('?string')).to.equal('string | null');
+    expect(declaredType('!Object')).to.equal('object');
+    expect(declaredType('(number|string)')).to.equal('number | string');
+    expect(declaredType(`'GET'|'POST'`)).to.equal(`'GET' | 'POST'`);
+  });
+  it('maps arrays, generic types, and records', function () {
+    expect(declaredType('string[]')).to.equal('string[]');
+    expect(declaredType('Array.<number>')).to.equal('number[]');
+    expect(declaredType('Array<?number>')).to.equal('(number | null)[]');
+    expect(declaredType('Promise<string>')).to.equal('Promise<string>');
+    expect(declaredType('Map')).to.equal('Map');
+    expect(declaredType('Object<string, number>')).to.equal('{ [key: string]: number }');
+    expect(declaredType(`{a: number, 'b': string=, c}`)).to.equal('{ a: number, b?: string, c: any }');
+    expect(declaredType('{b?: number}')).to.equal('{ b?: number }');
+  });
+  it('maps function types', function () {
+    expect(declaredType('function(string, number=): boolean')).to.equal('function(:string, :number | undefined): boolean');
+    expect(declaredType('function(this:Object, ...number)')).to.equal('function(:number[])');
+  });
+  it('ignores invalid type expressions', function () {
+    expect(declaredType('Array<')).to.be.undefined;
+    expect(declaredType('a b')).to.be.undefined;
+  });
+  it('resolves type definitions', function () {
+    const typedefs = `/**
+ * @typedef {Object} Point
+ * @property {number} x
+ * @property {number} [y]
+ * @property {Object} [meta]
+ * @property {string} meta.label
+ */
+/**
+ * @callback Compare
+ * @param {Point} a
+ * @param {Point} b
+ * @returns {number}
+ */
+/** @typedef {Point|null} MaybePoint */
+`;
+    expect(declaredType('MaybePoint', typedefs)).to.equal('{ x: number, y?: number, meta?: { label: string } } | null');
+    expect(declaredType('Compare', typedefs)).to.equal(
+      'function(a: { x: number, y?: number, meta?: { label: string } }, b: { x: number, y?: number, meta?: { label: string } }): number');
+  });
+  it('documents functions and their parameters', function () {
+    const { ast, docs } = readSource(`/**
+ * Does things.
+ * @param {string} name the name
+ * @param {Object} [options] the options
+ * @param {boolean} options.quiet whether to be quiet
+ * @param {...number} values the values
+ * @return {void}
+ */
+const f = function (name, options, ...values) {};`);
+    const doc = docs.get(ast.body[0].declarations[0].init);
+    expect(doc).to.equal(docs.get(ast.body[0]));
+    expect(doc.params.map(p => [p.name, formatType(p.type)])).to.eql([
+      ['name', 'string'],
+      ['options', '{ quiet: boolean } | undefined'],
+      ['values', 'number[]']
+    ]);
+    expect(doc.returns).to.equal('void');
+  });
+  it('attaches comments to the following node', function () {
+    const { ast, docs } = readSource(`const o = {
+  /** @type {number} */
+  a: 1,
+  // not JSDoc
+  b: 2
+};
+/** @type {string} */
+/** @type {boolean} */
+let c;`);
+    const props = ast.body[0].declarations[0].init.properties;
+    expect(docs.get(props[0])).to.eql({ type: 'number' });
+    expect(docs.has(props[1])).to.be.false;
+    expect(docs.get(ast.body[1])).to.eql({ type: 'boolean' });
+  });
+  it('documents parameters with inline types', function () {
+    const { ast, docs } = readSource(`/** Does things. */
+function f(/** number */ a, /** string= */ b = 'b', /** not a type */ c) {}`);
+    const params = ast.body[0].params;
+    expect(docs.has(ast.body[0])).to.be.false;
+    expect(docs.get(params[0])).to.eql({ type: 'number' });
+    expect(formatType(docs.get(params[1]).type)).to.equal('string | undefined');
+    expect(docs.has(params[2])).to.be.false;
+  });
+});
@@ -0,0 +1,123 @@
+import { expect } from 'chai';
+
+import { analyzeProject } from '../src/index.mjs';
+
+const acorn = require('acorn');
+const path = require('path');
+
+function analyzeSources(sources, entry = '/main.js', options = {}) {
+  return analyzeProject(entry, {
+    ...options,
+    resolve(specifier, importerId) {
+      return specifier.startsWith('.') ? path.posix.join(path.posix.dirname(importerId), specifier) : null;
+    },
+    load(id) {
+      return sources[id];
+    },
+    parse(source, id) {
+      return acorn.parse(source, {
+        ecmaVersion: 2020,
+        sourceType: 'module',
+        onComment: options.comments && options.comments(id)
+      });
+    }
+  });
+}
+
+describe('analyzeProject', function () {
+  it('folds imported constants', function () {
+    const analysis = analyzeSources({
+      '/main.js': `import { MAX } from './lib/limits.js';
+export const limit = MAX * 2;`,
+      '/lib/limits.js': `export const MAX = 10;`
+    });
+    expect(analysis.modules).to.have.keys('/main.js', '/lib/limits.js');
+    expect(analysis.entry.imports.MAX).to.include({
+      type: 'number',
+      value: 10
+    });
+    expect(analysis.entry.exports.limit).to.include({
+      type: 'number',
+      value: 20
+    });
+  });
+  it('analyzes each module once', function () {
+    let loads = 0;
+    const sources = {
+      '/main.js': `import a from './a.js';
+import b from './b.js';
+export default a + b;`,
+      '/a.js': `import c from './c.js';
+export default c + 'a';`,
+      '/b.js': `import c from './c.js';
+export default c + 'b';`,
+      '/c.js': `export default 'c';`
+    };
+    const analysis = analyzeSources(new Proxy(sources, {
+      get(target, id) {
+        ++loads;
+        return target[id];
+      }
+    }));
+    expect(loads).to.equal(4);
+    expect(analysis.entry.exports.default.value).to.equal('cacb');
+  });
+  it('links re-exports and namespace imports', function () {
+    const analysis = analyzeSources({
+      '/main.js': `import * as all from './all.js';
+export const x = all.one + all.two;`,
+      '/all.js': `export { one } from './one.js';
+export * from './two.js';`,
+      '/one.js': `export const one = 1;`,
+      '/two.js': `export const two = 2, one = 'ignored';
+export default 'ignored';`
+    });
+    expect(analysis.modules['/all.js'].exports).to.have.keys('one', 'two');
+    expect(analysis.entry.exports.x.value).to.equal(3);
+  });
+  it('links namespace re-exports', function () {
+    const analysis = analyzeSources({
+      '/main.js': `import { ns } from './all.js';
+export const x = ns.one + 1;`,
+      '/all.js': `export * as ns from './one.js';`,
+      '/one.js': `export const one = 1;`
+    });
+    expect(analysis.modules['/all.js'].exports.ns.type).to.equal('object');
+    expect(analysis.entry.exports.x.value).to.equal(2);
+  });
+  it('leaves external and cyclic imports unlinked', function () {
+    const analysis = analyzeSources({
+      '/main.js': `import fs from 'fs';
+import { b } from './b.js';
+export const a = 'a';`,
+      '/b.js': `import { a } from './main.js';
+export const b = 'b';`
+    });
+    expect(analysis.entry.imports.fs).to.not.have.property('type');
+    expect(analysis.entry.imports.b.value).to.equal('b');
+    expect(analysis.modules['/b.js'].imports.a).to.not.have.property('value');
+  });
+  it('passes analysis options to each module', function () {
+    const comments = {};
+    const diagnostics = [];
+    const analysis = analyzeSources({
+      '/main.js': `import { n } from './n.js';
+export const pair = [n, 'a'];`,
+      '/n.js': `/** @type {number} */
+export const n = 'one';`
+    }, '/main.js', {
+      tuples: true,
+      comments(id) {
+        return comments[id] || (comments[id] = []);
+      },
+      onDiagnostic(diagnostic) {
+        diagnostics.push(diagnostic);
+      }
+    });
+    expect(analysis.entry.exports.pair.type).to.include({ kind: 'tuple' });
+    expect(diagnostics.map(({ code, id }) => ({ code, id }))).to.eql([{
+      code: 'type-mismatch',
+      id: '/n.js'
+    }]);
+  });
+});
@@ -0,0 +1,32 @@
+import { expect } from 'chai';
+
+import { canEvaluatePure, getPureFunction, isPureFunction, registerPureFunction } from '../src/pure.mjs';
+
+describe('pure', function () {
+  it('registers built-in functions by default', function () {
+    expect(getPureFunction('Math.max')).to.equal(Math.max);
+    expect(isPureFunction(String.prototype.slice)).to.be.true;
+    expect(getPureFunction('Math.random')).to.be.undefined;
+    expect(isPureFunction(Array.prototype.push)).to.be.false;
+  });
+  it('registers global functions by name', function () {
+    global.testPureHelper = x => x;
+    try {
+      expect(registerPureFunction('testPureHelper')).to.equal(global.testPureHelper);
+      expect(getPureFunction('testPureHelper')).to.equal(global.testPureHelper);
+    } finally {
+      delete global.testPureHelper;
+    }
+  });
+  it('rejects missing implementations', function () {
+    expect(() => registerPureFunction('noSuchFunction')).to.throw(`No implementation for pure function 'noSuchFunction'`);
+  });
+  it('does not evaluate calls producing very long strings', function () {
+    expect(canEvaluatePure(String.prototype.repeat, 'ab', [3])).to.be.true;
+    expect(canEvaluatePure(String.prototype.repeat, 'a', [1e9])).to.be.false;
+    expect(canEvaluatePure(String.prototype.repeat, '', [1e9])).to.be.true;
+    expect(canEvaluatePure(String.prototype.padStart, '', [1e9])).to.be.false;
+    expect(canEvaluatePure(String.prototype.padEnd, 'x', [5, '-'])).to.be.true;
+    expect(canEvaluatePure(Math.max, undefined, [1, 2])).to.be.true;
+  });
+});
@@ -0,0 +1,89 @@
+import { expect } from 'chai';
+
+import * as ranges from '../src/ranges.mjs';
+
+const { rangeOf } = ranges;
+
+describe('ranges', function () {
+  describe('valueRange', function () {
+    it('returns the range of a number', function () {
+      expect(ranges.valueRange(3)).to.eql({ min: 3, max: 3, integer: true });
+      expect(ranges.valueRange(0.5)).to.eql({ min: 0.5, max: 0.5 });
+      expect(ranges.valueRange(NaN)).to.be.undefined;
+    });
+  });
+  describe('joinRanges', function () {
+    it('returns the range containing both ranges', function () {
+      expect(ranges.joinRanges(rangeOf(0, 1, true), rangeOf(5, 9, true))).to.eql(rangeOf(0, 9, true));
+      expect(ranges.joinRanges(rangeOf(0, 1, true), rangeOf(0.5, 2))).to.eql(rangeOf(0, 2));
+    });
+  });
+  describe('widenRange', function () {
+    it('replaces bounds that change with infinity', function () {
+      expect(ranges.widenRange(rangeOf(0, 0, true), rangeOf(0, 1, true))).to.eql(rangeOf(0, Infinity, true));
+      expect(ranges.widenRange(rangeOf(0, 10), rangeOf(-1, 5))).to.eql(rangeOf(-Infinity, 10));
+      expect(ranges.widenRange(rangeOf(0, 10), rangeOf(2, 5))).to.eql(rangeOf(0, 10));
+    });
+  });
+  describe('intersectRanges', function () {
+    it('returns the overlap of the ranges', function () {
+      expect(ranges.intersectRanges(rangeOf(0, 10, true), rangeOf(5, Infinity))).to.eql(rangeOf(5, 10, true));
+      expect(ranges.intersectRanges(rangeOf(0, 10, true), rangeOf(-Infinity, 2.5))).to.eql(rangeOf(0, 2, true));
+      expect(ranges.isEmptyRange(ranges.intersectRanges(rangeOf(0, 1), rangeOf(2, 3)))).to.be.true;
+    });
+  });
+  describe('evaluateRange', function () {
+    it('adds, subtracts, and multiplies ranges', function () {
+      expect(ranges.evaluateRange('+', rangeOf(0, 9, true), rangeOf(1, 1, true))).to.eql(rangeOf(1, 10, true));
+      expect(ranges.evaluateRange('-', rangeOf(0, 9, true), rangeOf(1, 2, true))).to.eql(rangeOf(-2, 8, true));
+      expect(ranges.evaluateRange('*', rangeOf(-2, 3, true), rangeOf(0, Infinity, true)))
+        .to.eql(rangeOf(-Infinity, Infinity, true));
+      expect(ranges.evaluateRange('*', rangeOf(0, 3), rangeOf(2, Infinity))).to.eql(rangeOf(0, Infinity));
+      expect(ranges.evaluateRange('+', rangeOf(-Infinity, 0), rangeOf(Infinity, Infinity))).to.be.undefined;
+    });
+    it('divides by ranges without zero', function () {
+      expect(ranges.evaluateRange('/', rangeOf(1, 10, true), rangeOf(2, 5, true))).to.eql(rangeOf(0.2, 5));
+      expect(ranges.evaluateRange('/', rangeOf(1, 10), rangeOf(-1, 1))).to.be.undefined;
+    });
+    it('returns the range of remainders', function () {
+      expect(ranges.evaluateRange('%', rangeOf(0, Infinity, true), rangeOf(3, 3, true))).to.eql(rangeOf(0, 2, true));
+      expect(ranges.evaluateRange('%', rangeOf(-5, 1, true), rangeOf(-10, 10, true))).to.eql(rangeOf(-5, 1, true));
+      expect(ranges.evaluateRange('%', rangeOf(-5, 5), rangeOf(2, 2))).to.eql(rangeOf(-2, 2));
+      expect(ranges.evaluateRange('%', rangeOf(1, 5), rangeOf(0, 0))).to.be.undefined;
+    });
+    it('does not evaluate other operators', function () {
+      expect(ranges.evaluateRange('**', rangeOf(0, 1), rangeOf(0, 1))).to.be.undefined;
+    });
+  });
+  describe('compareRanges', function () {
+    it('decides comparisons of disjoint ranges', function () {
+      expect(ranges.compareRanges('<', rangeOf(0, 9), rangeOf(10, 10))).to.be.true;
+      expect(ranges.compareRanges('<', rangeOf(0, 10), rangeOf(10, 10))).to.be.undefined;
+      expect(ranges.compareRanges('<=', rangeOf(0, 10), rangeOf(10, 10))).to.be.true;
+      expect(ranges.compareRanges('>', rangeOf(0, 10), rangeOf(10, 20))).to.be.false;
+      expect(ranges.compareRanges('>=', rangeOf(0, 10), rangeOf(11, 20))).to.be.false;
+      expect(ranges.compareRanges('===', rangeOf(0, 1), rangeOf(2, 3))).to.be.false;
+      expect(ranges.compareRanges('!=', rangeOf(0, 1), rangeOf(2, 3))).to.be.true;
+      expect(ranges.compareRanges('===', rangeOf(0, 2), rangeOf(2, 3))).to.be.undefined;
+    });
+  });
+  describe('narrowRange', function () {
+    it('narrows ranges to satisfy comparisons', function () {
+      expect(ranges.narrowRange(rangeOf(0, Infinity, true), '<', rangeOf(10, 10, true), true))
+        .to.eql(rangeOf(0, 9, true));
+      expect(ranges.narrowRange(rangeOf(0, Infinity), '<', rangeOf(10, 10, true), true)).to.eql(rangeOf(0, 10));
+      expect(ranges.narrowRange(rangeOf(0, Infinity, true), '<', rangeOf(10, 10, true), false))
+        .to.eql(rangeOf(10, Infinity, true));
+      expect(ranges.narrowRange(rangeOf(-5, 5, true), '>', rangeOf(0, 3, true), true)).to.eql(rangeOf(1, 5, true));
+      expect(ranges.narrowRange(rangeOf(-5, 5, true), '===', rangeOf(3, 9), true)).to.eql(rangeOf(3, 5, true));
+      expect(ranges.narrowRange(rangeOf(-5, 5, true), '!==', rangeOf(3, 9), false)).to.eql(rangeOf(3, 5, true));
+      expect(ranges.narrowRange(rangeOf(-5, 5, true), '!==', rangeOf(3, 9), true)).to.eql(rangeOf(-5, 5, true));
+    });
+  });
+  describe('formatRange', function () {
+    it('formats ranges and single values', function () {
+      expect(ranges.formatRange(rangeOf(0, Infinity))).to.equal('[0, Infinity]');
+      expect(ranges.formatRange(rangeOf(3, 3))).to.equal('3');
+    });
+  });
+});
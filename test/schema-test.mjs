@@ -0,0 +1,248 @@
+import { expect } from 'chai';
+
+import { getAnalysisType } from '../src/analyze.mjs';
+import { analyze, jsonSchemaToType, typeToJsonSchema } from '../src/index.mjs';
+import { defineType, formatType, isAssignable, parseType, refOf } from '../src/types.mjs';
+
+const acorn = require('acorn');
+
+describe('typeToJsonSchema', function () {
+  it('converts primitive and literal types', function () {
+    expect(typeToJsonSchema('string')).to.eql({ type: 'string' });
+    expect(typeToJsonSchema(parseType('\'a\''))).to.eql({ const: 'a' });
+    expect(typeToJsonSchema(parseType('\'a\' | 1 | true'))).to.eql({ enum: ['a', 1, true] });
+    expect(typeToJsonSchema(parseType('string | number | null'))).to.eql({ type: ['string', 'number', 'null'] });
+    expect(typeToJsonSchema(parseType('NaN'))).to.eql({ type: 'number' });
+    expect(typeToJsonSchema(parseType('Infinity | 1'))).to.eql({ anyOf: [{ type: 'number' }, { const: 1 }] });
+  });
+  it('converts unknown types and types without JSON values', function () {
+    expect(typeToJsonSchema(undefined)).to.eql({});
+    expect(typeToJsonSchema('any')).to.eql({});
+    expect(typeToJsonSchema('function')).to.eql({ not: {} });
+    expect(typeToJsonSchema(parseType('string | undefined'))).to.eql({ type: 'string' });
+    expect(typeToJsonSchema(parseType('number | any'))).to.eql({});
+  });
+  it('converts arrays and tuples', function () {
+    expect(typeToJsonSchema(parseType('number[]'))).to.eql({
+      type: 'array',
+      items: { type: 'number' }
+    });
+    expect(typeToJsonSchema('array')).to.eql({ type: 'array' });
+    expect(typeToJsonSchema(parseType('[string, number | { a: string }, ...boolean[]]'))).to.eql({
+      type: 'array',
+      prefixItems: [{
+        type: 'string'
+      }, {
+        anyOf: [{
+          type: 'number'
+        }, {
+          type: 'object',
+          properties: { a: { type: 'string' } },
+          required: ['a']
+        }]
+      }],
+      minItems: 2,
+      items: { type: 'boolean' }
+    });
+    expect(typeToJsonSchema(parseType('[]'))).to.eql({
+      type: 'array',
+      items: false
+    });
+  });
+  it('converts objects', function () {
+    expect(typeToJsonSchema(parseType('{ id: number, name?: string, note: string | undefined, f: function }'))).to.eql({
+      type: 'object',
+      properties: {
+        id: { type: 'number' },
+        name: { type: 'string' },
+        note: { type: 'string' }
+      },
+      required: ['id']
+    });
+    expect(typeToJsonSchema(parseType('{ [key: string]: number }'))).to.eql({
+      type: 'object',
+      properties: {},
+      additionalProperties: { type: 'number' }
+    });
+    expect(typeToJsonSchema('object')).to.eql({ type: 'object' });
+  });
+  it('converts named types into definitions', function () {
+    const tree = refOf('SchemaTree');
+    defineType('SchemaTree', parseType('{ value: number, children: SchemaTree[] }'));
+    expect(typeToJsonSchema(parseType('SchemaTree | null'))).to.eql({
+      anyOf: [{
+        $ref: '#/$defs/SchemaTree'
+      }, {
+        type: 'null'
+      }],
+      $defs: {
+        SchemaTree: {
+          type: 'object',
+          properties: {
+            value: { type: 'number' },
+            children: {
+              type: 'array',
+              items: { $ref: '#/$defs/SchemaTree' }
+            }
+          },
+          required: ['value', 'children']
+        }
+      }
+    });
+    expect(jsonSchemaToType(typeToJsonSchema(tree))).to.eql(tree);
+  });
+  it('converts into schemas of draft 07', function () {
+    const schema = {
+      type: 'array',
+      items: [{ type: 'string' }],
+      minItems: 1,
+      additionalItems: { type: 'number' }
+    };
+    expect(typeToJsonSchema(jsonSchemaToType(schema), { draft: '07' })).to.eql(schema);
+    expect(typeToJsonSchema(parseType('[string]'), { draft: '07' })).to.eql({ ...schema, additionalItems: false });
+    defineType('SchemaList', parseType('{ next: SchemaList | null }'));
+    expect(typeToJsonSchema(refOf('SchemaList'), { draft: '07' })).to.eql({
+      $ref: '#/definitions/SchemaList',
+      definitions: {
+        SchemaList: {
+          type: 'object',
+          properties: {
+            next: { anyOf: [{ $ref: '#/definitions/SchemaList' }, { type: 'null' }] }
+          },
+          required: ['next']
+        }
+      }
+    });
+    expect(() => typeToJsonSchema('string', { draft: '04' })).to.throw('Unsupported JSON Schema draft \'04\'');
+  });
+});
+
+describe('jsonSchemaToType', function () {
+  it('converts primitive types and literal values', function () {
+    expect(jsonSchemaToType({ type: 'string' })).to.equal('string');
+    expect(jsonSchemaToType({ type: 'integer', minimum: 0 })).to.equal('number');
+    expect(jsonSchemaToType({ type: ['string', 'null'] })).to.eql(['string', 'null']);
+    expect(formatType(jsonSchemaToType({ const: 'a' }))).to.equal('\'a\'');
+    expect(formatType(jsonSchemaToType({ enum: ['a', 'b', null] }))).to.equal('\'a\' | \'b\' | null');
+    expect(formatType(jsonSchemaToType({ type: 'string', enum: ['a', 1] }))).to.equal('\'a\'');
+    expect(formatType(jsonSchemaToType({ const: { a: [1] } }))).to.equal('{ a: [1] }');
+    expect(jsonSchemaToType({})).to.equal('any');
+    expect(jsonSchemaToType(true)).to.equal('any');
+    expect(jsonSchemaToType(false)).to.eql([]);
+  });
+  it('converts unions, intersections, and nullable schemas', function () {
+    expect(jsonSchemaToType({ anyOf: [{ type: 'number' }, { type: 'string' }] })).to.eql(['number', 'string']);
+    expect(jsonSchemaToType({ oneOf: [{ type: 'number' }, { const: 1 }] })).to.equal('number');
+    expect(formatType(jsonSchemaToType({
+      allOf: [{
+        type: 'object',
+        properties: { a: { type: 'number' } },
+        required: ['a']
+      }, {
+        properties: { b: { type: 'string' } }
+      }]
+    }))).to.equal('{ a: number, b?: string }');
+    expect(formatType(jsonSchemaToType({
+      allOf: [{ properties: { a: { type: 'string' }, b: { type: 'number' } } }, { required: ['a'] }]
+    }))).to.equal('{ a: string, b?: number }');
+    expect(jsonSchemaToType({ type: 'string', nullable: true })).to.eql(['string', 'null']);
+  });
+  it('converts arrays and tuples', function () {
+    expect(formatType(jsonSchemaToType({ type: 'array', items: { type: 'number' } }))).to.equal('number[]');
+    expect(formatType(jsonSchemaToType({ type: 'array' }))).to.equal('any[]');
+    expect(formatType(jsonSchemaToType({ prefixItems: [{ type: 'string' }], items: false }))).to.equal('[string]');
+    expect(formatType(jsonSchemaToType({ type: 'array', prefixItems: [{ type: 'string' }] }))).to.equal('[string, ...any[]]');
+    expect(formatType(jsonSchemaToType({ type: 'array', items: [{ type: 'string' }], additionalItems: { type: 'number' } })))
+      .to.equal('[string, ...number[]]');
+  });
+  it('converts objects', function () {
+    expect(formatType(jsonSchemaToType({
+      type: 'object',
+      properties: {
+        id: { type: 'integer' },
+        tags: { type: 'array', items: { type: 'string' } }
+      },
+      required: ['id'],
+      additionalProperties: false
+    }))).to.equal('{ id: number, tags?: string[] }');
+    expect(formatType(jsonSchemaToType({ type: 'object', additionalProperties: { type: 'boolean' } })))
+      .to.equal('{ [key: string]: boolean }');
+    expect(jsonSchemaToType({ type: 'object' })).to.equal('object');
+  });
+  it('expands references to definitions', function () {
+    const schema = {
+      type: 'object',
+      properties: {
+        head: { $ref: '#/definitions/node' },
+        size: { $ref: '#/$defs/count' }
+      },
+      definitions: {
+        node: {
+          type: 'object',
+          properties: {
+            value: {},
+            next: { anyOf: [{ $ref: '#/definitions/node' }, { type: 'null' }] }
+          },
+          required: ['value', 'next']
+        }
+      },
+      $defs: {
+        count: { type: 'integer' }
+      }
+    };
+    expect(formatType(jsonSchemaToType(schema))).to.equal('{ head?: node, size?: number }');
+    expect(formatType(jsonSchemaToType(schema.definitions.node.properties.next.anyOf[1]))).to.equal('null');
+    expect(isAssignable(jsonSchemaToType(schema), parseType('{ head: { value: string, next: { value: 1, next: null } } }')))
+      .to.be.true;
+    expect(() => jsonSchemaToType({ $ref: '#/$defs/missing' })).to.throw('Unresolved JSON Schema reference \'#/$defs/missing\'');
+    expect(() => jsonSchemaToType({ type: 'date' })).to.throw('Unknown JSON Schema type \'date\'');
+  });
+  it('names the types of recursive definitions uniquely', function () {
+    const list = jsonSchemaToType({
+      $ref: '#/$defs/Node',
+      $defs: {
+        Node: { type: 'object', properties: { next: { $ref: '#/$defs/Node' } } }
+      }
+    });
+    const tree = jsonSchemaToType({
+      $ref: '#/$defs/Node',
+      $defs: {
+        Node: { type: 'array', items: { $ref: '#/$defs/Node' } }
+      }
+    });
+    expect(list).to.eql(refOf('Node'));
+    expect(tree).to.eql(refOf('Node2'));
+    expect(isAssignable(list, parseType('{ next: { next: {} } }'))).to.be.true;
+    expect(isAssignable(tree, parseType('[[[]]]'))).to.be.true;
+    expect(jsonSchemaToType({
+      $ref: '#/$defs/Map',
+      $defs: {
+        Map: { type: 'object', additionalProperties: { $ref: '#/$defs/Map' } }
+      }
+    })).to.eql(refOf('Map2'));
+    const json = jsonSchemaToType({
+      title: 'SchemaJson',
+      anyOf: [{ type: ['string', 'number', 'boolean', 'null'] }, { type: 'array', items: { $ref: '#' } }]
+    });
+    expect(json).to.eql(refOf('SchemaJson'));
+    expect(isAssignable(json, parseType('[1, [\'a\', null]]'))).to.be.true;
+    expect(formatType(jsonSchemaToType({ type: 'array', items: { $ref: '#' } }))).to.equal('Root');
+  });
+  it('checks inferred types against schemas', function () {
+    const schema = {
+      type: 'object',
+      properties: {
+        status: { enum: ['ok', 'error'] },
+        items: { type: 'array', items: { type: 'number' } }
+      },
+      required: ['status', 'items']
+    };
+    const type = jsonSchemaToType(schema);
+    const inferredType = source => getAnalysisType(analyze(acorn.parseExpressionAt(source, 0, {
+      ecmaVersion: 2022
+    })));
+    expect(isAssignable(type, inferredType(`{ status: 'ok', items: [1, 2].map(x => x * 2) }`))).to.be.true;
+    expect(isAssignable(type, inferredType(`{ status: 'done', items: [] }`))).to.be.false;
+    expect(isAssignable(type, inferredType(`{ status: 'error' }`))).to.be.false;
+  });
+});
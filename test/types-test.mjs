@@ -24,6 +24,112 @@ describe('types', function () {
       });
     });
   });
+  describe('tupleOf', function () {
+    it('handles element types', function () {
+      expect(types.tupleOf(['number', 'string'])).to.eql({
+        kind: 'tuple',
+        elements: ['number', 'string']
+      });
+    });
+    it('handles rest types', function () {
+      expect(types.tupleOf(['number'], 'string')).to.eql({
+        kind: 'tuple',
+        elements: ['number'],
+        rest: 'string'
+      });
+    });
+  });
+  describe('getElementType', function () {
+    it('handles arrays', function () {
+      expect(types.getElementType(types.arrayOf('number'), 1)).to.equal('number');
+      expect(types.getElementType('array', 1)).to.be.undefined;
+      expect(types.getElementType('object', 1)).to.be.undefined;
+    });
+    it('handles tuples', function () {
+      const type = types.tupleOf(['number', 'string'], 'boolean');
+      expect(types.getElementType(type, 1)).to.equal('string');
+      expect(types.getElementType(type, 5)).to.equal('boolean');
+      expect(types.getElementType(type)).to.eql(['number', 'string', 'boolean']);
+      expect(types.getElementType(types.tupleOf(['number']), 1)).to.equal('undefined');
+    });
+    it('handles unions', function () {
+      expect(types.getElementType([types.arrayOf('number'), types.tupleOf(['string'])], 0)).to.eql(['number', 'string']);
+    });
+  });
+  describe('getIteratedType', function () {
+    it('handles strings, arrays, and tuples', function () {
+      expect(types.getIteratedType('string')).to.equal('string');
+      expect(types.getIteratedType(types.literalOf('abc'))).to.equal('string');
+      expect(types.getIteratedType(types.arrayOf('number'))).to.equal('number');
+      expect(types.getIteratedType(types.tupleOf(['number', 'string']))).to.eql(['number', 'string']);
+      expect(types.getIteratedType(['string', types.arrayOf('boolean')])).to.eql(['string', 'boolean']);
+    });
+    it('handles iterable generic types', function () {
+      expect(types.getIteratedType(types.refOf('Set', ['string']))).to.equal('string');
+      expect(types.getIteratedType(types.refOf('Map', ['string', 'number']))).to.eql(types.tupleOf(['string', 'number']));
+      expect(types.getIteratedType(types.refOf('Set'))).to.be.undefined;
+      expect(types.getIteratedType(types.refOf('Promise', ['string']))).to.be.undefined;
+    });
+    it('returns undefined for unknown and non-iterable types', function () {
+      expect(types.getIteratedType(undefined)).to.be.undefined;
+      expect(types.getIteratedType('object')).to.be.undefined;
+      expect(types.getIteratedType(['string', 'number'])).to.be.undefined;
+    });
+  });
+  describe('literalOf', function () {
+    it('handles strings, numbers, and booleans', function () {
+      expect(types.literalOf('GET')).to.eql({
+        kind: 'string',
+        literal: 'GET'
+      });
+      expect(types.literalOf(1)).to.eql({
+        kind: 'number',
+        literal: 1
+      });
+      expect(types.literalOf(false)).to.eql({
+        kind: 'boolean',
+        literal: false
+      });
+    });
+    it('handles other values', function () {
+      expect(types.literalOf(null)).to.equal('null');
+      expect(types.literalOf([])).to.equal('array');
+    });
+  });
+  describe('objectOf', function () {
+    it('handles properties', function () {
+      expect(types.objectOf({ a: 'number' })).to.eql({
+        kind: 'object',
+        properties: { a: 'number' }
+      });
+    });
+    it('handles optional properties and index types', function () {
+      expect(types.objectOf({ a: 'number' }, ['a'], 'string')).to.eql({
+        kind: 'object',
+        properties: { a: 'number' },
+        optional: ['a'],
+        index: 'string'
+      });
+    });
+  });
+  describe('refOf', function () {
+    it('handles type arguments', function () {
+      expect(types.refOf('Promise', ['number'])).to.eql({
+        kind: 'ref',
+        name: 'Promise',
+        args: ['number']
+      });
+      expect(types.refOf('Promise')).to.eql({
+        kind: 'ref',
+        name: 'Promise'
+      });
+    });
+    it('is recognized by isRef', function () {
+      expect(types.isRef(types.refOf('Promise'), 'Promise')).to.be.true;
+      expect(types.isRef(types.refOf('Promise'), 'Set')).to.be.false;
+      expect(types.isRef('object', 'Promise')).to.be.false;
+    });
+  });
   describe('kindOf', function () {
     it('handles undefined', function () {
       expect(types.kindOf(undefined)).to.equal('undefined');
@@ -37,6 +143,9 @@ describe('types', function () {
     it('handles symbols', function () {
       expect(types.kindOf(Symbol())).to.equal('symbol');
     });
+    it('handles bigints', function () {
+      expect(types.kindOf(BigInt(1))).to.equal('bigint');
+    });
   });
   describe('getKind', function () {
     it('handles undefined', function () {
@@ -127,6 +236,11 @@ describe('types', function () {
     it('handles empty union', function () {
       expect(types.isFalsy([])).to.be.false;
     });
+    it('handles literal types', function () {
+      expect(types.isFalsy(types.literalOf(''))).to.be.true;
+      expect(types.isFalsy(types.literalOf(0))).to.be.true;
+      expect(types.isFalsy(types.literalOf('a'))).to.be.false;
+    });
   });
   describe('isTruthy', function () {
     it('handles undefined', function () {
@@ -174,6 +288,14 @@ describe('types', function () {
     it('handles empty union', function () {
       expect(types.isTruthy([])).to.be.false;
     });
+    it('handles literal types', function () {
+      expect(types.isTruthy(types.literalOf(true))).to.be.true;
+      expect(types.isTruthy([types.literalOf('a'), types.literalOf(1)])).to.be.true;
+      expect(types.isTruthy(types.literalOf(NaN))).to.be.false;
+    });
+    it('handles tuples', function () {
+      expect(types.isTruthy(types.tupleOf([]))).to.be.true;
+    });
   });
   describe('isAssignable', function () {
     it('handles undefined target', function () {
@@ -245,6 +367,81 @@ describe('types', function () {
       expect(types.isAssignable('object', 'array')).to.be.true;
       expect(types.isAssignable('array', 'object')).to.be.false;
     });
+    it('handles object shapes', function () {
+      const a = types.objectOf({ a: 'number' });
+      const ab = types.objectOf({ a: 'number', b: 'string' });
+      const aOptB = types.objectOf({ a: 'number', b: 'string' }, ['b']);
+      const anyA = types.objectOf({ a: 'any' });
+      const index = types.objectOf({}, [], 'number');
+      expect(types.isAssignable(a, ab)).to.be.true;
+      expect(types.isAssignable(ab, a)).to.be.false;
+      expect(types.isAssignable(aOptB, a)).to.be.true;
+      expect(types.isAssignable(ab, aOptB)).to.be.false;
+      expect(types.isAssignable(aOptB, ab)).to.be.true;
+      expect(types.isAssignable(anyA, a)).to.be.true;
+      expect(types.isAssignable(a, anyA)).to.be.false;
+      expect(types.isAssignable(index, a)).to.be.true;
+      expect(types.isAssignable(index, ab)).to.be.false;
+      expect(types.isAssignable('object', ab)).to.be.true;
+      expect(types.isAssignable(a, 'object')).to.be.false;
+      expect(types.isAssignable(a, 'array')).to.be.false;
+    });
+    it('handles literal types', function () {
+      const get = types.literalOf('GET');
+      const post = types.literalOf('POST');
+      expect(types.isAssignable('string', get)).to.be.true;
+      expect(types.isAssignable(get, 'string')).to.be.false;
+      expect(types.isAssignable(get, types.literalOf('GET'))).to.be.true;
+      expect(types.isAssignable(get, post)).to.be.false;
+      expect(types.isAssignable([get, post], get)).to.be.true;
+      expect(types.isAssignable('number', get)).to.be.false;
+      expect(types.isAssignable(types.literalOf(NaN), types.literalOf(NaN))).to.be.true;
+    });
+    it('handles tuples', function () {
+      const ns = types.tupleOf(['number', 'string']);
+      const nsRest = types.tupleOf(['number', 'string'], 'string');
+      const anyAny = types.tupleOf(['any', 'any']);
+      const numbers = types.tupleOf([], 'number');
+      expect(types.isAssignable(anyAny, ns)).to.be.true;
+      expect(types.isAssignable(ns, anyAny)).to.be.false;
+      expect(types.isAssignable(nsRest, ns)).to.be.true;
+      expect(types.isAssignable(ns, nsRest)).to.be.false;
+      expect(types.isAssignable(ns, types.tupleOf(['number']))).to.be.false;
+      expect(types.isAssignable(types.arrayOf(['number', 'string']), nsRest)).to.be.true;
+      expect(types.isAssignable(types.arrayOf('number'), ns)).to.be.false;
+      expect(types.isAssignable('array', ns)).to.be.true;
+      expect(types.isAssignable('object', ns)).to.be.true;
+      expect(types.isAssignable(numbers, types.arrayOf('number'))).to.be.true;
+      expect(types.isAssignable(ns, types.arrayOf('number'))).to.be.false;
+    });
+    it('handles generic type references', function () {
+      const promise = types.refOf('Promise');
+      const promiseAny = types.refOf('Promise', ['any']);
+      const promiseNumber = types.refOf('Promise', ['number']);
+      const setAny = types.refOf('Set', ['any']);
+      const setNumber = types.refOf('Set', ['number']);
+      expect(types.isAssignable(promiseAny, promiseNumber)).to.be.true;
+      expect(types.isAssignable(promiseNumber, promiseAny)).to.be.false;
+      expect(types.isAssignable(promise, promiseNumber)).to.be.true;
+      expect(types.isAssignable(setAny, setNumber)).to.be.false;
+      expect(types.isAssignable(setNumber, setNumber)).to.be.true;
+      expect(types.isAssignable(setAny, promiseAny)).to.be.false;
+      expect(types.isAssignable('object', promise)).to.be.true;
+    });
+    it('handles contravariant type arguments', function () {
+      types.registerGenericType('Consumer', [types.Variance.in]);
+      const a = types.refOf('Consumer', ['any']);
+      const b = types.refOf('Consumer', ['number']);
+      expect(types.isAssignable(a, b)).to.be.false;
+      expect(types.isAssignable(b, a)).to.be.true;
+    });
+    it('handles iterables', function () {
+      const iterable = types.refOf('Iterable', ['number']);
+      expect(types.isAssignable(iterable, types.arrayOf('number'))).to.be.true;
+      expect(types.isAssignable(iterable, types.tupleOf(['number']))).to.be.true;
+      expect(types.isAssignable(iterable, types.arrayOf('string'))).to.be.false;
+      expect(types.isAssignable(types.refOf('Iterable', ['string']), 'string')).to.be.true;
+    });
   });
   describe('isNotAssignable', function () {
     it('handles undefined', function () {
@@ -278,6 +475,68 @@ describe('types', function () {
         ['number', 'object', 'boolean'])).to.be.eql(
         ['string', 'number', 'object', 'boolean']);
     });
+    it('handles related object shapes', function () {
+      const a = types.objectOf({ a: 'number' });
+      const ab = types.objectOf({ a: 'number', b: 'string' });
+      expect(types.union(a, ab)).to.equal(a);
+      expect(types.union(ab, types.objectOf({ a: 'number', b: 'string' }))).to.equal(ab);
+      expect(types.union(ab, 'object')).to.equal('object');
+    });
+    it('handles unrelated object shapes', function () {
+      const a = types.objectOf({ a: 'number' });
+      const b = types.objectOf({ b: 'number' });
+      expect(types.union(a, b)).to.eql([a, b]);
+    });
+    it('handles literal types', function () {
+      const get = types.literalOf('GET');
+      const post = types.literalOf('POST');
+      expect(types.union(get, types.literalOf('GET'))).to.equal(get);
+      expect(types.union(get, post)).to.eql([get, post]);
+      expect(types.union([get, post], 'string')).to.equal('string');
+      expect(types.union([get, post], 'number')).to.eql([get, post, 'number']);
+      expect(types.union(types.literalOf(true), types.literalOf(false))).to.equal('boolean');
+    });
+    it('widens literal types beyond a maximum', function () {
+      const a = types.literalOf('a');
+      const b = types.literalOf('b');
+      const c = types.literalOf('c');
+      const one = types.literalOf(1);
+      expect(types.union([a, b, one], c, 3)).to.eql([a, b, one, c]);
+      expect(types.union([a, b, one], c, 2)).to.eql(['string', one]);
+    });
+    it('handles generic type references', function () {
+      const promiseAny = types.refOf('Promise', ['any']);
+      const promiseNumber = types.refOf('Promise', ['number']);
+      expect(types.union(promiseAny, promiseNumber)).to.eql(promiseAny);
+      expect(types.union(promiseNumber, types.refOf('Set'))).to.eql([promiseNumber, types.refOf('Set')]);
+    });
+    it('reduces alternatives covered by other types', function () {
+      const one = types.literalOf(1);
+      const x = types.literalOf('x');
+      expect(types.union([one, x], 'number')).to.eql([x, 'number']);
+      expect(types.union('number', [one, x])).to.eql(['number', x]);
+      expect(types.union([one, 'null'], [types.literalOf(2), 'number'])).to.eql(['null', 'number']);
+      expect(types.union([one, 'array'], ['number', 'object'])).to.eql(['number', 'object']);
+    });
+  });
+  describe('narrow', function () {
+    it('keeps types satisfying the predicate', function () {
+      const type = ['string', 'null', 'undefined'];
+      expect(types.narrow(type, () => true)).to.equal(type);
+      expect(types.narrow(type, t => !types.isFalsy(t))).to.equal('string');
+      expect(types.narrow(type, t => t !== 'string')).to.eql(['null', 'undefined']);
+    });
+    it('replaces types with narrowed types', function () {
+      expect(types.narrow(['object', 'number'], t => t === 'object' ? 'array' : false)).to.equal('array');
+      expect(types.narrow(undefined, t => t === 'any' ? ['undefined', 'null'] : false)).to.eql(['undefined', 'null']);
+    });
+    it('handles undefined', function () {
+      expect(types.narrow(undefined, () => true)).to.be.undefined;
+      expect(types.narrow(undefined, t => t === 'any' ? 'string' : false)).to.equal('string');
+    });
+    it('returns an empty union if no type satisfies the predicate', function () {
+      expect(types.narrow('number', () => false)).to.eql([]);
+    });
   });
   describe('formatType', function () {
     it('handles undefined', function () {
@@ -344,6 +603,375 @@ describe('types', function () {
         }
       })).to.be.equal('(function(:string | null): (number | string))[]');
     });
+    it('handles object shapes', function () {
+      expect(types.formatType(types.objectOf({ a: 'number', b: 'string' }, ['b']))).to.be.equal('{ a: number, b?: string }');
+      expect(types.formatType(types.objectOf({ 'a-b': ['number', 'null'] }, [], 'string'))).to.be.equal('{ "a-b": number | null, [key: string]: string }');
+      expect(types.formatType(types.objectOf({}))).to.be.equal('{}');
+      expect(types.formatType({
+        kind: 'array',
+        elements: types.objectOf({ f: { kind: 'function', params: [] } })
+      })).to.be.equal('{ f: function() }[]');
+    });
+    it('handles literal types', function () {
+      expect(types.formatType([types.literalOf('GET'), types.literalOf('POST')])).to.be.equal('\'GET\' | \'POST\'');
+      expect(types.formatType(types.literalOf('it\'s'))).to.be.equal('\'it\\\'s\'');
+      expect(types.formatType([types.literalOf(-1), types.literalOf(true), 'null'])).to.be.equal('-1 | true | null');
+    });
+    it('handles tuples', function () {
+      expect(types.formatType(types.tupleOf(['number', ['string', 'null']]))).to.be.equal('[number, string | null]');
+      expect(types.formatType(types.tupleOf(['number'], ['string', 'null']))).to.be.equal('[number, ...(string | null)[]]');
+      expect(types.formatType(types.tupleOf([]))).to.be.equal('[]');
+    });
+    it('handles generic type references', function () {
+      expect(types.formatType(types.refOf('Promise', ['number']))).to.equal('Promise<number>');
+      expect(types.formatType(types.refOf('Map', ['string', ['number', 'null']]))).to.equal('Map<string, number | null>');
+      expect(types.formatType(types.refOf('Promise'))).to.equal('Promise');
+    });
+  });
+  describe('defineType', function () {
+    const list = types.refOf('TestList');
+    const numbers = types.refOf('TestNumbers');
+    const json = types.refOf('TestJson');
+    before(function () {
+      types.defineType('TestList', types.objectOf({ value: 'any', next: [list, 'null'] }));
+      types.defineType('TestNumbers', types.objectOf({ value: 'number', next: [numbers, 'null'] }));
+      types.defineType('TestJson', ['null', 'boolean', 'number', 'string', types.arrayOf(json), types.objectOf({}, [], json)]);
+    });
+    it('rejects names of generic types and type kinds', function () {
+      expect(() => types.defineType('Promise', 'any')).to.throw('Type name \'Promise\' is already used');
+      expect(() => types.defineType('number', 'any')).to.throw('Type name \'number\' is already used');
+    });
+    it('resolves references to named types', function () {
+      expect(types.resolveType(list)).to.eql(types.objectOf({ value: 'any', next: [list, 'null'] }));
+      expect(types.resolveType('number')).to.equal('number');
+      expect(types.resolveType(types.refOf('Promise'))).to.eql(types.refOf('Promise'));
+    });
+    it('checks assignability of recursive types', function () {
+      expect(types.isAssignable(list, numbers)).to.be.true;
+      expect(types.isAssignable(numbers, list)).to.be.false;
+      expect(types.isAssignable(list, types.objectOf({ value: 'string', next: 'null' }))).to.be.true;
+      expect(types.isAssignable(numbers, types.objectOf({ value: 'number', next: types.objectOf({ value: 'string', next: 'null' }) })))
+        .to.be.false;
+      expect(types.isAssignable(json, types.parseType('{ a: (number | null)[], b: { c: \'x\' } }'))).to.be.true;
+      expect(types.isAssignable(json, types.parseType('{ a: function }'))).to.be.false;
+      expect(types.isAssignable(json, json)).to.be.true;
+    });
+    it('formats and converts references without expanding them', function () {
+      expect(types.formatType(types.resolveType(numbers))).to.equal('{ value: number, next: TestNumbers | null }');
+      expect(types.toCanonical(numbers)).to.equal(numbers);
+      expect(types.toShorthand(types.toCanonical(types.arrayOf(json)))).to.eql(types.arrayOf(json));
+      expect(types.parseType('TestJson[]')).to.eql(types.arrayOf(json));
+    });
+    it('expands references in type operations', function () {
+      expect(types.isTruthy(list)).to.be.true;
+      expect(types.isTruthy(json)).to.be.false;
+      expect(types.hasKind(json, 'array')).to.be.true;
+      expect(types.exclude(json, ['null', 'boolean', 'number', 'string']))
+        .to.eql([types.arrayOf(json), types.objectOf({}, [], json)]);
+      expect(types.intersection(json, 'string')).to.equal('string');
+      expect(types.intersection(list, numbers)).to.equal(numbers);
+      expect(types.typeEquals(list, types.resolveType(list))).to.be.true;
+      expect(types.typeEquals(list, numbers)).to.be.false;
+      expect(types.union(numbers, list)).to.equal(list);
+    });
+  });
+  describe('intersection', function () {
+    it('handles undefined and any', function () {
+      expect(types.intersection(undefined, 'number')).to.equal('number');
+      expect(types.intersection('number', undefined)).to.equal('number');
+      expect(types.intersection('any', ['number', 'null'])).to.eql(['number', 'null']);
+    });
+    it('returns the more specific type of related types', function () {
+      const one = types.literalOf(1);
+      expect(types.intersection('number', one)).to.equal(one);
+      expect(types.intersection('object', types.arrayOf('string'))).to.eql(types.arrayOf('string'));
+    });
+    it('returns an empty union for disjoint types', function () {
+      expect(types.intersection('number', 'string')).to.eql([]);
+      expect(types.intersection(types.literalOf('a'), types.literalOf('b'))).to.eql([]);
+      expect(types.intersection(types.refOf('Set'), types.refOf('Map'))).to.eql([]);
+    });
+    it('intersects unions', function () {
+      expect(types.intersection(['number', 'string', 'null'], ['string', 'null', 'boolean'])).to.eql(['string', 'null']);
+      expect(types.intersection(['number', 'string'], types.literalOf('a'))).to.eql(types.literalOf('a'));
+    });
+    it('intersects object shapes', function () {
+      const a = types.objectOf({ a: 'number', c: ['string', 'null'] }, ['c']);
+      const b = types.objectOf({ b: 'string', c: 'string' });
+      expect(types.intersection(a, b)).to.eql(types.objectOf({ a: 'number', c: 'string', b: 'string' }));
+      expect(types.intersection(types.objectOf({ a: 'number' }), types.objectOf({ a: 'string' }))).to.eql([]);
+      expect(types.intersection(types.objectOf({ a: 'number' }, [], ['number', 'string']), types.objectOf({}, [], ['number', 'null'])))
+        .to.eql(types.objectOf({ a: 'number' }, [], 'number'));
+      expect(types.intersection(types.objectOf({ a: 'number' }), types.objectOf({}, [], 'string'))).to.eql([]);
+    });
+    it('intersects arrays, tuples, and generic type references', function () {
+      expect(types.intersection(types.arrayOf(['number', 'string']), types.arrayOf(['string', 'null'])))
+        .to.eql(types.arrayOf('string'));
+      expect(types.intersection(types.tupleOf(['number', 'any']), types.arrayOf(['number', 'string'])))
+        .to.eql(types.tupleOf(['number', ['number', 'string']]));
+      expect(types.intersection(types.tupleOf(['number']), types.tupleOf(['number', 'string']))).to.eql([]);
+      expect(types.intersection(types.tupleOf(['number'], 'string'), types.tupleOf(['any', types.literalOf('a')])))
+        .to.eql(types.tupleOf(['number', types.literalOf('a')]));
+      expect(types.intersection(types.refOf('Promise', [['number', 'string']]), types.refOf('Promise', [['string', 'null']])))
+        .to.eql(types.refOf('Promise', ['string']));
+      expect(types.intersection(types.refOf('Set', ['number']), types.refOf('Set', [['number', 'string']]))).to.eql([]);
+    });
+    it('returns the function type for unrelated function types', function () {
+      expect(types.intersection({
+        kind: 'function',
+        params: [],
+        returns: 'number'
+      }, {
+        kind: 'function',
+        params: [],
+        returns: 'string'
+      })).to.equal('function');
+    });
+  });
+  describe('exclude', function () {
+    it('removes excluded alternatives', function () {
+      expect(types.exclude(['string', 'null', 'undefined'], ['null', 'undefined'])).to.equal('string');
+      expect(types.exclude(['string', 'number'], types.literalOf('a'))).to.eql(['string', 'number']);
+      expect(types.exclude([types.literalOf('a'), types.literalOf('b')], 'string')).to.eql([]);
+      expect(types.exclude(['object', 'array'], 'object')).to.eql([]);
+    });
+    it('narrows boolean to a literal type', function () {
+      expect(types.exclude(['boolean', 'null'], types.literalOf(false))).to.eql([types.literalOf(true), 'null']);
+      expect(types.exclude('boolean', 'boolean')).to.eql([]);
+    });
+    it('handles undefined', function () {
+      expect(types.exclude(undefined, 'null')).to.be.undefined;
+      const type = ['string', 'null'];
+      expect(types.exclude(type, undefined)).to.equal(type);
+      expect(types.exclude(type, 'number')).to.equal(type);
+    });
+  });
+  describe('typeEquals', function () {
+    it('compares shorthand and canonical types', function () {
+      expect(types.typeEquals('number', { kind: 'number' })).to.be.true;
+      expect(types.typeEquals('array', types.arrayOf())).to.be.true;
+      expect(types.typeEquals(types.arrayOf('number'), types.toCanonical(types.arrayOf('number')))).to.be.true;
+      expect(types.typeEquals('number', 'string')).to.be.false;
+    });
+    it('distinguishes unknown, any, and empty unions', function () {
+      expect(types.typeEquals(undefined, undefined)).to.be.true;
+      expect(types.typeEquals(undefined, 'any')).to.be.false;
+      expect(types.typeEquals(undefined, [])).to.be.false;
+      expect(types.typeEquals('any', 'number')).to.be.false;
+      expect(types.typeEquals([], { kind: 'union', anyOf: [] })).to.be.true;
+    });
+    it('ignores the order of alternatives and properties', function () {
+      expect(types.typeEquals(['number', 'null'], ['null', 'number'])).to.be.true;
+      expect(types.typeEquals(['number', 'null'], ['number', 'string'])).to.be.false;
+      expect(types.typeEquals(types.objectOf({ a: 'number', b: 'string' }, ['b']), types.objectOf({ b: 'string', a: 'number' }, ['b'])))
+        .to.be.true;
+      expect(types.typeEquals(types.objectOf({ a: 'number' }), types.objectOf({ a: 'number' }, ['a']))).to.be.false;
+      expect(types.typeEquals(types.objectOf({}), 'object')).to.be.false;
+    });
+    it('compares literals, functions, tuples, and references', function () {
+      expect(types.typeEquals(types.literalOf(NaN), types.literalOf(NaN))).to.be.true;
+      expect(types.typeEquals(types.literalOf(1), 'number')).to.be.false;
+      expect(types.typeEquals(types.parseType('function(a: number): string'), types.parseType('function(:number): string')))
+        .to.be.true;
+      expect(types.typeEquals(types.parseType('function(): string'), types.parseType('function: string'))).to.be.false;
+      expect(types.typeEquals(types.tupleOf(['number'], 'string'), types.tupleOf(['number']))).to.be.false;
+      expect(types.typeEquals(types.refOf('Set', ['number']), types.refOf('Set'))).to.be.false;
+    });
+  });
+  describe('simplify', function () {
+    it('flattens and reduces nested unions', function () {
+      expect(types.simplify(['number', ['string', types.literalOf(1)], { kind: 'union', anyOf: ['null', 'string'] }]))
+        .to.eql(['number', 'string', 'null']);
+      expect(types.simplify([types.literalOf(true), [types.literalOf(false)]])).to.equal('boolean');
+      expect(types.simplify([['number']])).to.equal('number');
+      expect(types.simplify(['number', undefined])).to.be.undefined;
+    });
+    it('simplifies nested types', function () {
+      expect(types.simplify(types.parseType('{ a: (number | 1)[], f: function(x: string | string): (null | null) }')))
+        .to.eql(types.parseType('{ a: number[], f: function(x: string): null }'));
+    });
+    it('returns types without unions unchanged', function () {
+      const type = types.parseType('[number, ...string[]]');
+      expect(types.simplify(type)).to.equal(type);
+    });
+  });
+  describe('type algebra properties', function () {
+    // returns a pseudo-random number generator with a fixed seed, so failures
+    // are reproducible
+    function createRandom(seed) {
+      return () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed / 2147483648;
+      };
+    }
+    function pick(random, values) {
+      return values[Math.floor(random() * values.length)];
+    }
+    function randomType(random, depth = 0) {
+      const leaves = ['undefined', 'null', 'boolean', 'number', 'string', 'object', 'any',
+        types.literalOf(pick(random, [0, 1, 'a', 'b', true, false]))];
+      switch (depth < 3 ? pick(random, ['leaf', 'leaf', 'union', 'array', 'tuple', 'object', 'ref']) : 'leaf') {
+        case 'union':
+          return [randomType(random, depth + 1), randomType(random, depth + 1)];
+        case 'array':
+          return types.arrayOf(randomType(random, depth + 1));
+        case 'tuple':
+          return types.tupleOf([randomType(random, depth + 1)], random() < 0.5 ? randomType(random, depth + 1) : undefined);
+        case 'object':
+          return types.objectOf({
+            [pick(random, ['a', 'b'])]: randomType(random, depth + 1)
+          }, random() < 0.5 ? ['a'] : []);
+        case 'ref':
+          return types.refOf(pick(random, ['Promise', 'Set']), [randomType(random, depth + 1)]);
+        default:
+          return pick(random, leaves);
+      }
+    }
+    // checks a property for many pairs of random types
+    function check(property) {
+      const random = createRandom(42);
+      for (let i = 0; i < 300; ++i) {
+        const a = randomType(random);
+        const b = randomType(random);
+        expect(property(a, b), `${types.formatType(a)}, ${types.formatType(b)}`).to.be.true;
+      }
+    }
+    it('unions are supertypes of both types', function () {
+      check((a, b) => types.isAssignable(types.union(a, b), a) && types.isAssignable(types.union(a, b), b));
+    });
+    it('intersections are subtypes of both types', function () {
+      check((a, b) => {
+        const type = types.intersection(a, b);
+        return types.isAssignable(a, type) && types.isAssignable(b, type);
+      });
+    });
+    it('intersections of a type with itself and its supertypes are the type', function () {
+      check(a => {
+        const type = types.simplify(a);
+        return types.typeEquals(types.simplify(types.intersection(a, a)), type) &&
+          types.typeEquals(types.intersection(type, types.union(type, 'null')), type);
+      });
+    });
+    it('exclusions are subtypes without excluded alternatives', function () {
+      check((a, b) => {
+        const type = types.exclude(a, b);
+        return types.isAssignable(a, type) && types.getUnionTypes(type).every(t => !types.isAssignable(b, t));
+      });
+    });
+    it('exclusions of a type from itself are empty', function () {
+      check(a => types.typeEquals(types.exclude(a, a), []));
+    });
+    it('simplified types are equivalent and stable', function () {
+      check((a, b) => {
+        const type = types.simplify([a, [b, a]]);
+        return types.isAssignable(type, a) && types.isAssignable(type, b) &&
+          types.typeEquals(types.simplify(type), type);
+      });
+    });
+    it('equality is reflexive and symmetric', function () {
+      check((a, b) => types.typeEquals(a, a) && types.typeEquals(a, types.toCanonical(a)) &&
+        types.typeEquals(a, types.parseType(types.formatType(a))) &&
+        types.typeEquals(a, b) === types.typeEquals(b, a));
+    });
+  });
+  describe('parseType', function () {
+    it('parses simple types', function () {
+      expect(types.parseType('string')).to.equal('string');
+      expect(types.parseType(' any ')).to.equal('any');
+      expect(types.parseType('function')).to.equal('function');
+      expect(types.parseType('array')).to.equal('array');
+      expect(types.parseType('unknown')).to.be.undefined;
+      expect(types.parseType('')).to.eql([]);
+      expect(types.parseType('never')).to.eql([]);
+    });
+    it('parses literal types', function () {
+      expect(types.parseType('\'it\\\'s\'')).to.eql(types.literalOf('it\'s'));
+      expect(types.parseType('"a\\nb"')).to.eql(types.literalOf('a\nb'));
+      expect(types.parseType('-1.5 | true | null')).to.eql([types.literalOf(-1.5), types.literalOf(true), 'null']);
+    });
+    it('parses functions', function () {
+      expect(types.parseType('function: number')).to.eql({
+        kind: 'function',
+        returns: 'number'
+      });
+      expect(types.parseType('function(:number[], foo, _, bar: string[] | null): number[]')).to.eql({
+        kind: 'function',
+        returns: types.arrayOf('number'),
+        params: [{
+          type: types.arrayOf('number')
+        }, {
+          name: 'foo'
+        }, {}, {
+          name: 'bar',
+          type: [types.arrayOf('string'), 'null']
+        }]
+      });
+    });
+    it('parses operators with their precedence', function () {
+      expect(types.parseType('(function(:string | null): (number | string))[]')).to.eql(types.arrayOf({
+        kind: 'function',
+        returns: ['number', 'string'],
+        params: [{
+          type: ['string', 'null']
+        }]
+      }));
+      expect(types.parseType('function(:string | null): number | string[]')).to.eql([{
+        kind: 'function',
+        returns: 'number',
+        params: [{
+          type: ['string', 'null']
+        }]
+      }, types.arrayOf('string')]);
+      expect(types.parseType('(number | (string | null))')).to.eql(['number', 'string', 'null']);
+    });
+    it('parses tuples, references, and object shapes', function () {
+      expect(types.parseType('[number, ...(string | null)[]]')).to.eql(types.tupleOf(['number'], ['string', 'null']));
+      expect(types.parseType('[]')).to.eql(types.tupleOf([]));
+      expect(types.parseType('Map<string, number | null>')).to.eql(types.refOf('Map', ['string', ['number', 'null']]));
+      expect(types.parseType('Promise')).to.eql(types.refOf('Promise'));
+      expect(types.parseType('{ a: number, b?: string }')).to.eql(types.objectOf({ a: 'number', b: 'string' }, ['b']));
+      expect(types.parseType('{ "a-b": number | null, [key: string]: string }'))
+        .to.eql(types.objectOf({ 'a-b': ['number', 'null'] }, [], 'string'));
+      expect(types.parseType('{}')).to.eql(types.objectOf({}));
+    });
+    it('returns canonical types', function () {
+      expect(types.parseType('number[] | null', true)).to.eql({
+        kind: 'union',
+        anyOf: [{
+          kind: 'array',
+          elements: {
+            kind: 'number'
+          }
+        }, {
+          kind: 'null'
+        }]
+      });
+    });
+    it('is the inverse of formatType', function () {
+      for (const text of [
+        'function(a: number, :string): Promise<boolean>[]',
+        'function(_): any | unknown | { f: function(), "x y"?: [number, ...array[]] }',
+        '\'GET\' | \'POST\' | 0 | false | undefined',
+        'Map<string, { [key: string]: number }> | void',
+        'never[] | [never, { a: never }]'
+      ]) {
+        expect(types.formatType(types.parseType(text))).to.equal(text);
+      }
+      expect(types.parseType(types.formatType(types.arrayOf([])))).to.eql(types.arrayOf([]));
+    });
+    it('reports syntax errors with their positions', function () {
+      expect(() => types.parseType('number |')).to.throw(SyntaxError, 'Unexpected end of type at position 8 in type \'number |\'');
+      expect(() => types.parseType('[number, string')).to.throw('Expected \']\' but found end of type at position 15');
+      expect(() => types.parseType('{ a number }')).to.throw('Expected \':\' but found \'n\' at position 4');
+      expect(() => types.parseType('number string')).to.throw('Unexpected \'s\' at position 7');
+      expect(() => types.parseType('\'abc')).to.throw('Unterminated string at position 0');
+      expect(() => types.parseType('[...number]')).to.throw('Expected array type for rest elements at position 4');
+      try {
+        types.parseType('Map<string,>');
+      } catch (e) {
+        expect(e.pos).to.equal(11);
+      }
+    });
   });
   describe('toCanonical', function () {
     it('handles undefined', function () {
@@ -377,6 +1005,44 @@ describe('types', function () {
         ]
       });
     });
+    it('handles object shapes', function () {
+      expect(types.toCanonical(types.objectOf({ a: 'number' }, [], ['string', 'null']))).to.eql({
+        kind: 'object',
+        properties: {
+          a: {
+            kind: 'number'
+          }
+        },
+        index: {
+          kind: 'union',
+          anyOf: [{
+            kind: 'string'
+          }, {
+            kind: 'null'
+          }]
+        }
+      });
+    });
+    it('handles tuples', function () {
+      expect(types.toCanonical(types.tupleOf(['number'], 'string'))).to.eql({
+        kind: 'tuple',
+        elements: [{
+          kind: 'number'
+        }],
+        rest: {
+          kind: 'string'
+        }
+      });
+    });
+    it('handles generic type references', function () {
+      expect(types.toCanonical(types.refOf('Promise', ['number']))).to.eql({
+        kind: 'ref',
+        name: 'Promise',
+        args: [{
+          kind: 'number'
+        }]
+      });
+    });
   });
   describe('toShorthand', function () {
     it('handles undefined', function () {
@@ -410,5 +1076,43 @@ describe('types', function () {
         ]
       })).to.eql(['string', 'number']);
     });
+    it('handles object shapes', function () {
+      expect(types.toShorthand({
+        kind: 'object',
+        properties: {
+          a: {
+            kind: 'number'
+          }
+        }
+      })).to.eql(types.objectOf({ a: 'number' }));
+      expect(types.toShorthand({
+        kind: 'object'
+      })).to.equal('object');
+    });
+    it('keeps literal types', function () {
+      expect(types.toShorthand({
+        kind: 'union',
+        anyOf: [types.literalOf('a'), {
+          kind: 'string'
+        }]
+      })).to.eql([types.literalOf('a'), 'string']);
+    });
+    it('handles tuples', function () {
+      expect(types.toShorthand({
+        kind: 'tuple',
+        elements: [{
+          kind: 'number'
+        }]
+      })).to.eql(types.tupleOf(['number']));
+    });
+    it('handles generic type references', function () {
+      expect(types.toShorthand({
+        kind: 'ref',
+        name: 'Promise',
+        args: [{
+          kind: 'number'
+        }]
+      })).to.eql(types.refOf('Promise', ['number']));
+    });
   });
 });
\ No newline at end of file
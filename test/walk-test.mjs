@@ -10,7 +10,9 @@ class C {
   constructor() { this.y = 2 }
   method() { return this.y }
 }
-f(3)`);
+f(3)`, {
+  ecmaVersion: 2018
+});
 
 describe('walk', function () {
   it('walks declarations', function () {
@@ -109,6 +111,23 @@ describe('walk', function () {
       'y'
     ]);
   });
+  it('allows unhandled node types to be skipped', function () {
+    const ast = acorn.parse('f(a, b)', {
+      ecmaVersion: 2018
+    });
+    ast.body[0].expression.arguments[0].type = 'UnknownExpression';
+    expect(() => walk(ast, undefined, {})).to.throw('Unhandled AST node type \'UnknownExpression\'');
+    const items = [];
+    walk(ast, undefined, {
+      Unhandled(node) {
+        items.push(node.type);
+      },
+      Identifier(node) {
+        items.push(node.name);
+      }
+    });
+    expect(items).to.eql(['f', 'UnknownExpression', 'b']);
+  });
   it('tracks ancestors', function () {
     const state = {
       ancestors: []